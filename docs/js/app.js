@@ -34,6 +34,23 @@ createApp({
             config: window.CONFIG,
             version: '0.9.0',
 
+            // GitHub targets (repository + workflow)
+            target: TargetService.getActiveTarget(),
+            targets: TargetService.listTargets(),
+            targetModal: {
+                visible: false,
+                form: {
+                    name: '',
+                    owner: '',
+                    repo: '',
+                    workflow: '',
+                    branch: '',
+                    apiBase: '',
+                    configUrl: ''
+                },
+                errors: []
+            },
+
             // Test configuration (loaded from config.json)
             testConfig: null,
             configLoading: true,
@@ -61,26 +78,146 @@ createApp({
                 scenario: []
             },
 
+            // Git ref to dispatch (empty = configured branch of the target)
+            dispatchRef: '',
+            refPicker: {
+                refs: [],
+                loading: false,
+                error: null,
+                truncated: false
+            },
+
+            // Preset import/export
+            presetTransfer: {
+                visible: false,
+                mode: 'export',
+                selectedIds: [],
+                fileName: '',
+                validation: null,
+                strategy: 'skip',
+                report: null
+            },
+
+            // Paste/upload import of existing config files
+            configImport: {
+                visible: false,
+                format: 'auto',
+                text: '',
+                fileName: '',
+                error: null
+            },
+            configImportFormats: [
+                { value: 'auto', label: 'Auto-detect (JSON, ENV or HOCON)', placeholder: 'Paste a JSON, ENV or HOCON configuration...' },
+                { value: 'json', label: 'JSON (canonical or legacy)', placeholder: '{\n  "test": {\n    "type": "smoke",\n    ...\n  }\n}' },
+                { value: 'hocon', label: 'HOCON (application.conf / test.conf)', placeholder: 'test {\n  type = smoke\n  ...\n}' },
+                { value: 'env', label: 'ENV (TEST__LOAD__...=value)', placeholder: 'TEST__TYPE=smoke\nTEST__LOAD__PROFILES__SMOKE__USERS=5\n...' }
+            ],
+
+            presetMigration: {
+                visible: false,
+                preset: null,
+                config: null,
+                savedVersion: null,
+                resolutions: {},
+                editable: false,
+                saveToPreset: true,
+                note: ''
+            },
+
+            // Typed confirmation phrases by environment (environment policy)
+            policyConfirmations: {},
+
+            // Re-run of a run on an environment that requires a typed confirmation
+            rerunModal: {
+                visible: false,
+                runId: null,
+                failedOnly: false,
+                canonical: null
+            },
+
+            // Batch (matrix) runs
+            batch: {
+                enabled: false,
+                loadTypes: [],
+                environments: [],
+                scenarios: [],
+                throttleSeconds: BatchService.THROTTLE_MS / 1000,
+                running: false,
+                results: []
+            },
+            batchAbort: null,
+            batchTrackers: [],
+            batchCorrelation: null,
+
+            // Scheduled runs (workflow files in the target repository)
+            schedules: {
+                loading: false,
+                loaded: false,
+                error: null,
+                items: [],
+                branch: ''
+            },
+            scheduleModal: {
+                visible: false,
+                saving: false,
+                editing: null,
+                replaceConfig: false,
+                confirmation: '',
+                form: {
+                    name: '',
+                    mode: 'once',
+                    runAt: '',
+                    time: '02:00',
+                    weekdays: [1, 2, 3, 4, 5],
+                    cron: ''
+                },
+                errors: []
+            },
+            scheduleWeekdays: ScheduleWorkflow.WEEKDAYS,
+
             // Output format - support HOCON now
             outputFormat: window.CONFIG.app.defaultOutputFormat || 'json',
+            // Format sent with dispatches: the last payload format shown (the simulation preview is never sent)
+            payloadFormat: window.CONFIG.app.defaultOutputFormat || 'json',
+            envDialect: 'dotenv',
+            envDialects: EnvEncoder.DIALECTS,
 
             // Presets
             builtInPresets: [],
             userPresets: [],
+            teamPresets: [],
+            teamPresetsState: {
+                loading: false,
+                source: 'none',
+                error: null
+            },
+            teamPresetsPath: TeamPresetService.PATH,
+            promoteModal: {
+                visible: false,
+                preset: null,
+                mode: 'pr',
+                saving: false,
+                error: null
+            },
             activePreset: null,
             manualConfigExpanded: true,
 
             // Save preset modal
             savePresetModal: {
                 visible: false,
+                editingId: null,
                 name: '',
                 description: '',
-                icon: '🚀'
+                icon: '🚀',
+                tags: '',
+                replaceConfig: false
             },
+            presetSearch: '',
 
             // UI state
             isSubmitting: false,
             copyButtonText: '📋',
+            shareButtonText: '🔗 Copy Share Link',
 
             // SPA Navigation
             activeSection: 'run',
@@ -97,6 +234,103 @@ createApp({
                 link: null
             },
 
+            // Live status of the dispatched workflow run
+            runTracker: {
+                visible: false,
+                phase: '',
+                message: '',
+                runId: null,
+                runNumber: null,
+                status: '',
+                conclusion: null,
+                htmlUrl: '',
+                startedAt: null,
+                completedAt: null,
+                completed: false,
+                historyId: null
+            },
+            stopRunTracking: null,
+            runClock: Date.now(),
+            runClockTimer: null,
+            runActionPending: false,
+
+            // Inputs declared by the target workflow
+            workflowSchema: {
+                open: false,
+                loading: false,
+                error: null,
+                inputs: null,
+                path: ''
+            },
+
+            // Gatling simulation skeleton generated from the form (simulation output format)
+            simulationCode: {
+                language: 'java'
+            },
+            simulationLanguages: SimulationCodegen.LANGUAGES,
+
+            // Job logs of the tracked run
+            jobLogs: {
+                open: false,
+                loading: false,
+                error: null,
+                note: '',
+                jobs: [],
+                jobId: null,
+                stepNumber: null,
+                lines: [],
+                truncated: false,
+                query: ''
+            },
+            jobLogsTimer: null,
+
+            // Run history
+            history: {
+                entries: [],
+                remoteRuns: [],
+                loading: false,
+                error: null,
+                lastFetched: null,
+                filters: {
+                    loadType: '',
+                    environment: '',
+                    scenario: '',
+                    conclusion: ''
+                },
+                conclusions: HistoryService.CONCLUSIONS,
+                page: 1,
+                pageSize: HistoryService.PAGE_SIZE,
+                expandedId: null
+            },
+
+            // Parsed Gatling reports by run ID
+            reports: {
+                byRunId: {},
+                loading: {},
+                errors: {}
+            },
+
+            // AI Insights
+            insights: {
+                entryId: '',
+                analyzerId: InsightsService.DEFAULT_ANALYZER,
+                analyzers: InsightsService.listAnalyzers(),
+                loading: false,
+                error: null,
+                result: null
+            },
+
+            // Run comparison
+            comparison: {
+                selectedIds: [],
+                visible: false,
+                metrics: RunComparison.METRICS,
+                thresholds: {
+                    ...RunComparison.DEFAULT_THRESHOLDS,
+                    ...StorageUtils.getJSON(window.CONFIG.storage.thresholdsKey, {})
+                }
+            },
+
             // Modal state
             modal: {
                 visible: false,
@@ -125,6 +359,160 @@ createApp({
     // Computed Properties
     // ============================================
     computed: {
+        /**
+         * GitHub configuration of the active target
+         */
+        githubConfig() {
+            return TargetService.toGitHubConfig(this.target);
+        },
+
+        /**
+         * GitHub configuration used for dispatch (selected ref instead of the configured branch)
+         */
+        dispatchConfig() {
+            return {
+                ...this.githubConfig,
+                branch: this.dispatchRef.trim() || this.githubConfig.branch
+            };
+        },
+
+        /**
+         * Show the Quick Start search box once the preset list grows
+         */
+        showPresetSearch() {
+            const total = this.builtInPresets.length + this.teamPresets.length + this.userPresets.length;
+            return total > PresetService.SEARCH_THRESHOLD;
+        },
+
+        /**
+         * Built-in presets matching the search
+         */
+        visibleBuiltInPresets() {
+            return this.showPresetSearch
+                ? PresetService.filterPresets(this.builtInPresets, this.presetSearch)
+                : this.builtInPresets;
+        },
+
+        /**
+         * Team presets matching the search
+         */
+        visibleTeamPresets() {
+            return this.showPresetSearch
+                ? PresetService.filterPresets(this.teamPresets, this.presetSearch)
+                : this.teamPresets;
+        },
+
+        /**
+         * User presets matching the search, pinned first
+         */
+        visibleUserPresets() {
+            const presets = this.showPresetSearch
+                ? PresetService.filterPresets(this.userPresets, this.presetSearch)
+                : this.userPresets;
+            return PresetService.sortPresets(presets);
+        },
+
+        /**
+         * Entries of the preset being migrated that do not match config.json
+         */
+        presetMigrationIssues() {
+            if (!this.presetMigration.visible || !this.testConfig) return [];
+            return PresetMigration.check(this.presetMigration.config, this.testConfig).issues;
+        },
+
+        /**
+         * Presets in the import file that clash with existing ones
+         */
+        presetImportConflicts() {
+            const presets = this.presetTransfer.validation?.presets || [];
+            return presets.filter(imported =>
+                this.userPresets.some(p => p.id === imported.id || p.name === imported.name)
+            ).length;
+        },
+
+        /**
+         * Environments of the next dispatch that have a policy in config.json
+         */
+        activePolicies() {
+            if (!this.testConfig) return [];
+
+            const environments = this.batch.enabled
+                ? BatchMatrix.axisValues(this.batch.environments, this.selection.environment)
+                : [this.selection.environment].filter(Boolean);
+
+            return environments
+                .map(environment => ({
+                    environment,
+                    label: this.testConfig.environment[environment]?.label || environment,
+                    warning: this.testConfig.environment[environment]?.warning || '',
+                    policy: RunPolicy.getPolicy(this.testConfig, environment)
+                }))
+                .filter(item => item.policy);
+        },
+
+        /**
+         * Policy violations of the current configuration
+         */
+        policyViolations() {
+            if (this.batch.enabled) {
+                return this.batchMatrix.items.flatMap(item => {
+                    const check = RunPolicy.check(this.testConfig, item.canonical);
+                    return check.violations.map(violation => `${this.batchItemLabel(item.selections)}: ${violation}`);
+                });
+            }
+
+            if (!this.currentCanonicalConfig) return [];
+
+            return RunPolicy.check(this.testConfig, this.currentCanonicalConfig).violations;
+        },
+
+        /**
+         * Configurations of the batch (one per combination of selected values)
+         */
+        batchMatrix() {
+            if (!this.batch.enabled || !this.isFormValid) {
+                return { items: [], error: null };
+            }
+
+            try {
+                return BatchMatrix.build(
+                    this.testConfig,
+                    {
+                        selections: { ...this.selection },
+                        loadData: this.loadData,
+                        scenarioData: this.scenarioData
+                    },
+                    this.batch
+                );
+            } catch (error) {
+                console.error('Failed to build batch matrix:', error);
+                return { items: [], error: error.message };
+            }
+        },
+
+        /**
+         * Progress counts of the current batch
+         */
+        batchSummary() {
+            return this.batch.results.reduce((counts, row) => {
+                counts[row.status] = (counts[row.status] || 0) + 1;
+                return counts;
+            }, {});
+        },
+
+        /**
+         * Warning for a ref that does not exist in the loaded branches and tags
+         */
+        dispatchRefWarning() {
+            const ref = this.dispatchRef.trim();
+
+            if (!ref || this.refPicker.refs.length === 0 || this.refPicker.truncated) return '';
+
+            return RefService.findRef(this.refPicker.refs, ref)
+                ? ''
+                : `"${ref}" is not a branch or tag of ${this.githubConfig.repo}`;
+        },
+
         selectedLoadConfig() {
             if (!this.selection.loadType || !this.testConfig) return null;
             return this.testConfig.loadConfig[this.selection.loadType];
@@ -230,115 +618,433 @@ createApp({
                 case 'hocon':
                     return this.generateHOCON();
                 
+                case 'yaml':
+                    return this.generateYAML();
+
+                case 'simulation':
+                    return this.generatedSimulation;
+                
                 default:
                     return 'Unknown format';
             }
-        }
-    },
+        },
+
+        /**
+         * Gatling simulation source for the selected DSL language
+         */
+        generatedSimulation() {
+            if (!this.currentCanonicalConfig) return '';
 
-    // ============================================
-    // Watchers - React to Data Changes
-    // ============================================
-    watch: {
-        'selection.loadType'(newType) {
-            if (!newType || !this.testConfig || this.loadTypeChanging) return;
-            
-            this.loadTypeChanging = true;
-            
             try {
-                console.log('Load type changed to:', newType);
+                return SimulationCodegen.generate(this.currentCanonicalConfig, this.simulationCode.language);
+            } catch (error) {
+                console.error('Failed to generate simulation:', error);
+                return `Error generating simulation: ${error.message}`;
+            }
+        },
 
-                if (this.manualConfigExpanded) {
-                    this.activePreset = null;
-                }
+        /**
+         * File name of the generated simulation
+         */
+        simulationFileName() {
+            if (!this.currentCanonicalConfig) return '';
+            return SimulationCodegen.fileName(this.currentCanonicalConfig, this.simulationCode.language);
+        },
 
-                const config = this.testConfig.loadConfig[newType];
-                const { label, description, ...fieldValues } = config;
+        /**
+         * Environment policy and violations of the run the re-run modal would repeat
+         */
+        rerunPolicy() {
+            const canonical = this.rerunModal.canonical;
+            if (!this.rerunModal.visible || !canonical || !this.testConfig) return null;
 
-                this.loadData = { ...fieldValues };
-                this.loadConfigFields = this.generateFields(
-                    fieldValues,
-                    this.testConfig.fieldMetadata
-                );
+            const environment = canonical.test.environment.type;
+            const check = RunPolicy.check(this.testConfig, canonical);
 
-                this.validateLoadConfig();
-            } finally {
-                this.$nextTick(() => {
-                    this.loadTypeChanging = false;
-                });
-            }
+            return {
+                environment,
+                label: this.testConfig.environment[environment]?.label || environment,
+                warning: this.testConfig.environment[environment]?.warning || '',
+                policy: check.policy,
+                violations: check.violations
+            };
         },
 
-        'selection.environment'(newEnv) {
-            console.log('Environment changed to:', newEnv);
-            this.selection.targetUrl = '';
+        /**
+         * Environment policy of the configuration the schedule modal would save
+         */
+        schedulePolicy() {
+            const modal = this.scheduleModal;
+            if (!modal.visible || !this.testConfig) return null;
 
-            if (this.availableUrls.length === 1) {
-                this.selection.targetUrl = this.availableUrls[0];
-            }
+            const canonical = !modal.editing || modal.replaceConfig
+                ? this.currentCanonicalConfig
+                : modal.editing.canonical;
+            const environment = canonical?.test?.environment?.type;
+            const policy = environment ? RunPolicy.getPolicy(this.testConfig, environment) : null;
+
+            if (!policy) return null;
+
+            return {
+                environment,
+                label: this.testConfig.environment[environment]?.label || environment,
+                policy
+            };
         },
 
-        'selection.scenario'(newScenario) {
-            if (!newScenario || !this.testConfig || this.scenarioChanging) return;
-            
-            this.scenarioChanging = true;
-            
-            try {
-                console.log('Scenario changed to:', newScenario);
+        /**
+         * ENV preview in the selected dialect ({ text, warnings })
+         */
+        envDialectOutput() {
+            if (!this.currentCanonicalConfig) return { text: '', warnings: [] };
+            return EnvEncoder.encodeDialect(this.currentCanonicalConfig, this.envDialect);
+        },
 
-                const fields = this.testConfig.scenarioConfig[newScenario].fields;
-                this.scenarioData = { ...fields };
-                this.scenarioConfigFields = this.generateFields(
-                    fields,
-                    this.testConfig.fieldMetadata
-                );
-            } finally {
-                this.$nextTick(() => {
-                    this.scenarioChanging = false;
-                });
+        /**
+         * Format auto-detection would pick for the import text
+         */
+        configImportDetected() {
+            if (this.configImport.format !== 'auto' || !this.configImport.text.trim()) return '';
+            return ConfigImport.detect(this.configImport.text).toUpperCase();
+        },
+
+        /**
+         * Example text for the selected import format
+         */
+        configImportPlaceholder() {
+            const format = this.configImportFormats.find(f => f.value === this.configImport.format);
+            return format ? format.placeholder : '';
+        },
+
+        /**
+         * Declared workflow inputs lined up with the inputs that will be sent
+         */
+        dispatchInputRows() {
+            if (!this.workflowSchema.inputs || !this.currentCanonicalConfig) return [];
+
+            try {
+                const payload = GitHubAPI.buildPayload(this.currentCanonicalConfig, this.payloadFormat, this.dispatchConfig);
+                return WorkflowInputs.compare(this.workflowSchema.inputs, payload.inputs);
+            } catch (error) {
+                console.error('Failed to build dispatch preview:', error);
+                return [];
             }
         },
 
-        loadData: {
-            handler(newVal, oldVal) {
-                this.debouncedValidateLoadConfig();
-            },
-            deep: true
-        }
-    },
+        /**
+         * Number of inputs that would be rejected
+         */
+        dispatchInputErrors() {
+            return this.dispatchInputRows.filter(row => row.error).length;
+        },
 
-    // ============================================
-    // Lifecycle Hooks
-    // ============================================
-    created() {
-        this.debouncedValidateLoadConfig = UIService.debounce(() => {
-            this.validateLoadConfig();
-        }, 300);
-    },
-    
-    async mounted() {
-        console.log('🚀 Performance Test Runner v0.9.0 - HOCON Support');
+        /**
+         * Job shown in the log viewer
+         */
+        selectedJob() {
+            return this.jobLogs.jobs.find(job => job.id === this.jobLogs.jobId) || null;
+        },
 
-        await this.loadConfiguration();
+        /**
+         * Log lines after step selection and search
+         */
+        visibleLogLines() {
+            let lines = this.jobLogs.lines;
 
-        if (this.testConfig) {
-            this.initializePresets();
-        }
+            if (this.jobLogs.stepNumber !== null && this.selectedJob) {
+                const step = this.selectedJob.steps.find(s => s.number === this.jobLogs.stepNumber);
+                lines = JobLog.forStep(lines, step);
+            }
 
-        this.checkToken();
+            return JobLog.filter(lines, this.jobLogs.query);
+        },
 
-        this.uiCleanup = UIService.initialize({
-            context: this,
-            onScroll: this.handleScroll,
-            onKeyboard: this.handleKeyboard
-        });
+        /**
+         * Number of highlighted lines per kind in the loaded log
+         */
+        logKindCounts() {
+            return JobLog.countKinds(this.jobLogs.lines);
+        },
 
-        this.handleScroll();
+        /**
+         * Human-readable elapsed time of the tracked run
+         */
+        runElapsed() {
+            if (!this.runTracker.startedAt) return '';
+            return RunTrackerService.formatElapsed(
+                this.runTracker.startedAt,
+                this.runTracker.completedAt || this.runClock
+            );
+        },
 
-        window.vueApp = this;
-        
-        console.log('✅ Application initialized');
-    },
+        /**
+         * Local history merged with runs fetched from GitHub
+         */
+        mergedHistory() {
+            return HistoryService.mergeWithRemote(
+                this.history.entries.filter(entry => HistoryService.belongsToTarget(entry, this.githubConfig)),
+                this.history.remoteRuns,
+                this.githubConfig
+            );
+        },
+
+        /**
+         * History entries matching the active filters
+         */
+        filteredHistory() {
+            return HistoryService.filterEntries(this.mergedHistory, this.history.filters);
+        },
+
+        /**
+         * Current history page
+         */
+        historyPage() {
+            return HistoryService.paginate(
+                this.filteredHistory,
+                this.history.page,
+                this.history.pageSize
+            );
+        },
+
+        /**
+         * Entries selected for comparison (oldest first, first is the baseline)
+         */
+        comparedEntries() {
+            return this.comparison.selectedIds
+                .map(id => this.mergedHistory.find(entry => entry.id === id))
+                .filter(Boolean)
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        },
+
+        /**
+         * Reason why the selected runs cannot be compared (null if comparable)
+         */
+        comparisonError() {
+            if (this.comparedEntries.length < 2) {
+                return 'Select at least two completed runs to compare';
+            }
+
+            const scenarios = new Set(
+                this.comparedEntries
+                    .map(entry => HistoryService.describe(entry).scenario)
+                    .filter(Boolean)
+            );
+
+            if (scenarios.size > 1) {
+                return 'Selected runs use different scenarios';
+            }
+
+            return null;
+        },
+
+        /**
+         * True when reports of all compared runs are loaded
+         */
+        comparisonReady() {
+            return this.comparedEntries.every(entry => this.reports.byRunId[entry.runId]);
+        },
+
+        /**
+         * Per-request metric deltas against the baseline run
+         */
+        comparisonRows() {
+            if (this.comparisonError || !this.comparisonReady) return [];
+
+            const [baseline, ...others] = this.comparedEntries.map(entry => this.reports.byRunId[entry.runId]);
+            return RunComparison.compareReports(baseline, others, this.comparison.thresholds);
+        },
+
+        /**
+         * Diff of the canonical configs of compared runs
+         */
+        comparisonConfigDiff() {
+            if (this.comparisonError) return [];
+            return RunComparison.diffConfigs(this.comparedEntries.map(entry => entry.canonical));
+        },
+
+        /**
+         * Completed runs that can be analyzed
+         */
+        insightCandidates() {
+            return this.mergedHistory.filter(entry => entry.runId && entry.status === 'completed');
+        },
+
+        /**
+         * Label for the tracked run state (status or conclusion)
+         */
+        runStateLabel() {
+            switch (this.runTracker.phase) {
+                case 'correlating':
+                    return 'waiting for run';
+                case 'timeout':
+                case 'error':
+                    return 'unknown';
+                default:
+                    return this.runTracker.completed
+                        ? (this.runTracker.conclusion || 'completed')
+                        : (this.runTracker.status || 'queued');
+            }
+        }
+    },
+
+    // ============================================
+    // Watchers - React to Data Changes
+    // ============================================
+    watch: {
+        'comparison.thresholds': {
+            handler(thresholds) {
+                StorageUtils.setJSON(this.config.storage.thresholdsKey, thresholds);
+            },
+            deep: true
+        },
+
+        outputFormat(format) {
+            if (format !== 'simulation') {
+                this.payloadFormat = format;
+            }
+        },
+
+        'batch.enabled'(enabled) {
+            // Start from the form selection
+            if (enabled) {
+                if (this.batch.loadTypes.length === 0 && this.selection.loadType) {
+                    this.batch.loadTypes = [this.selection.loadType];
+                }
+                if (this.batch.environments.length === 0 && this.selection.environment) {
+                    this.batch.environments = [this.selection.environment];
+                }
+                if (this.batch.scenarios.length === 0 && this.selection.scenario) {
+                    this.batch.scenarios = [this.selection.scenario];
+                }
+            }
+        },
+
+        dispatchRef() {
+            // Inputs may differ between refs
+            this.workflowSchema.inputs = null;
+            this.workflowSchema.error = null;
+            this.debouncedReloadWorkflowSchema();
+        },
+
+        'history.filters': {
+            handler() {
+                this.history.page = 1;
+            },
+            deep: true
+        },
+
+        'selection.loadType'(newType) {
+            if (!newType || !this.testConfig || this.loadTypeChanging) return;
+            
+            this.loadTypeChanging = true;
+            
+            try {
+                console.log('Load type changed to:', newType);
+
+                if (this.manualConfigExpanded) {
+                    this.activePreset = null;
+                }
+
+                const config = this.testConfig.loadConfig[newType];
+                const { label, description, ...fieldValues } = config;
+
+                this.loadData = { ...fieldValues };
+                this.loadConfigFields = this.generateFields(
+                    fieldValues,
+                    this.testConfig.fieldMetadata
+                );
+
+                this.validateLoadConfig();
+            } finally {
+                this.$nextTick(() => {
+                    this.loadTypeChanging = false;
+                });
+            }
+        },
+
+        'selection.environment'(newEnv) {
+            console.log('Environment changed to:', newEnv);
+            this.selection.targetUrl = '';
+
+            if (this.availableUrls.length === 1) {
+                this.selection.targetUrl = this.availableUrls[0];
+            }
+        },
+
+        'selection.scenario'(newScenario) {
+            if (!newScenario || !this.testConfig || this.scenarioChanging) return;
+            
+            this.scenarioChanging = true;
+            
+            try {
+                console.log('Scenario changed to:', newScenario);
+
+                const fields = this.testConfig.scenarioConfig[newScenario].fields;
+                this.scenarioData = { ...fields };
+                this.scenarioConfigFields = this.generateFields(
+                    fields,
+                    this.testConfig.fieldMetadata
+                );
+            } finally {
+                this.$nextTick(() => {
+                    this.scenarioChanging = false;
+                });
+            }
+        },
+
+        loadData: {
+            handler(newVal, oldVal) {
+                this.debouncedValidateLoadConfig();
+            },
+            deep: true
+        }
+    },
+
+    // ============================================
+    // Lifecycle Hooks
+    // ============================================
+    created() {
+        this.debouncedValidateLoadConfig = UIService.debounce(() => {
+            this.validateLoadConfig();
+        }, 300);
+
+        this.debouncedReloadWorkflowSchema = UIService.debounce(() => {
+            if (this.workflowSchema.open) {
+                this.loadWorkflowSchema();
+            }
+        }, 500);
+    },
+    
+    async mounted() {
+        console.log('🚀 Performance Test Runner v0.9.0 - HOCON Support');
+
+        await this.loadConfiguration();
+
+        if (this.testConfig) {
+            this.initializePresets();
+            await this.restoreFromShareLink();
+        }
+
+        this.checkToken();
+
+        this.loadHistory();
+
+        if (this.testConfig) {
+            this.loadTeamPresets();
+        }
+
+        this.uiCleanup = UIService.initialize({
+            context: this,
+            onScroll: this.handleScroll,
+            onKeyboard: this.handleKeyboard
+        });
+
+        this.handleScroll();
+
+        window.vueApp = this;
+        
+        console.log('✅ Application initialized');
+    },
 
     beforeUnmount() {
         if (this.uiCleanup) {
@@ -348,6 +1054,9 @@ createApp({
         if (this.abortController) {
             this.abortController.abort();
         }
+
+        this.stopTracking();
+        this.stopBatchTrackers();
         
         console.log('🧹 Cleanup completed');
     },
@@ -378,6 +1087,24 @@ createApp({
                     if (this.savePresetModal.visible) {
                         this.closeSavePresetModal();
                     }
+                    if (this.scheduleModal.visible) {
+                        this.closeScheduleModal();
+                    }
+                    if (this.rerunModal.visible) {
+                        this.closeRerunModal();
+                    }
+                    if (this.presetTransfer.visible) {
+                        this.closePresetTransfer();
+                    }
+                    if (this.promoteModal.visible) {
+                        this.closePromoteModal();
+                    }
+                    if (this.presetMigration.visible) {
+                        this.closePresetMigration();
+                    }
+                    if (this.configImport.visible) {
+                        this.closeConfigImport();
+                    }
                 }
             });
         },
@@ -413,6 +1140,165 @@ createApp({
             });
         },
 
+        /**
+         * Switch the active GitHub target
+         */
+        async switchTarget(targetId) {
+            if (targetId === this.target.id) return;
+
+            if (this.isSubmitting) {
+                this.showSafeStatus('error', {
+                    lines: ['Wait for the current dispatch to finish before switching targets']
+                });
+                return;
+            }
+
+            const result = TargetService.setActiveTarget(targetId);
+
+            if (!result.success) {
+                this.handleError(result, 'Failed to switch target');
+                return;
+            }
+
+            this.dismissRunStatus();
+            this.target = result.target;
+            this.resetTargetState();
+
+            await this.loadConfiguration();
+            this.checkToken();
+            this.loadTeamPresets();
+
+            if (this.hasToken) {
+                this.refreshHistory();
+            }
+
+            this.showSafeStatus('info', {
+                lines: [
+                    `Switched to ${this.target.name}`,
+                    `${this.githubConfig.owner}/${this.githubConfig.repo} · ${this.githubConfig.workflow} @ ${this.githubConfig.branch}`
+                ]
+            });
+        },
+
+        /**
+         * Clear form and run state that belongs to the previous target
+         */
+        resetTargetState() {
+            Object.assign(this.selection, {
+                loadType: '',
+                environment: '',
+                targetUrl: '',
+                scenario: ''
+            });
+            this.loadData = {};
+            this.scenarioData = {};
+            this.loadConfigFields = [];
+            this.scenarioConfigFields = [];
+            this.activePreset = null;
+
+            this.dispatchRef = '';
+            Object.assign(this.refPicker, {
+                refs: [],
+                loading: false,
+                error: null,
+                truncated: false
+            });
+
+            Object.assign(this.workflowSchema, {
+                loading: false,
+                error: null,
+                inputs: null,
+                path: ''
+            });
+
+            this.history.remoteRuns = [];
+            this.history.error = null;
+            this.history.page = 1;
+            this.history.expandedId = null;
+
+            this.comparison.selectedIds = [];
+            this.comparison.visible = false;
+
+            this.policyConfirmations = {};
+            this.teamPresets = [];
+            this.teamPresetsState.error = null;
+
+            this.dismissBatch();
+            Object.assign(this.batch, {
+                loadTypes: [],
+                environments: [],
+                scenarios: []
+            });
+
+            this.insights.entryId = '';
+            this.insights.result = null;
+            this.insights.error = null;
+
+            Object.assign(this.schedules, {
+                loaded: false,
+                error: null,
+                items: [],
+                branch: ''
+            });
+        },
+
+        /**
+         * Open target management modal
+         */
+        openTargetModal() {
+            this.targets = TargetService.listTargets();
+            this.targetModal.errors = [];
+            this.targetModal.visible = true;
+        },
+
+        /**
+         * Close target management modal
+         */
+        closeTargetModal() {
+            this.targetModal.visible = false;
+            this.targetModal.errors = [];
+            Object.keys(this.targetModal.form).forEach(key => {
+                this.targetModal.form[key] = '';
+            });
+        },
+
+        /**
+         * Add a target from the modal form and switch to it
+         */
+        async addTarget() {
+            const result = TargetService.addTarget(this.targetModal.form);
+
+            if (!result.success) {
+                this.targetModal.errors = result.errors || [result.message];
+                return;
+            }
+
+            this.targets = TargetService.listTargets();
+            this.closeTargetModal();
+            await this.switchTarget(result.target.id);
+        },
+
+        /**
+         * Remove a user-defined target
+         */
+        async removeTarget(target) {
+            if (!confirm(`Remove target "${target.name}" and its saved token?`)) return;
+
+            const wasActive = target.id === this.target.id;
+            const result = TargetService.removeTarget(target.id);
+
+            if (!result.success) {
+                this.targetModal.errors = [result.message];
+                return;
+            }
+
+            this.targets = TargetService.listTargets();
+
+            if (wasActive) {
+                await this.switchTarget(TargetService.getActiveTargetId());
+            }
+        },
+
         /**
          * Open help modal
          */
@@ -436,9 +1322,10 @@ createApp({
             this.abortController = new AbortController();
 
             try {
-                console.log('📥 Loading configuration from config.json...');
+                const configUrl = this.target.configUrl || TargetService.DEFAULT_CONFIG_URL;
+                console.log(`📥 Loading configuration from ${configUrl}...`);
 
-                const response = await fetch('config.json', {
+                const response = await fetch(configUrl, {
                     signal: this.abortController.signal,
                     cache: 'no-cache'
                 });
@@ -506,39 +1393,41 @@ createApp({
         },
 
         /**
-         * Load a preset configuration
+         * Load a preset configuration (validated against config.json first)
          */
         loadPreset(preset) {
             console.log('📂 Loading preset:', preset.name);
 
-            const config = preset.config;
+            const check = PresetMigration.check(preset.config, this.testConfig);
 
-            if (config.selections) {
-                this.selection.loadType = config.selections.loadType || '';
-                this.selection.environment = config.selections.environment || '';
-                this.selection.scenario = config.selections.scenario || '';
-
-                this.$nextTick(() => {
-                    if (config.selections.targetUrl) {
-                        this.selection.targetUrl = config.selections.targetUrl;
-                    } else if (this.availableUrls.length > 0) {
-                        this.selection.targetUrl = this.availableUrls[0];
-                    }
-                });
+            if (check.issues.length > 0) {
+                console.warn(`⚠️ Preset "${preset.name}" does not match config.json:`, check.issues);
+                this.openPresetMigration(preset, check);
+                return;
             }
 
-            if (config.loadData) {
-                this.$nextTick(() => {
-                    Object.assign(this.loadData, config.loadData);
+            // Still valid after a config.json change: record the version it was checked against
+            if (check.stale && this.userPresets.some(p => p.id === preset.id)) {
+                const result = PresetService.updatePreset(this.userPresets, preset.id, {
+                    config: PresetMigration.stamp(preset.config, this.testConfig)
                 });
-            }
 
-            if (config.scenarioData) {
-                this.$nextTick(() => {
-                    Object.assign(this.scenarioData, config.scenarioData);
-                });
+                if (result.success) {
+                    this.userPresets = result.presets;
+                } else {
+                    console.warn('⚠️ Failed to stamp preset version:', result.error);
+                }
             }
 
+            this.applyPreset(preset, preset.config);
+        },
+
+        /**
+         * Apply a preset configuration to the form and mark the preset active
+         */
+        applyPreset(preset, config) {
+            this.applyConfiguration(config);
+
             this.activePreset = preset.id;
             this.manualConfigExpanded = false;
 
@@ -548,218 +1437,221 @@ createApp({
         },
 
         /**
-         * Open save preset modal
+         * Open the migration dialog for a preset that no longer matches config.json
          */
-        openSavePresetModal() {
-            this.savePresetModal.visible = true;
-            this.savePresetModal.name = '';
-            this.savePresetModal.description = '';
-            this.savePresetModal.icon = '🚀';
-
-            this.$nextTick(() => {
-                UIService.focusElement('preset-name');
-            });
+        openPresetMigration(preset, check) {
+            this.presetMigration.visible = true;
+            this.presetMigration.preset = preset;
+            this.presetMigration.config = preset.config;
+            this.presetMigration.savedVersion = check.savedVersion;
+            this.presetMigration.editable = this.userPresets.some(p => p.id === preset.id);
+            this.presetMigration.saveToPreset = this.presetMigration.editable;
+            this.presetMigration.note = '';
+            this.resetMigrationResolutions(check.issues);
         },
 
         /**
-         * Close save preset modal
+         * Default every issue to "drop"
          */
-        closeSavePresetModal() {
-            this.savePresetModal.visible = false;
+        resetMigrationResolutions(issues) {
+            this.presetMigration.resolutions = Object.fromEntries(issues.map(issue => [issue.id, '']));
         },
 
         /**
-         * Save current configuration as preset
+         * Apply the chosen remaps/drops; load the preset once nothing is broken anymore
          */
-        savePreset() {
-            const name = this.savePresetModal.name;
-            const description = this.savePresetModal.description;
-            const icon = this.savePresetModal.icon;
+        applyPresetMigration() {
+            const { preset, config, resolutions, saveToPreset } = this.presetMigration;
+            const migrated = PresetMigration.apply(config, this.presetMigrationIssues, resolutions);
+            const remaining = PresetMigration.check(migrated, this.testConfig).issues;
 
-            if (!name || !name.trim()) {
-                alert('Please enter a preset name');
-                return;
-            }
+            this.presetMigration.config = migrated;
 
-            if (this.userPresets.some(p => p.name.trim() === name.trim())) {
-                if (!confirm(`A preset named "${name}" already exists. Overwrite it?`)) {
-                    return;
-                }
+            // Remapping a load type or scenario can reveal fields that do not fit the new one
+            if (remaining.length > 0) {
+                this.resetMigrationResolutions(remaining);
+                this.presetMigration.note = `${remaining.length} more entr${remaining.length === 1 ? 'y needs' : 'ies need'} attention after the remap`;
+                return;
             }
 
-            const config = {
-                selections: {
-                    loadType: this.selection.loadType,
-                    environment: this.selection.environment,
-                    targetUrl: this.selection.targetUrl,
-                    scenario: this.selection.scenario
-                },
-                loadData: { ...this.loadData },
-                scenarioData: { ...this.scenarioData }
-            };
-
-            try {
-                const newPreset = PresetService.createPreset(name, description, icon, config);
-                const result = PresetService.addPreset(this.userPresets, newPreset);
+            const stamped = PresetMigration.stamp(migrated, this.testConfig);
 
-                if (result.success) {
-                    this.userPresets = result.presets;
-                    this.activePreset = newPreset.id;
-                    this.closeSavePresetModal();
+            if (saveToPreset) {
+                const result = PresetService.updatePreset(this.userPresets, preset.id, { config: stamped });
 
-                    this.showSafeStatus('success', {
-                        lines: [`Preset "${SecurityUtils.escapeHtml(name)}" saved successfully!`]
-                    });
-                } else {
-                    alert(result.error || 'Failed to save preset');
+                if (!result.success) {
+                    alert(result.error || 'Failed to update preset');
+                    return;
                 }
 
-            } catch (error) {
-                console.error('Failed to save preset:', error);
-                alert(error.message || 'Failed to save preset');
+                this.userPresets = result.presets;
+                console.log(`✅ Preset migrated to config.json ${stamped.configVersion}: ${preset.name}`);
             }
+
+            this.closePresetMigration();
+            this.applyPreset(preset, stamped);
         },
 
         /**
-         * Delete a user preset
+         * Close the preset migration dialog without loading
          */
-        deletePreset(presetId) {
-            const preset = this.userPresets.find(p => p.id === presetId);
+        closePresetMigration() {
+            this.presetMigration.visible = false;
+            this.presetMigration.preset = null;
+            this.presetMigration.config = null;
+        },
 
-            if (!preset) return;
+        /**
+         * Display value of a migration issue
+         */
+        formatMigrationValue(value) {
+            return typeof value === 'string' ? value : JSON.stringify(value);
+        },
 
-            if (!confirm(`Delete preset "${preset.name}"?`)) {
-                return;
+        /**
+         * Apply selections, load data and scenario data to the form
+         * With config.replace, load and scenario data replace the form values instead of merging into them
+         */
+        applyConfiguration(config) {
+            if (config.ref !== undefined) {
+                this.dispatchRef = config.ref || '';
             }
 
-            const result = PresetService.deletePreset(this.userPresets, presetId);
-
-            if (result.success) {
-                this.userPresets = result.presets;
+            if (config.selections) {
+                this.selection.loadType = config.selections.loadType || '';
+                this.selection.environment = config.selections.environment || '';
+                this.selection.scenario = config.selections.scenario || '';
 
-                if (this.activePreset === presetId) {
-                    this.activePreset = null;
-                }
+                this.$nextTick(() => {
+                    if (config.selections.targetUrl) {
+                        this.selection.targetUrl = config.selections.targetUrl;
+                    } else if (this.availableUrls.length > 0) {
+                        this.selection.targetUrl = this.availableUrls[0];
+                    }
+                });
+            }
 
-                this.showSafeStatus('info', {
-                    lines: [`Preset "${SecurityUtils.escapeHtml(result.deletedPreset.name)}" deleted`]
+            if (config.loadData) {
+                this.$nextTick(() => {
+                    if (config.replace) {
+                        this.loadData = { ...config.loadData };
+                    } else {
+                        Object.assign(this.loadData, config.loadData);
+                    }
                 });
-            } else {
-                alert(result.error || 'Failed to delete preset');
             }
-        },
 
-        /**
-         * Generate field definitions from config object
-         */
-        generateFields(configObject, metadataSource) {
-            return FieldUtils.generateFields(configObject, metadataSource);
+            if (config.scenarioData) {
+                this.$nextTick(() => {
+                    if (config.replace) {
+                        this.scenarioData = { ...config.scenarioData };
+                    } else {
+                        Object.assign(this.scenarioData, config.scenarioData);
+                    }
+                });
+            }
         },
 
         /**
-         * Generate canonical JSON format (NEW - primary payload)
+         * List selections that do not exist in config.json
          */
-        generateCanonicalJSON() {
-            try {
-                const canonical = CanonicalMapper.toCanonical(
-                    {
-                        loadType: this.selection.loadType,
-                        environment: this.selection.environment,
-                        targetUrl: this.selection.targetUrl,
-                        scenario: this.selection.scenario
-                    },
-                    this.loadData,
-                    this.scenarioData,
-                    this.testConfig
-                );
+        findUnknownSelections(selections) {
+            const unknown = [];
 
-                return JSON.stringify(canonical, null, 2);
-            } catch (error) {
-                console.error('Failed to generate canonical JSON:', error);
-                return `Error generating JSON: ${error.message}`;
+            if (!this.testConfig.loadConfig[selections.loadType]) {
+                unknown.push(`Load type: ${selections.loadType || '(none)'}`);
             }
-        },
 
-        /**
-         * Generate canonical ENV format (NEW - strict encoding)
-         */
-        generateCanonicalENV() {
-            try {
-                const canonical = CanonicalMapper.toCanonical(
-                    {
-                        loadType: this.selection.loadType,
-                        environment: this.selection.environment,
-                        targetUrl: this.selection.targetUrl,
-                        scenario: this.selection.scenario
-                    },
-                    this.loadData,
-                    this.scenarioData,
-                    this.testConfig
-                );
+            if (!this.testConfig.environment[selections.environment]) {
+                unknown.push(`Environment: ${selections.environment || '(none)'}`);
+            }
 
-                return EnvEncoder.encode(canonical);
-            } catch (error) {
-                console.error('Failed to generate canonical ENV:', error);
-                return `Error generating ENV: ${error.message}`;
+            if (!this.testConfig.scenarioConfig[selections.scenario]) {
+                unknown.push(`Scenario: ${selections.scenario || '(none)'}`);
             }
+
+            return unknown;
         },
 
         /**
-         * Generate HOCON format (NEW - preview)
+         * Restore the form from a history entry's canonical config
+         * @returns {boolean} True if restored
          */
-        generateHOCON() {
-            try {
-                const canonical = CanonicalMapper.toCanonical(
-                    {
-                        loadType: this.selection.loadType,
-                        environment: this.selection.environment,
-                        targetUrl: this.selection.targetUrl,
-                        scenario: this.selection.scenario
-                    },
-                    this.loadData,
-                    this.scenarioData,
-                    this.testConfig
-                );
-
-                return HoconFormatter.format(canonical);
-            } catch (error) {
-                console.error('Failed to generate HOCON:', error);
-                return `Error generating HOCON: ${error.message}`;
+        restoreFromHistory(entry) {
+            if (!entry.canonical || !this.testConfig) {
+                this.showSafeStatus('error', {
+                    lines: ['This run has no recorded configuration']
+                });
+                return false;
             }
-        },
 
-        /**
-         * Copy output to clipboard
-         */
-        async copyOutput() {
-            const success = await UIService.copyToClipboard(this.formattedOutput);
+            const config = CanonicalMapper.fromCanonical(entry.canonical);
+            const unknown = this.findUnknownSelections(config.selections);
 
-            if (success) {
-                UIService.showTemporaryFeedback(this, 'copyButtonText', '✅', '📋', 2000);
-                console.log(`✅ ${this.outputFormat.toUpperCase()} copied to clipboard`);
-            } else {
+            if (unknown.length > 0) {
                 this.showSafeStatus('error', {
-                    lines: ['Failed to copy to clipboard']
+                    lines: ['Recorded configuration no longer matches config.json:'],
+                    list: unknown
                 });
+                return false;
+            }
+
+            const ref = entry.target?.ref;
+            this.applyConfiguration({
+                ...config,
+                ref: ref && ref !== this.githubConfig.branch ? ref : null,
+                replace: true
+            });
+
+            if (entry.format) {
+                this.outputFormat = entry.format;
             }
+
+            this.activePreset = null;
+            this.manualConfigExpanded = true;
+
+            return true;
         },
 
         /**
-         * Validate load configuration
+         * Load a past run into the form for editing
          */
-        validateLoadConfig() {
-            this.validationErrors.load = ValidationUtils.validateLoadConfig(this.loadData);
+        editFromHistory(entry) {
+            if (!this.restoreFromHistory(entry)) return;
+
+            this.scrollToSection('run');
+
+            this.showSafeStatus('info', {
+                lines: [`Loaded configuration of run ${entry.runNumber ? '#' + entry.runNumber : 'from ' + this.formatHistoryTime(entry.timestamp)}`, 'Adjust it and press Run Test']
+            });
         },
 
         /**
-         * Handle form submission
+         * Re-run a past test with its recorded configuration
          */
-        handleSubmit() {
-            console.log('📊 Form submitted');
+        async rerunFromHistory(entry) {
+            const summary = HistoryService.describe(entry);
+
+            if (!confirm(`Run ${summary.loadType} test of ${summary.scenario} on ${summary.environment} again?`)) {
+                return;
+            }
+
+            if (!this.restoreFromHistory(entry)) return;
+
+            // Re-run exactly the recorded config, not the batch matrix of the current form
+            this.batch.enabled = false;
+
+            // Selections trigger watchers that reset field data; wait for restored values
+            await this.$nextTick();
+            await this.$nextTick();
+
+            this.validateLoadConfig();
+            this.scrollToSection('run');
 
             if (!this.isFormValid) {
                 this.showSafeStatus('error', {
-                    lines: ['Please select all required options and fix validation errors']
+                    lines: ['Recorded configuration is not valid for the current form'],
+                    list: [...this.validationErrors.load, ...this.validationErrors.scenario]
                 });
                 return;
             }
@@ -773,95 +1665,2102 @@ createApp({
         },
 
         /**
-         * Trigger GitHub Actions workflow
+         * Copy a link that opens the runner with the current configuration
          */
-        async triggerTest() {
-            this.showSafeStatus('info', {
-                lines: ['Triggering GitHub Actions workflow...']
+        async copyShareLink() {
+            const token = await ShareLink.encode({
+                selections: { ...this.selection },
+                loadData: { ...this.loadData },
+                scenarioData: { ...this.scenarioData },
+                format: this.payloadFormat,
+                ref: this.dispatchRef.trim() || null,
+                target: this.target.id
             });
-            
-            this.isSubmitting = true;
 
-            try {
-                const token = TokenService.getToken();
-                
-                // Build canonical configuration
-                const canonicalConfig = CanonicalMapper.toCanonical(
-                    {
-                        loadType: this.selection.loadType,
-                        environment: this.selection.environment,
-                        targetUrl: this.selection.targetUrl,
-                        scenario: this.selection.scenario
-                    },
-                    this.loadData,
-                    this.scenarioData,
-                    this.testConfig
-                );
+            const url = `${location.origin}${location.pathname}${location.search}#${ShareLink.PARAM}=${token}`;
+            const success = await UIService.copyToClipboard(url);
 
-                // Validate canonical config
-                const validation = CanonicalMapper.validate(canonicalConfig);
-                if (!validation.valid) {
-                    throw new Error('Configuration validation failed: ' + validation.errors.join(', '));
-                }
+            if (success) {
+                UIService.showTemporaryFeedback(this, 'shareButtonText', '✅ Link copied', '🔗 Copy Share Link', 2000);
+                console.log(`🔗 Share link copied (${url.length} chars)`);
+            } else {
+                this.showSafeStatus('error', {
+                    lines: ['Failed to copy share link']
+                });
+            }
+        },
 
-                // Use GitHubAPI module with canonical config
-                const result = await GitHubAPI.triggerWorkflow(
-                    canonicalConfig,
-                    token,
-                    this.config.github,
-                    this.outputFormat
-                );
+        /**
+         * Restore the form from a share link in the URL fragment
+         */
+        async restoreFromShareLink() {
+            const token = ShareLink.fromHash(location.hash);
+
+            if (!token) return;
+
+            // Drop the fragment so later edits are not mistaken for the shared config
+            history.replaceState(null, '', location.pathname + location.search);
+
+            const decoded = await ShareLink.decode(token);
+
+            if (!decoded.success) {
+                this.showSafeStatus('error', {
+                    lines: [decoded.message]
+                });
+                return;
+            }
+
+            // The config, its refs and the dispatch all belong to the target the link was made for
+            const targetProblems = await this.switchToSharedTarget(decoded.state.target);
+            if (!this.testConfig) return;
+
+            const validation = ShareLink.validate(decoded.state, this.testConfig);
+            const { config, format } = validation;
+            const problems = [...targetProblems, ...validation.problems];
+
+            this.applyConfiguration(config);
+
+            if (format) {
+                this.outputFormat = format;
+            }
+
+            this.activePreset = null;
+            this.manualConfigExpanded = true;
+
+            if (problems.length > 0) {
+                console.warn('⚠️ Share link does not match config.json:', problems);
+                this.showSafeStatus('error', {
+                    lines: ['Shared configuration does not match config.json; these parts were not applied:'],
+                    list: problems
+                });
+            } else {
+                this.showSafeStatus('info', {
+                    lines: ['Loaded shared configuration', 'Review it and press Run Test']
+                });
+            }
+        },
+
+        /**
+         * Switch to the target a share link was created for
+         * @returns {Promise<Array<string>>} Problems to report (empty if the target is active)
+         */
+        async switchToSharedTarget(targetId) {
+            if (!targetId || targetId === this.target.id) return [];
+
+            if (!TargetService.getTarget(targetId)) {
+                console.warn('⚠️ Share link target not found:', targetId);
+                return [`Unknown target: ${targetId}; the link was opened on ${this.target.name}. Check the target before running`];
+            }
+
+            await this.switchTarget(targetId);
+
+            if (this.target.id !== targetId) {
+                return [`Could not switch to target ${targetId}; the link was opened on ${this.target.name}`];
+            }
+
+            return [];
+        },
+
+        /**
+         * Open the config import dialog
+         */
+        openConfigImport() {
+            Object.assign(this.configImport, {
+                visible: true,
+                text: '',
+                fileName: '',
+                error: null
+            });
+
+            this.$nextTick(() => {
+                UIService.focusElement('config-import-text');
+            });
+        },
+
+        /**
+         * Close the config import dialog
+         */
+        closeConfigImport() {
+            this.configImport.visible = false;
+        },
+
+        /**
+         * Open the file picker of the import dialog
+         */
+        pickConfigImportFile() {
+            this.$refs.configImportFileInput.click();
+        },
+
+        /**
+         * Read a chosen config file into the import dialog
+         */
+        async handleConfigImportFile(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+
+            if (!file) return;
+
+            try {
+                this.configImport.text = await file.text();
+                this.configImport.fileName = file.name;
+                this.configImport.error = null;
+
+                if (/\.json$/i.test(file.name)) {
+                    this.configImport.format = 'json';
+                } else if (/\.env$|^\.env/i.test(file.name)) {
+                    this.configImport.format = 'env';
+                } else if (/\.(conf|hocon)$/i.test(file.name)) {
+                    this.configImport.format = 'hocon';
+                }
+            } catch (error) {
+                console.error('Failed to read config file:', error);
+                this.configImport.error = `Failed to read ${file.name}`;
+            }
+        },
+
+        /**
+         * Parse the pasted/uploaded config and apply it to the form
+         */
+        importConfig() {
+            const result = ConfigImport.parse(
+                this.configImport.text,
+                this.configImport.format,
+                EnvEncoder.keysFromConfig(this.testConfig)
+            );
+
+            if (!result.success) {
+                this.configImport.error = `${result.format.toUpperCase()}: ${result.message}`;
+                return;
+            }
+
+            const source = this.configImport.fileName || `pasted ${result.format.toUpperCase()}`;
+
+            this.closeConfigImport();
+            this.applyImportedState(result.state, source, result.unmapped);
+        },
+
+        /**
+         * Apply imported form state and report what did not fit config.json
+         */
+        applyImportedState(state, source, unmapped = []) {
+            const validation = ShareLink.validate(state, this.testConfig);
+            const config = validation.config;
+            const problems = [...unmapped, ...validation.problems];
+
+            this.applyConfiguration(config);
+
+            this.activePreset = null;
+            this.manualConfigExpanded = true;
+
+            if (problems.length > 0) {
+                console.warn(`⚠️ Imported ${source} does not match config.json:`, problems);
+                this.showSafeStatus('error', {
+                    lines: [`Imported ${SecurityUtils.escapeHtml(source)}; these parts do not match config.json and were not applied:`],
+                    list: problems
+                });
+            } else {
+                console.log(`📥 Imported ${source}`);
+                this.showSafeStatus('success', {
+                    lines: [`Imported ${SecurityUtils.escapeHtml(source)}`, 'Review it and press Run Test']
+                });
+            }
+        },
+
+        /**
+         * Open save preset modal
+         */
+        openSavePresetModal() {
+            this.savePresetModal.visible = true;
+            this.savePresetModal.editingId = null;
+            this.savePresetModal.name = '';
+            this.savePresetModal.description = '';
+            this.savePresetModal.icon = '🚀';
+            this.savePresetModal.tags = '';
+            this.savePresetModal.replaceConfig = false;
+
+            this.$nextTick(() => {
+                UIService.focusElement('preset-name');
+            });
+        },
+
+        /**
+         * Open the preset modal to edit an existing user preset
+         */
+        openEditPresetModal(preset) {
+            this.savePresetModal.visible = true;
+            this.savePresetModal.editingId = preset.id;
+            this.savePresetModal.name = preset.name;
+            this.savePresetModal.description = preset.description || '';
+            this.savePresetModal.icon = preset.icon || '🚀';
+            this.savePresetModal.tags = (preset.tags || []).join(', ');
+            this.savePresetModal.replaceConfig = false;
+
+            this.$nextTick(() => {
+                UIService.focusElement('preset-name');
+            });
+        },
+
+        /**
+         * Close save preset modal
+         */
+        closeSavePresetModal() {
+            this.savePresetModal.visible = false;
+        },
+
+        /**
+         * Current form state in the stored preset format
+         */
+        currentPresetConfig() {
+            return {
+                selections: {
+                    loadType: this.selection.loadType,
+                    environment: this.selection.environment,
+                    targetUrl: this.selection.targetUrl,
+                    scenario: this.selection.scenario
+                },
+                loadData: { ...this.loadData },
+                scenarioData: { ...this.scenarioData },
+                ref: this.dispatchRef.trim() || null,
+                configVersion: this.testConfig?.version || null
+            };
+        },
+
+        /**
+         * Save current configuration as preset (or the changes of an edited preset)
+         */
+        savePreset() {
+            const { editingId, name, description, icon, tags } = this.savePresetModal;
+
+            if (!name || !name.trim()) {
+                alert('Please enter a preset name');
+                return;
+            }
+
+            if (editingId) {
+                this.updatePreset(editingId, {
+                    name,
+                    description,
+                    icon,
+                    tags,
+                    ...(this.savePresetModal.replaceConfig && { config: this.currentPresetConfig() })
+                });
+                return;
+            }
+
+            if (this.userPresets.some(p => p.name.trim() === name.trim())) {
+                if (!confirm(`A preset named "${name}" already exists. Overwrite it?`)) {
+                    return;
+                }
+            }
+
+            try {
+                const newPreset = PresetService.createPreset(name, description, icon, this.currentPresetConfig(), tags);
+                const result = PresetService.addPreset(this.userPresets, newPreset);
 
                 if (result.success) {
-                    this.handleSuccess(result, canonicalConfig);
+                    this.userPresets = result.presets;
+                    this.activePreset = newPreset.id;
+                    this.closeSavePresetModal();
+
+                    this.showSafeStatus('success', {
+                        lines: [`Preset "${SecurityUtils.escapeHtml(name)}" saved successfully!`]
+                    });
                 } else {
-                    this.handleError(result);
+                    alert(result.error || 'Failed to save preset');
                 }
 
             } catch (error) {
-                console.error('❌ Unexpected error:', error);
-                this.handleError({ message: error.message });
-            } finally {
-                this.isSubmitting = false;
+                console.error('Failed to save preset:', error);
+                alert(error.message || 'Failed to save preset');
             }
         },
 
         /**
-         * Handle successful workflow trigger
+         * Apply changes from the edit modal to a user preset
          */
-        handleSuccess(result, canonicalConfig) {
-            const lines = [
-                'Performance test triggered successfully!',
-                '',
-                'Configuration:'
-            ];
+        updatePreset(presetId, changes) {
+            const result = PresetService.updatePreset(this.userPresets, presetId, changes);
 
-            const profileKey = canonicalConfig.test.type;
-            const profileConfig = canonicalConfig.test.load.profiles[profileKey];
+            if (!result.success) {
+                alert(result.error || 'Failed to update preset');
+                return;
+            }
 
-            const list = [
-                `Load Type: ${canonicalConfig.test.type}`,
-                `Users: ${profileConfig.users}`,
-                `Duration: ${profileConfig.duration}`,
-                `Environment: ${canonicalConfig.test.environment.type}`,
-                `Target: ${canonicalConfig.test.environment.url}`,
-                `Scenario: ${canonicalConfig.test.simulation}`
-            ];
+            this.userPresets = result.presets;
+            this.closeSavePresetModal();
+
+            // The form now matches the stored configuration
+            if (changes.config) {
+                this.activePreset = presetId;
+            }
 
             this.showSafeStatus('success', {
-                lines,
-                list,
-                link: result.link
+                lines: [
+                    `Preset "${SecurityUtils.escapeHtml(result.preset.name)}" updated`,
+                    ...(changes.config ? ['Stored configuration replaced with the current form'] : [])
+                ]
             });
+        },
 
-            console.log('✅ Workflow triggered successfully');
+        /**
+         * Copy a preset into a new user preset
+         */
+        duplicatePreset(preset) {
+            const result = PresetService.duplicatePreset(this.userPresets, preset);
+
+            if (!result.success) {
+                alert(result.error || 'Failed to duplicate preset');
+                return;
+            }
+
+            this.userPresets = result.presets;
+
+            this.showSafeStatus('success', {
+                lines: [`Preset duplicated as "${SecurityUtils.escapeHtml(result.preset.name)}"`]
+            });
+        },
+
+        /**
+         * Pin or unpin a user preset (pinned presets are listed first)
+         */
+        togglePinPreset(preset) {
+            const result = PresetService.updatePreset(this.userPresets, preset.id, { pinned: !preset.pinned });
+
+            if (result.success) {
+                this.userPresets = result.presets;
+            } else {
+                alert(result.error || 'Failed to update preset');
+            }
+        },
+
+        /**
+         * Tooltip of a preset card (description and tags)
+         */
+        presetTooltip(preset) {
+            const tags = (preset.tags || []).map(tag => `#${tag}`).join(' ');
+            return [preset.description || preset.name, tags].filter(Boolean).join('\n');
+        },
+
+        /**
+         * Delete a user preset
+         */
+        deletePreset(presetId) {
+            const preset = this.userPresets.find(p => p.id === presetId);
+
+            if (!preset) return;
+
+            if (!confirm(`Delete preset "${preset.name}"?`)) {
+                return;
+            }
+
+            const result = PresetService.deletePreset(this.userPresets, presetId);
+
+            if (result.success) {
+                this.userPresets = result.presets;
+
+                if (this.activePreset === presetId) {
+                    this.activePreset = null;
+                }
+
+                this.showSafeStatus('info', {
+                    lines: [`Preset "${SecurityUtils.escapeHtml(result.deletedPreset.name)}" deleted`]
+                });
+            } else {
+                alert(result.error || 'Failed to delete preset');
+            }
+        },
+
+        /**
+         * Load team presets of the active target
+         */
+        async loadTeamPresets() {
+            const targetId = this.target.id;
+            const token = this.hasToken ? TokenService.getToken() : null;
+
+            this.teamPresetsState.loading = true;
+            this.teamPresetsState.error = null;
+
+            try {
+                const result = await TeamPresetService.load(token, this.githubConfig, this.target.configUrl);
+
+                if (targetId !== this.target.id) return;
+
+                if (result.success) {
+                    this.teamPresets = result.presets;
+                    this.teamPresetsState.source = result.source;
+                    if (result.errors.length > 0) {
+                        this.teamPresetsState.error = `${result.errors.length} team preset(s) are invalid and were skipped`;
+                    }
+                } else {
+                    this.teamPresets = [];
+                    this.teamPresetsState.error = result.message;
+                }
+            } finally {
+                this.teamPresetsState.loading = false;
+            }
+        },
+
+        /**
+         * Open the dialog to share a user preset with the team
+         */
+        openPromoteModal(preset) {
+            if (!this.hasToken) {
+                this.openModal();
+                return;
+            }
+
+            Object.assign(this.promoteModal, {
+                visible: true,
+                preset,
+                mode: 'pr',
+                saving: false,
+                error: null
+            });
+        },
+
+        /**
+         * Close the promote dialog
+         */
+        closePromoteModal() {
+            this.promoteModal.visible = false;
+            this.promoteModal.preset = null;
+        },
+
+        /**
+         * Commit a user preset to the team presets file (directly or as a pull request)
+         */
+        async promotePreset() {
+            const { preset, mode } = this.promoteModal;
+            const targetId = this.target.id;
+
+            this.promoteModal.saving = true;
+            this.promoteModal.error = null;
+
+            try {
+                const result = await TeamPresetService.promote(preset, TokenService.getToken(), this.githubConfig, { mode });
+
+                if (targetId !== this.target.id) return;
+
+                if (!result.success) {
+                    this.promoteModal.error = result.message;
+                    return;
+                }
+
+                this.closePromoteModal();
+
+                if (result.pullRequest) {
+                    this.showSafeStatus('success', {
+                        lines: [`Pull request #${result.pullRequest.number} opened to share "${preset.name}"`],
+                        link: { url: result.pullRequest.url, text: 'View pull request' }
+                    });
+                } else {
+                    this.teamPresets = result.presets;
+                    this.teamPresetsState.source = 'repo';
+                    this.showSafeStatus('success', {
+                        lines: [`"${preset.name}" is now a team preset`]
+                    });
+                }
+            } finally {
+                this.promoteModal.saving = false;
+            }
+        },
+
+        /**
+         * Open the export dialog with all user presets selected
+         */
+        openPresetExport() {
+            Object.assign(this.presetTransfer, {
+                visible: true,
+                mode: 'export',
+                selectedIds: this.userPresets.map(p => p.id),
+                validation: null,
+                report: null
+            });
+        },
+
+        /**
+         * Download the selected presets as a JSON file
+         */
+        exportPresets() {
+            const presets = this.userPresets.filter(p => this.presetTransfer.selectedIds.includes(p.id));
+
+            if (presets.length === 0) return;
+
+            const data = PresetService.exportPresets(presets);
+            const date = new Date().toISOString().slice(0, 10);
+
+            UIService.downloadFile(`perf-runner-presets-${date}.json`, JSON.stringify(data, null, 2));
+            console.log(`📤 Exported ${presets.length} presets`);
+
+            this.closePresetTransfer();
+        },
+
+        /**
+         * Open the file picker for preset import
+         */
+        pickPresetFile() {
+            this.$refs.presetFileInput.click();
+        },
+
+        /**
+         * Read and validate a chosen preset file
+         */
+        async handlePresetFile(event) {
+            const file = event.target.files[0];
+            event.target.value = '';
+
+            if (!file) return;
+
+            let validation;
+            try {
+                validation = PresetService.validateImport(JSON.parse(await file.text()));
+            } catch (error) {
+                console.error('Failed to read preset file:', error);
+                validation = { valid: false, presets: [], errors: ['File is not valid JSON'] };
+            }
+
+            Object.assign(this.presetTransfer, {
+                visible: true,
+                mode: 'import',
+                fileName: file.name,
+                validation,
+                strategy: 'skip',
+                report: null
+            });
+        },
+
+        /**
+         * Import validated presets with the chosen conflict strategy
+         */
+        importPresets() {
+            const { validation, strategy } = this.presetTransfer;
+            const result = PresetService.importPresets(this.userPresets, validation.presets, strategy);
+
+            if (!result.success) {
+                alert(result.error || 'Failed to import presets');
+                return;
+            }
+
+            this.userPresets = result.presets;
+            this.presetTransfer.report = result.report;
+        },
+
+        /**
+         * Close the import/export dialog
+         */
+        closePresetTransfer() {
+            this.presetTransfer.visible = false;
+        },
+
+        /**
+         * Generate field definitions from config object
+         */
+        generateFields(configObject, metadataSource) {
+            return FieldUtils.generateFields(configObject, metadataSource);
+        },
+
+        /**
+         * Generate canonical JSON format (NEW - primary payload)
+         */
+        generateCanonicalJSON() {
+            try {
+                const canonical = CanonicalMapper.toCanonical(
+                    {
+                        loadType: this.selection.loadType,
+                        environment: this.selection.environment,
+                        targetUrl: this.selection.targetUrl,
+                        scenario: this.selection.scenario
+                    },
+                    this.loadData,
+                    this.scenarioData,
+                    this.testConfig
+                );
+
+                return JSON.stringify(canonical, null, 2);
+            } catch (error) {
+                console.error('Failed to generate canonical JSON:', error);
+                return `Error generating JSON: ${error.message}`;
+            }
+        },
+
+        /**
+         * Generate canonical ENV format in the selected dialect
+         */
+        generateCanonicalENV() {
+            try {
+                return this.envDialectOutput.text;
+            } catch (error) {
+                console.error('Failed to generate canonical ENV:', error);
+                return `Error generating ENV: ${error.message}`;
+            }
+        },
+
+        /**
+         * Generate HOCON format (NEW - preview)
+         */
+        generateHOCON() {
+            try {
+                const canonical = CanonicalMapper.toCanonical(
+                    {
+                        loadType: this.selection.loadType,
+                        environment: this.selection.environment,
+                        targetUrl: this.selection.targetUrl,
+                        scenario: this.selection.scenario
+                    },
+                    this.loadData,
+                    this.scenarioData,
+                    this.testConfig
+                );
+
+                return HoconFormatter.format(canonical);
+            } catch (error) {
+                console.error('Failed to generate HOCON:', error);
+                return `Error generating HOCON: ${error.message}`;
+            }
+        },
+
+        /**
+         * Generate YAML format
+         */
+        generateYAML() {
+            try {
+                return YamlFormatter.format(this.currentCanonicalConfig);
+            } catch (error) {
+                console.error('Failed to generate YAML:', error);
+                return `Error generating YAML: ${error.message}`;
+            }
+        },
+
+        /**
+         * Copy output to clipboard
+         */
+        async copyOutput() {
+            const success = await UIService.copyToClipboard(this.formattedOutput);
+
+            if (success) {
+                UIService.showTemporaryFeedback(this, 'copyButtonText', '✅', '📋', 2000);
+                console.log(`✅ ${this.outputFormat.toUpperCase()} copied to clipboard`);
+            } else {
+                this.showSafeStatus('error', {
+                    lines: ['Failed to copy to clipboard']
+                });
+            }
+        },
+
+        /**
+         * Validate load configuration
+         */
+        validateLoadConfig() {
+            this.validationErrors.load = ValidationUtils.validateLoadConfig(this.loadData);
+        },
+
+        /**
+         * Handle form submission
+         */
+        handleSubmit() {
+            console.log('📊 Form submitted');
+
+            if (!this.isFormValid) {
+                this.showSafeStatus('error', {
+                    lines: ['Please select all required options and fix validation errors']
+                });
+                return;
+            }
+
+            if (!this.hasToken) {
+                this.openModal();
+                return;
+            }
+
+            if (this.batch.enabled) {
+                this.triggerBatch();
+                return;
+            }
+
+            this.triggerTest();
+        },
+
+        /**
+         * Dispatch all batch combinations sequentially
+         */
+        async triggerBatch() {
+            const { items, error } = this.batchMatrix;
+
+            if (error || items.length === 0) {
+                this.showSafeStatus('error', {
+                    lines: [error || 'Select at least one value for each batch axis']
+                });
+                return;
+            }
+
+            if (!this.enforcePolicy(items.map(item => item.canonical), items.map(item => this.batchItemLabel(item.selections)))) {
+                return;
+            }
+
+            if (!confirm(`Dispatch ${items.length} workflow runs to ${this.dispatchConfig.branch}?`)) {
+                return;
+            }
+
+            this.policyConfirmations = {};
+
+            const token = TokenService.getToken();
+
+            this.stopBatchTrackers();
+            this.hideStatus();
+            this.isSubmitting = true;
+            this.batch.running = true;
+            this.batchAbort = new AbortController();
+            this.batch.results = items.map(item => ({
+                key: item.key,
+                label: this.batchItemLabel(item.selections),
+                status: 'pending',
+                message: '',
+                historyId: null,
+                runNumber: null,
+                htmlUrl: null
+            }));
+
+            try {
+                const inputs = await this.loadWorkflowSchema();
+
+                const summary = await BatchService.run(
+                    items,
+                    {
+                        token,
+                        githubConfig: this.dispatchConfig,
+                        format: this.payloadFormat,
+                        inputs,
+                        signal: this.batchAbort.signal
+                    },
+                    (index, update) => {
+                        const row = this.batch.results[index];
+                        row.status = update.status;
+                        row.message = update.message || '';
+
+                        if (update.status === 'success') {
+                            const entry = this.recordHistoryEntry(update.result, items[index].canonical);
+                            row.historyId = entry.id;
+                            this.trackBatchRun(update.result, token, row);
+                        }
+                    }
+                );
+
+                const lines = [`${summary.succeeded} of ${items.length} runs dispatched to ${this.dispatchConfig.branch}`];
+                if (summary.failed > 0) lines.push(`${summary.failed} failed`);
+                if (summary.skipped > 0) lines.push(`${summary.skipped} skipped`);
+
+                let type = 'success';
+                if (summary.succeeded === 0) type = 'error';
+                else if (summary.failed > 0 || summary.skipped > 0) type = 'info';
+
+                this.showSafeStatus(type, { lines });
+            } catch (error) {
+                console.error('❌ Batch failed:', error);
+                this.handleError({ message: error.message }, 'Batch failed');
+            } finally {
+                this.isSubmitting = false;
+                this.batch.running = false;
+                this.batchAbort = null;
+            }
+        },
+
+        /**
+         * Check configurations against their environment policies and typed confirmations
+         * @returns {boolean} True if dispatching is allowed
+         */
+        enforcePolicy(canonicals, labels = []) {
+            const violations = [];
+            const unconfirmed = new Map();
+
+            canonicals.forEach((canonical, index) => {
+                const check = RunPolicy.check(this.testConfig, canonical);
+                const prefix = labels[index] ? `${labels[index]}: ` : '';
+
+                check.violations.forEach(violation => violations.push(prefix + violation));
+
+                const environment = canonical.test.environment.type;
+                if (!RunPolicy.isConfirmed(check.policy, this.policyConfirmations[environment])) {
+                    unconfirmed.set(environment, check.policy.confirmationPhrase);
+                }
+            });
+
+            if (violations.length > 0) {
+                console.warn('🛑 Blocked by environment policy:', violations);
+                this.showSafeStatus('error', {
+                    lines: ['Blocked by environment policy:'],
+                    list: violations
+                });
+                return false;
+            }
+
+            if (unconfirmed.size > 0) {
+                this.showSafeStatus('error', {
+                    lines: ['Type the confirmation phrase to run on a protected environment:'],
+                    list: [...unconfirmed].map(([environment, phrase]) =>
+                        `${this.testConfig.environment[environment]?.label || environment}: ${phrase}`)
+                });
+                return false;
+            }
+
+            return true;
+        },
+
+        /**
+         * Limits of an environment policy for display
+         */
+        describePolicy(policy) {
+            const limits = [];
+
+            if (policy.maxUsers !== undefined) {
+                limits.push(`max ${policy.maxUsers} users`);
+            }
+            if (policy.maxDuration !== undefined) {
+                limits.push(`max ${policy.maxDuration}s`);
+            }
+            if (policy.allowedLoadTypes) {
+                limits.push(policy.allowedLoadTypes.map(type => this.testConfig.loadConfig[type]?.label || type).join(', ') + ' only');
+            }
+            if (policy.allowedWindows?.length) {
+                limits.push(policy.allowedWindows.map(range => RunPolicy.describeWindow(range)).join(' or '));
+            }
+
+            return limits.join(' · ');
+        },
+
+        /**
+         * Stop the batch before the next dispatch
+         */
+        stopBatch() {
+            if (this.batchAbort) {
+                this.batchAbort.abort();
+            }
+        },
+
+        /**
+         * Find the run created by a batch dispatch and link it in history
+         * Runs are matched in dispatch order: an item only looks for its run once the
+         * previous item has claimed one, so it cannot take an earlier item's run.
+         * Polling stops once the run is found to keep API usage low
+         */
+        trackBatchRun(result, token, row) {
+            const previous = this.batchCorrelation;
+            let settle;
+            this.batchCorrelation = new Promise(resolve => {
+                settle = resolve;
+            });
+
+            const stop = RunTrackerService.track(
+                {
+                    token,
+                    githubConfig: this.githubConfig,
+                    dispatchedAt: result.dispatchedAt,
+                    ref: result.ref,
+                    waitFor: previous
+                },
+                snapshot => {
+                    if (snapshot.runId) {
+                        row.runNumber = snapshot.runNumber;
+                        row.htmlUrl = snapshot.htmlUrl;
+                        this.history.entries = HistoryService.updateRun(this.history.entries, row.historyId, snapshot);
+                    }
+
+                    if (snapshot.runId || snapshot.phase === 'error' || snapshot.phase === 'timeout') {
+                        stop();
+                        settle();
+                        this.batchTrackers = this.batchTrackers.filter(fn => fn !== stop);
+                    }
+                }
+            );
+
+            this.batchTrackers.push(stop);
+        },
+
+        /**
+         * Stop all batch run lookups
+         */
+        stopBatchTrackers() {
+            this.batchTrackers.forEach(stop => stop());
+            this.batchTrackers = [];
+            this.batchCorrelation = null;
+        },
+
+        /**
+         * Hide the batch results card
+         */
+        dismissBatch() {
+            this.stopBatchTrackers();
+            this.batch.results = [];
+        },
+
+        /**
+         * Human-readable label of a batch combination
+         */
+        batchItemLabel(selections) {
+            return [
+                this.testConfig.loadConfig[selections.loadType]?.label || selections.loadType,
+                this.testConfig.environment[selections.environment]?.label || selections.environment,
+                this.testConfig.scenarioConfig[selections.scenario]?.label || selections.scenario
+            ].join(' · ');
+        },
+
+        /**
+         * Icon for a batch item state
+         */
+        batchStatusIcon(status) {
+            const icons = {
+                pending: '⏳',
+                sending: '📤',
+                success: '✅',
+                failed: '❌',
+                skipped: '⏭️'
+            };
+
+            return icons[status] || '⚪';
+        },
+
+        /**
+         * Trigger GitHub Actions workflow
+         */
+        async triggerTest() {
+            this.showSafeStatus('info', {
+                lines: ['Triggering GitHub Actions workflow...']
+            });
+            
+            this.isSubmitting = true;
+
+            try {
+                const token = TokenService.getToken();
+                
+                // Build canonical configuration
+                const canonicalConfig = CanonicalMapper.toCanonical(
+                    {
+                        loadType: this.selection.loadType,
+                        environment: this.selection.environment,
+                        targetUrl: this.selection.targetUrl,
+                        scenario: this.selection.scenario
+                    },
+                    this.loadData,
+                    this.scenarioData,
+                    this.testConfig
+                );
+
+                // Validate canonical config
+                const validation = CanonicalMapper.validate(canonicalConfig);
+                if (!validation.valid) {
+                    throw new Error('Configuration validation failed: ' + validation.errors.join(', '));
+                }
+
+                // Enforce environment policy before anything reaches GitHub
+                if (!this.enforcePolicy([canonicalConfig])) {
+                    return;
+                }
+
+                // Validate against workflow inputs when they can be loaded
+                const inputs = await this.loadWorkflowSchema();
+                if (!inputs) {
+                    console.warn('⚠️ Workflow inputs unavailable, dispatching without input validation');
+                }
+
+                // Use GitHubAPI module with canonical config
+                const result = await GitHubAPI.triggerWorkflow(
+                    canonicalConfig,
+                    token,
+                    this.dispatchConfig,
+                    this.payloadFormat,
+                    { inputs }
+                );
+
+                if (result.success) {
+                    this.policyConfirmations = {};
+                    this.handleSuccess(result, canonicalConfig);
+                    const entry = this.recordHistoryEntry(result, canonicalConfig);
+                    this.startTracking(result, token, entry.id);
+                } else {
+                    this.handleError(result);
+                }
+
+            } catch (error) {
+                console.error('❌ Unexpected error:', error);
+                this.handleError({ message: error.message });
+            } finally {
+                this.isSubmitting = false;
+            }
+        },
+
+        /**
+         * Handle successful workflow trigger
+         */
+        handleSuccess(result, canonicalConfig) {
+            const lines = [
+                'Performance test triggered successfully!',
+                '',
+                'Configuration:'
+            ];
+
+            const profileKey = canonicalConfig.test.type;
+            const profileConfig = canonicalConfig.test.load.profiles[profileKey];
+
+            const list = [
+                `Load Type: ${canonicalConfig.test.type}`,
+                `Users: ${profileConfig.users}`,
+                `Duration: ${profileConfig.duration}`,
+                `Environment: ${canonicalConfig.test.environment.type}`,
+                `Target: ${canonicalConfig.test.environment.url}`,
+                `Scenario: ${canonicalConfig.test.simulation}`
+            ];
+
+            this.showSafeStatus('success', {
+                lines,
+                list,
+                link: result.link
+            });
+
+            console.log('✅ Workflow triggered successfully');
+        },
+
+        /**
+         * Start polling the workflow run created by a dispatch
+         */
+        startTracking(result, token, historyId = null) {
+            this.beginTracking(
+                {
+                    token,
+                    githubConfig: this.githubConfig,
+                    dispatchedAt: result.dispatchedAt,
+                    ref: result.ref
+                },
+                historyId
+            );
+        },
+
+        /**
+         * Track an existing run (e.g. after a re-run)
+         */
+        trackExistingRun(runId, historyId = null) {
+            this.beginTracking(
+                {
+                    token: TokenService.getToken(),
+                    githubConfig: this.githubConfig,
+                    runId
+                },
+                historyId
+            );
+        },
+
+        /**
+         * Reset the status panel and start polling via RunTrackerService
+         */
+        beginTracking(trackOptions, historyId) {
+            this.stopTracking();
+
+            Object.assign(this.runTracker, {
+                visible: true,
+                phase: trackOptions.runId ? 'tracking' : 'correlating',
+                message: '',
+                runId: null,
+                runNumber: null,
+                status: '',
+                conclusion: null,
+                htmlUrl: '',
+                startedAt: null,
+                completedAt: null,
+                completed: false,
+                historyId
+            });
+
+            this.resetJobLogs();
+
+            this.runClock = Date.now();
+            this.runClockTimer = setInterval(() => {
+                this.runClock = Date.now();
+            }, 1000);
+
+            this.stopRunTracking = RunTrackerService.track(
+                trackOptions,
+                snapshot => this.handleRunUpdate(snapshot)
+            );
+        },
+
+        /**
+         * Apply a status snapshot from RunTrackerService
+         */
+        handleRunUpdate(snapshot) {
+            Object.assign(this.runTracker, snapshot);
+
+            if (this.runTracker.historyId) {
+                this.history.entries = HistoryService.updateRun(
+                    this.history.entries,
+                    this.runTracker.historyId,
+                    snapshot
+                );
+            }
+
+            if (snapshot.completed || snapshot.phase === 'error' || snapshot.phase === 'timeout') {
+                this.stopRunClock();
+            }
+
+            if (snapshot.completed) {
+                console.log(`🏁 Run #${snapshot.runNumber} finished: ${snapshot.conclusion}`);
+
+                // Final log refresh now that GitHub has published the job logs
+                if (this.jobLogs.open) {
+                    this.stopJobLogsPolling();
+                    this.refreshJobLogs();
+                }
+            }
+        },
+
+        /**
+         * Stop run polling and elapsed clock
+         */
+        stopTracking() {
+            if (this.stopRunTracking) {
+                this.stopRunTracking();
+                this.stopRunTracking = null;
+            }
+
+            this.stopRunClock();
+            this.stopJobLogsPolling();
+        },
+
+        /**
+         * Stop elapsed time clock
+         */
+        stopRunClock() {
+            if (this.runClockTimer) {
+                clearInterval(this.runClockTimer);
+                this.runClockTimer = null;
+            }
+        },
+
+        /**
+         * Cancel a workflow run
+         */
+        async cancelRun(runId, options = {}) {
+            const force = !!options.force;
+            const question = force
+                ? `Force-cancel run ${runId}? Steps with always() conditions will be skipped.`
+                : `Cancel run ${runId}?`;
+
+            if (!runId || !confirm(question)) return;
+
+            await this.performRunAction(
+                () => GitHubAPI.cancelWorkflowRun(runId, TokenService.getToken(), this.githubConfig, { force }),
+                force ? 'Force-cancel requested' : 'Cancellation requested',
+                force ? 'Failed to force-cancel run' : 'Failed to cancel run'
+            );
+        },
+
+        /**
+         * Re-run a workflow run (all jobs or failed jobs only)
+         */
+        async rerunRun(runId, options = {}) {
+            const failedOnly = !!options.failedOnly;
+            const question = failedOnly
+                ? `Re-run failed jobs of run ${runId}?`
+                : `Re-run all jobs of run ${runId}?`;
+
+            if (!runId) return;
+
+            // Re-runs are new runs on the same environment: same policy as a dispatch
+            const canonical = this.mergedHistory.find(e => e.runId === runId)?.canonical;
+            if (!this.checkRerunConfig(runId, canonical)) return;
+
+            if (canonical) {
+                const environment = canonical.test.environment.type;
+                if (RunPolicy.getPolicy(this.testConfig, environment)?.confirmationPhrase) {
+                    // The typed phrase is the confirmation; asked in the re-run modal because the form may show another environment
+                    this.rerunModal = { visible: true, runId, failedOnly, canonical };
+                    return;
+                }
+
+                if (!this.enforcePolicy([canonical])) return;
+            }
+
+            if (!confirm(question)) return;
+
+            await this.performRerun(runId, failedOnly);
+        },
+
+        /**
+         * Re-run the run of the re-run modal once its policy is confirmed
+         */
+        async confirmRerun() {
+            const { runId, failedOnly, canonical } = this.rerunModal;
+
+            // Close first so a policy error in the status area is not hidden behind the modal
+            this.closeRerunModal();
+
+            if (!this.enforcePolicy([canonical])) return;
+
+            await this.performRerun(runId, failedOnly);
+        },
+
+        /**
+         * Close the re-run modal
+         */
+        closeRerunModal() {
+            this.rerunModal = { visible: false, runId: null, failedOnly: false, canonical: null };
+        },
+
+        /**
+         * Request a re-run and track the new attempt
+         */
+        async performRerun(runId, failedOnly) {
+            const success = await this.performRunAction(
+                () => GitHubAPI.rerunWorkflowRun(runId, TokenService.getToken(), this.githubConfig, { failedOnly }),
+                failedOnly ? 'Re-run of failed jobs requested' : 'Re-run requested',
+                'Failed to re-run workflow'
+            );
+
+            if (success) {
+                this.policyConfirmations = {};
+                const entry = this.history.entries.find(e => e.runId === runId);
+                this.trackExistingRun(runId, entry ? entry.id : null);
+            }
+        },
+
+        /**
+         * Check that a re-run has a recorded configuration whenever policies exist
+         * Without one, its environment policy cannot be checked
+         * @returns {boolean} True if the re-run can be checked against the policy
+         */
+        checkRerunConfig(runId, canonical) {
+            if (canonical?.test?.environment) return true;
+
+            const protectedEnvironments = Object.keys(this.testConfig?.environment || {})
+                .filter(environment => RunPolicy.getPolicy(this.testConfig, environment));
+
+            if (protectedEnvironments.length === 0) return true;
+
+            this.showSafeStatus('error', {
+                lines: [
+                    `The configuration of run ${runId} is unknown, so its environment policy cannot be checked.`,
+                    'Dispatch it again from the form instead.'
+                ]
+            });
+            return false;
+        },
+
+        /**
+         * Execute a run action and report result
+         * @returns {Promise<boolean>} True if the action succeeded
+         */
+        async performRunAction(action, successMessage, errorTitle) {
+            if (!this.hasToken) {
+                this.openModal();
+                return false;
+            }
+
+            this.runActionPending = true;
+
+            try {
+                const result = await action();
+
+                if (result.success) {
+                    this.showSafeStatus('success', { lines: [successMessage] });
+                    this.refreshHistory();
+                    return true;
+                }
+
+                this.handleError(result, errorTitle);
+                return false;
+            } finally {
+                this.runActionPending = false;
+            }
+        },
+
+        /**
+         * Hide live run status panel
+         */
+        dismissRunStatus() {
+            this.stopTracking();
+            this.runTracker.visible = false;
+        },
+
+        /**
+         * Load inputs declared by the workflow
+         * @returns {Promise<Array|null>} Inputs or null if they could not be loaded
+         */
+        async loadWorkflowSchema(options = {}) {
+            if (!this.hasToken) return null;
+
+            this.workflowSchema.loading = true;
+            this.workflowSchema.error = null;
+
+            try {
+                const result = await WorkflowSchemaService.loadInputs(
+                    TokenService.getToken(),
+                    this.dispatchConfig,
+                    options
+                );
+
+                if (!result.success) {
+                    this.workflowSchema.error = result.message;
+                    return null;
+                }
+
+                this.workflowSchema.inputs = result.inputs;
+                this.workflowSchema.path = result.path;
+                return result.inputs;
+            } finally {
+                this.workflowSchema.loading = false;
+            }
+        },
+
+        /**
+         * Load branches and tags for the ref picker
+         */
+        async loadRefs(options = {}) {
+            if (!this.hasToken || this.refPicker.loading) return;
+            if (this.refPicker.refs.length > 0 && !options.refresh) return;
+
+            const targetId = this.target.id;
+            this.refPicker.loading = true;
+            this.refPicker.error = null;
+
+            try {
+                const result = await RefService.loadRefs(TokenService.getToken(), this.githubConfig, options);
+
+                if (targetId !== this.target.id) return;
+
+                if (result.success) {
+                    this.refPicker.refs = result.refs;
+                    this.refPicker.truncated = result.truncated;
+                } else {
+                    this.refPicker.error = result.message;
+                }
+            } finally {
+                this.refPicker.loading = false;
+            }
+        },
+
+        /**
+         * Load schedules committed to the target repository
+         */
+        async loadSchedules() {
+            if (!this.hasToken) {
+                this.openModal();
+                return;
+            }
+
+            const targetId = this.target.id;
+            this.schedules.loading = true;
+            this.schedules.error = null;
+
+            try {
+                const result = await ScheduleService.list(TokenService.getToken(), this.githubConfig);
+
+                if (targetId !== this.target.id) return;
+
+                if (result.success) {
+                    this.schedules.items = result.schedules;
+                    this.schedules.branch = result.branch;
+                    this.schedules.loaded = true;
+                } else {
+                    this.schedules.error = result.message;
+                }
+            } finally {
+                this.schedules.loading = false;
+            }
+        },
+
+        /**
+         * Open the schedule modal for a new schedule (current form) or an existing one
+         */
+        openScheduleModal(schedule = null) {
+            if (!this.hasToken) {
+                this.openModal();
+                return;
+            }
+
+            const form = this.scheduleModal.form;
+
+            if (schedule) {
+                Object.assign(form, {
+                    name: schedule.name,
+                    mode: schedule.mode,
+                    runAt: schedule.runAt ? this.toLocalDateTime(schedule.runAt) : '',
+                    time: schedule.time || '02:00',
+                    weekdays: schedule.weekdays?.length ? [...schedule.weekdays] : [1, 2, 3, 4, 5],
+                    cron: schedule.mode === 'cron' ? schedule.cron : ''
+                });
+            } else {
+                // Default to the next full hour
+                const next = new Date();
+                next.setHours(next.getHours() + 1, 0, 0, 0);
+
+                Object.assign(form, {
+                    name: '',
+                    mode: 'once',
+                    runAt: this.toLocalDateTime(next.toISOString()),
+                    time: '02:00',
+                    weekdays: [1, 2, 3, 4, 5],
+                    cron: ''
+                });
+            }
+
+            this.scheduleModal.editing = schedule;
+            this.scheduleModal.replaceConfig = false;
+            this.scheduleModal.confirmation = '';
+            this.scheduleModal.errors = [];
+            this.scheduleModal.visible = true;
+
+            this.$nextTick(() => {
+                UIService.focusElement('schedule-name');
+            });
+        },
+
+        /**
+         * Close the schedule modal
+         */
+        closeScheduleModal() {
+            this.scheduleModal.visible = false;
+            this.scheduleModal.editing = null;
+            this.scheduleModal.confirmation = '';
+            this.scheduleModal.errors = [];
+        },
+
+        /**
+         * Commit the schedule from the modal to the target repository
+         */
+        async saveSchedule() {
+            const editing = this.scheduleModal.editing;
+            const useForm = !editing || this.scheduleModal.replaceConfig;
+
+            if (useForm && !this.currentCanonicalConfig) {
+                this.scheduleModal.errors = ['Complete the test configuration first'];
+                return;
+            }
+
+            const form = this.scheduleModal.form;
+            const canonical = useForm ? this.currentCanonicalConfig : editing.canonical;
+            const runAt = form.runAt ? new Date(form.runAt).toISOString() : '';
+
+            // Every save is checked: timing edits can move runs out of the allowed windows
+            if (canonical?.test?.environment) {
+                const check = RunPolicy.checkSchedule(this.testConfig, canonical, { ...form, runAt });
+
+                if (!check.allowed) {
+                    this.scheduleModal.errors = check.violations;
+                    return;
+                }
+
+                if (!RunPolicy.isConfirmed(check.policy, this.scheduleModal.confirmation)) {
+                    this.scheduleModal.errors = [`Type ${check.policy.confirmationPhrase} to schedule runs on ${this.schedulePolicy.label}`];
+                    return;
+                }
+            }
+
+            const data = {
+                ...form,
+                runAt,
+                id: editing?.id,
+                sha: editing?.sha,
+                createdAt: editing?.createdAt,
+                canonical,
+                format: useForm ? this.payloadFormat : editing.format,
+                ref: useForm ? this.dispatchConfig.branch : editing.ref
+            };
+
+            const targetId = this.target.id;
+            this.scheduleModal.saving = true;
+            this.scheduleModal.errors = [];
+
+            try {
+                const result = await ScheduleService.save(data, TokenService.getToken(), this.githubConfig);
+
+                if (targetId !== this.target.id) return;
+
+                if (!result.success) {
+                    this.scheduleModal.errors = result.errors || [result.message];
+                    return;
+                }
+
+                this.schedules.items = [
+                    ...this.schedules.items.filter(item => item.id !== result.schedule.id),
+                    result.schedule
+                ].sort((a, b) => a.name.localeCompare(b.name));
+                this.schedules.branch = result.branch;
+
+                this.closeScheduleModal();
+                this.showSafeStatus('success', {
+                    lines: [
+                        `Schedule "${result.schedule.name}" ${editing ? 'updated' : 'created'}`,
+                        `${this.describeSchedule(result.schedule)} · committed to ${result.branch}, dispatches ${result.schedule.ref}`
+                    ],
+                    link: {
+                        url: `https://github.com/${this.githubConfig.owner}/${this.githubConfig.repo}/blob/${result.branch}/${result.schedule.path}`,
+                        text: 'View workflow file'
+                    }
+                });
+            } finally {
+                this.scheduleModal.saving = false;
+            }
+        },
+
+        /**
+         * Delete a schedule from the target repository
+         */
+        async deleteSchedule(schedule) {
+            if (!confirm(`Delete schedule "${schedule.name}"? This commits the removal of ${schedule.path}.`)) return;
+
+            const result = await ScheduleService.remove(schedule, TokenService.getToken(), this.githubConfig);
+
+            if (!result.success) {
+                this.handleError(result, 'Failed to delete schedule');
+                return;
+            }
+
+            this.schedules.items = this.schedules.items.filter(item => item.id !== schedule.id);
+            this.showSafeStatus('success', {
+                lines: [`Schedule "${schedule.name}" deleted`]
+            });
+        },
+
+        /**
+         * Load the configuration of a schedule into the form
+         */
+        editScheduleConfig(schedule) {
+            const restored = this.restoreFromHistory({
+                canonical: schedule.canonical,
+                format: schedule.format,
+                target: { ref: schedule.ref }
+            });
+
+            if (!restored) return;
+
+            this.scrollToSection('run');
+            this.showSafeStatus('info', {
+                lines: [
+                    `Loaded configuration of schedule "${schedule.name}"`,
+                    'Adjust it, then edit the schedule and replace its configuration'
+                ]
+            });
+        },
+
+        /**
+         * Human-readable timing of a schedule
+         */
+        describeSchedule(schedule) {
+            return ScheduleWorkflow.describe(schedule);
+        },
+
+        /**
+         * Check whether a one-time schedule already ran
+         */
+        isScheduleExpired(schedule) {
+            return ScheduleWorkflow.isExpired(schedule);
+        },
+
+        /**
+         * Convert an ISO timestamp to a datetime-local input value
+         */
+        toLocalDateTime(iso) {
+            const date = new Date(iso);
+            const pad = value => String(value).padStart(2, '0');
+
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        },
+
+        /**
+         * Show or hide the workflow inputs preview
+         */
+        toggleWorkflowInputs() {
+            this.workflowSchema.open = !this.workflowSchema.open;
+
+            if (this.workflowSchema.open && !this.workflowSchema.inputs) {
+                this.loadWorkflowSchema();
+            }
+        },
+
+        /**
+         * Download the generated simulation as a source file
+         */
+        downloadSimulation() {
+            UIService.downloadFile(this.simulationFileName, this.generatedSimulation, 'text/plain');
+            console.log(`💾 Simulation downloaded: ${this.simulationFileName}`);
+        },
+
+        /**
+         * Short preview of an input value
+         */
+        formatInputValue(value) {
+            if (value === null || value === undefined) return '';
+
+            const str = String(value);
+            return str.length > 60 ? `${str.slice(0, 60)}… (${str.length} chars)` : str;
+        },
+
+        /**
+         * Show or hide the job log viewer
+         */
+        toggleJobLogs() {
+            this.jobLogs.open = !this.jobLogs.open;
+
+            if (!this.jobLogs.open) {
+                this.stopJobLogsPolling();
+                return;
+            }
+
+            this.refreshJobLogs();
+
+            if (!this.runTracker.completed) {
+                this.startJobLogsPolling();
+            }
+        },
+
+        /**
+         * Load jobs, step status and the log of the selected job
+         */
+        async refreshJobLogs() {
+            const runId = this.runTracker.runId;
+            if (!runId || this.jobLogs.loading) return;
+
+            const token = TokenService.getToken();
+            this.jobLogs.loading = true;
+            this.jobLogs.error = null;
+
+            try {
+                const listed = await JobLogService.loadJobs(runId, token, this.githubConfig);
+
+                // Ignore responses for a run that is no longer tracked
+                if (runId !== this.runTracker.runId) return;
+
+                if (!listed.success) {
+                    this.jobLogs.error = listed.message;
+                    return;
+                }
+
+                this.jobLogs.jobs = listed.jobs;
+
+                const job = JobLogService.pickJob(listed.jobs, this.jobLogs.jobId);
+                if (!job) {
+                    this.jobLogs.note = 'No jobs have started yet';
+                    return;
+                }
+
+                this.jobLogs.jobId = job.id;
+
+                const log = await JobLogService.loadJobLog(job, token, this.githubConfig);
+                if (runId !== this.runTracker.runId) return;
+
+                if (log.success) {
+                    this.jobLogs.lines = log.lines;
+                    this.jobLogs.truncated = log.truncated;
+                    this.jobLogs.note = '';
+                } else if (log.pending) {
+                    this.jobLogs.note = log.message;
+                } else {
+                    this.jobLogs.error = log.message;
+                }
+            } finally {
+                this.jobLogs.loading = false;
+            }
+        },
+
+        /**
+         * Show the log of another job
+         */
+        selectJob(jobId) {
+            if (jobId === this.jobLogs.jobId) return;
+
+            Object.assign(this.jobLogs, {
+                jobId,
+                stepNumber: null,
+                lines: [],
+                truncated: false,
+                note: ''
+            });
+
+            this.refreshJobLogs();
+        },
+
+        /**
+         * Limit the log to one step (click again to show all steps)
+         */
+        selectStep(stepNumber) {
+            this.jobLogs.stepNumber = this.jobLogs.stepNumber === stepNumber ? null : stepNumber;
+        },
+
+        /**
+         * Icon for a job or step state
+         */
+        jobStateIcon(item) {
+            return JobLogService.stateIcon(item);
+        },
+
+        /**
+         * Refresh logs periodically while the run is in progress
+         */
+        startJobLogsPolling() {
+            this.stopJobLogsPolling();
+
+            this.jobLogsTimer = setInterval(() => {
+                if (this.runTracker.completed) {
+                    this.stopJobLogsPolling();
+                    return;
+                }
+                this.refreshJobLogs();
+            }, JobLogService.POLL_INTERVAL);
+        },
+
+        /**
+         * Stop log auto-refresh
+         */
+        stopJobLogsPolling() {
+            if (this.jobLogsTimer) {
+                clearInterval(this.jobLogsTimer);
+                this.jobLogsTimer = null;
+            }
+        },
+
+        /**
+         * Close the log viewer and clear loaded logs
+         */
+        resetJobLogs() {
+            this.stopJobLogsPolling();
+
+            Object.assign(this.jobLogs, {
+                open: false,
+                loading: false,
+                error: null,
+                note: '',
+                jobs: [],
+                jobId: null,
+                stepNumber: null,
+                lines: [],
+                truncated: false,
+                query: ''
+            });
+        },
+
+        /**
+         * Load locally recorded runs and refresh from GitHub
+         */
+        loadHistory() {
+            this.history.entries = HistoryService.loadHistory();
+
+            if (this.hasToken) {
+                this.refreshHistory();
+            }
+        },
+
+        /**
+         * Fetch recent workflow runs from GitHub Actions
+         */
+        async refreshHistory() {
+            const token = TokenService.getToken();
+            const targetId = this.target.id;
+
+            if (!token) {
+                this.history.error = 'Set a GitHub token to load runs from GitHub Actions';
+                return;
+            }
+
+            this.history.loading = true;
+            this.history.error = null;
+
+            try {
+                const result = await GitHubAPI.listWorkflowRuns(token, this.githubConfig, {
+                    per_page: 100
+                });
+
+                // Ignore runs of a target that is no longer active
+                if (targetId !== this.target.id) return;
+
+                if (result.success) {
+                    this.history.remoteRuns = result.runs;
+                    this.history.lastFetched = new Date().toISOString();
+                } else {
+                    this.history.error = result.message;
+                }
+            } finally {
+                this.history.loading = false;
+            }
+        },
+
+        /**
+         * Record a successful dispatch in history
+         */
+        recordHistoryEntry(result, canonicalConfig) {
+            const recorded = HistoryService.recordRun(this.history.entries, {
+                canonical: canonicalConfig,
+                format: this.payloadFormat,
+                target: { ...this.githubConfig, ref: result.ref },
+                dispatchedAt: result.dispatchedAt
+            });
+
+            this.history.entries = recorded.entries;
+            return recorded.entry;
+        },
+
+        /**
+         * Summary of a history entry for the table
+         */
+        describeHistoryEntry(entry) {
+            return HistoryService.describe(entry);
+        },
+
+        /**
+         * Format history timestamp for display
+         */
+        formatHistoryTime(timestamp) {
+            return timestamp ? new Date(timestamp).toLocaleString() : '';
+        },
+
+        /**
+         * Run duration of a history entry
+         */
+        historyDuration(entry) {
+            if (!entry.startedAt) return '';
+            return RunTrackerService.formatElapsed(entry.startedAt, entry.completedAt || this.runClock);
+        },
+
+        /**
+         * Go to history page
+         */
+        goToHistoryPage(page) {
+            this.history.page = Math.min(Math.max(1, page), this.historyPage.totalPages);
+        },
+
+        /**
+         * Reset history filters
+         */
+        clearHistoryFilters() {
+            Object.keys(this.history.filters).forEach(key => {
+                this.history.filters[key] = '';
+            });
+        },
+
+        /**
+         * Expand or collapse the report row of a history entry
+         */
+        toggleHistoryReport(entry) {
+            if (this.history.expandedId === entry.id) {
+                this.history.expandedId = null;
+                return;
+            }
+
+            this.history.expandedId = entry.id;
+
+            if (!this.reports.byRunId[entry.runId]) {
+                this.loadReport(entry.runId);
+            }
+        },
+
+        /**
+         * Download and parse the Gatling report of a run
+         */
+        async loadReport(runId, options = {}) {
+            if (!runId || this.reports.loading[runId]) return;
+
+            const token = TokenService.getToken();
+
+            // Cached summaries are usable without a token
+            const cached = options.refresh ? null : ReportService.getCachedReport(runId);
+            if (cached) {
+                this.reports.byRunId[runId] = cached;
+                return;
+            }
+
+            if (!token) {
+                this.openModal();
+                return;
+            }
+
+            this.reports.loading[runId] = true;
+            this.reports.errors[runId] = null;
+
+            try {
+                const result = await ReportService.loadRunReport(runId, token, this.githubConfig, options);
+
+                if (result.success) {
+                    this.reports.byRunId[runId] = result.report;
+                } else {
+                    this.reports.errors[runId] = result.message;
+                }
+            } finally {
+                this.reports.loading[runId] = false;
+            }
+        },
+
+        /**
+         * Format milliseconds metric
+         */
+        formatMs(value) {
+            return value || value === 0 ? `${Math.round(value)} ms` : '—';
+        },
+
+        /**
+         * Format throughput metric
+         */
+        formatRps(value) {
+            return value || value === 0 ? `${Number(value).toFixed(2)} rps` : '—';
+        },
+
+        /**
+         * Toggle a history entry in the comparison selection
+         */
+        toggleCompareSelection(entry) {
+            const index = this.comparison.selectedIds.indexOf(entry.id);
+
+            if (index === -1) {
+                this.comparison.selectedIds.push(entry.id);
+            } else {
+                this.comparison.selectedIds.splice(index, 1);
+            }
+        },
+
+        /**
+         * Show comparison panel and load missing reports
+         */
+        openComparison() {
+            this.comparison.visible = true;
+
+            this.comparedEntries.forEach(entry => {
+                if (!this.reports.byRunId[entry.runId]) {
+                    this.loadReport(entry.runId);
+                }
+            });
+
+            this.$nextTick(() => {
+                UIService.scrollToElement('.comparison-card', { block: 'start' });
+            });
+        },
+
+        /**
+         * Hide comparison panel and clear selection
+         */
+        closeComparison() {
+            this.comparison.visible = false;
+            this.comparison.selectedIds = [];
+        },
+
+        /**
+         * Restore default regression thresholds
+         */
+        resetComparisonThresholds() {
+            this.comparison.thresholds = { ...RunComparison.DEFAULT_THRESHOLDS };
+        },
+
+        /**
+         * Format a metric delta
+         */
+        formatDelta(delta, key) {
+            return RunComparison.formatDelta(delta, key);
+        },
+
+        /**
+         * CSS class for a metric delta
+         */
+        deltaClass(delta) {
+            if (!delta) return '';
+            if (delta.regression) return 'delta-regression';
+            if (delta.improvement) return 'delta-improvement';
+            return '';
+        },
+
+        /**
+         * Format a metric value of the comparison table
+         */
+        formatMetric(value, key) {
+            if (value === undefined || value === null) return '—';
+            if (key === 'koPercent') return `${value}%`;
+            if (key === 'throughput') return this.formatRps(value);
+            return this.formatMs(value);
+        },
+
+        /**
+         * Format a config value for the config diff
+         */
+        formatConfigValue(value) {
+            return value === undefined ? '—' : JSON.stringify(value);
+        },
+
+        /**
+         * Analyze the selected run with the selected analyzer
+         */
+        async analyzeRun() {
+            const entry = this.mergedHistory.find(e => e.id === this.insights.entryId);
+
+            if (!entry) {
+                this.insights.error = 'Select a completed run to analyze';
+                return;
+            }
+
+            this.insights.loading = true;
+            this.insights.error = null;
+            this.insights.result = null;
+
+            try {
+                if (!this.reports.byRunId[entry.runId]) {
+                    await this.loadReport(entry.runId);
+                }
+
+                const report = this.reports.byRunId[entry.runId];
+
+                if (!report) {
+                    this.insights.error = this.reports.errors[entry.runId] || 'Report is not available for this run';
+                    return;
+                }
+
+                const result = await InsightsService.analyze(
+                    { entry, canonical: entry.canonical, report },
+                    this.insights.analyzerId
+                );
+
+                if (result.success) {
+                    this.insights.result = result;
+                } else {
+                    this.insights.error = result.message;
+                }
+            } finally {
+                this.insights.loading = false;
+            }
+        },
+
+        /**
+         * Open AI Insights for a history entry
+         */
+        analyzeFromHistory(entry) {
+            this.insights.entryId = entry.id;
+            this.scrollToSection('ai');
+            this.analyzeRun();
+        },
+
+        /**
+         * Option label of a run in the insights selector
+         */
+        insightEntryLabel(entry) {
+            const summary = HistoryService.describe(entry);
+            const parts = [`#${entry.runNumber}`, this.formatHistoryTime(entry.timestamp)];
+
+            if (summary.loadType) {
+                parts.push(`${summary.loadType} · ${summary.environment} · ${summary.scenario}`);
+            }
+
+            parts.push(summary.state);
+            return parts.join(' — ');
+        },
+
+        /**
+         * Remove locally recorded history
+         */
+        clearHistory() {
+            if (!confirm('Clear locally recorded run history? Runs on GitHub are not affected.')) {
+                return;
+            }
+
+            HistoryService.clearHistory();
+            this.history.entries = [];
         },
 
         /**
          * Handle errors
          */
-        handleError(result) {
-            const lines = ['Failed to trigger workflow', ''];
+        handleError(result, title = 'Failed to trigger workflow') {
+            const lines = [title, ''];
             const list = [];
 
             const errorMessage = result.message || 'Unknown error';
@@ -878,10 +3777,11 @@ createApp({
                 lines.push(errorMessage);
                 lines.push('');
                 lines.push('Check:');
-                list.push(`Repository: ${this.config.REPO_OWNER}/${this.config.REPO_NAME}`);
-                list.push(`Workflow file: .github/workflows/${this.config.WORKFLOW_FILE}`);
+                list.push(`Repository: ${this.githubConfig.owner}/${this.githubConfig.repo}`);
+                list.push(`Workflow file: .github/workflows/${this.githubConfig.workflow}`);
             } else {
                 lines.push(errorMessage);
+                (result.errors || []).forEach(error => list.push(error));
             }
 
             this.showSafeStatus('error', { lines, list });
@@ -957,6 +3857,8 @@ createApp({
             if (result.success) {
                 this.hasToken = true;
                 this.closeModal();
+                this.refreshHistory();
+                this.loadTeamPresets();
                 
                 this.showSafeStatus('success', {
                     lines: ['Token saved successfully! You can now trigger tests.']
@@ -972,6 +3874,8 @@ createApp({
                     if (forceResult.success) {
                         this.hasToken = true;
                         this.closeModal();
+                        this.refreshHistory();
+                        this.loadTeamPresets();
                         
                         this.showSafeStatus('success', {
                             lines: ['Token saved successfully! You can now trigger tests.']
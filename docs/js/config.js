@@ -4,7 +4,7 @@
  */
 
 const CONFIG = {
-    // GitHub Repository (single source of truth)
+    // GitHub Repository (default target)
     github: {
         owner: 'FilchakovVitalii',
         repo: 'gatling.perf.ez',
@@ -12,17 +12,33 @@ const CONFIG = {
         branch: 'dev',
         apiBase: 'https://api.github.com'
     },
+
+    // Additional GitHub targets shown in the header switcher (CONFIG.github is the default)
+    // Each target may load its own test configuration via configUrl
+    // e.g. { id: 'checkout', name: 'Checkout team', owner: 'acme', repo: 'checkout-perf',
+    //        workflow: 'gatling.yml', branch: 'main', configUrl: 'configs/checkout.json' }
+    targets: [],
+
+    // Team presets shared through the target repository (presets.json next to config.json without a token)
+    teamPresets: {
+        path: '.github/perf-runner/presets.json'
+    },
     
     // Local Storage Keys
     storage: {
         tokenKey: 'perf_runner_github_token',
-        presetsKey: 'perf_runner_user_presets'
+        presetsKey: 'perf_runner_user_presets',
+        historyKey: 'perf_runner_history',
+        reportsKey: 'perf_runner_reports',
+        thresholdsKey: 'perf_runner_compare_thresholds',
+        targetKey: 'perf_runner_active_target',
+        targetsKey: 'perf_runner_targets'
     },
     
     // Application Settings
     app: {
         version: '0.9.0-hocon',
-        defaultOutputFormat: 'env'  // 'json', 'env', or 'hocon'
+        defaultOutputFormat: 'env'  // 'json', 'env', 'hocon' or 'yaml'
     }
 };
 
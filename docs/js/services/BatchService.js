@@ -0,0 +1,97 @@
+/**
+ * Batch Service
+ * Dispatches a matrix of configurations sequentially with throttling
+ *
+ * @module BatchService
+ */
+
+const BatchService = {
+    /**
+     * Pause between dispatches (ms) to stay clear of GitHub secondary rate limits
+     */
+    THROTTLE_MS: 3000,
+
+    /**
+     * Dispatch batch items one after another
+     * @param {Array<Object>} items - Items from BatchMatrix.build
+     * @param {Object} options - Dispatch options
+     * @param {string} options.token - GitHub personal access token
+     * @param {Object} options.githubConfig - GitHub configuration (branch = dispatched ref)
+     * @param {string} options.format - Output format
+     * @param {Array<Object>} options.inputs - Declared workflow inputs (optional)
+     * @param {AbortSignal} options.signal - Stops before the next dispatch when aborted
+     * @param {Function} onProgress - Called with (index, { status, message, result })
+     * @returns {Promise<Object>} Summary with { succeeded, failed, skipped }
+     */
+    async run(items, options, onProgress) {
+        const { token, githubConfig, format, inputs, signal } = options;
+        const summary = { succeeded: 0, failed: 0, skipped: 0 };
+
+        for (let index = 0; index < items.length; index++) {
+            if (index > 0) {
+                await this.wait(this.THROTTLE_MS, signal);
+            }
+
+            if (signal?.aborted) {
+                onProgress(index, { status: 'skipped', message: 'Batch stopped' });
+                summary.skipped++;
+                continue;
+            }
+
+            const item = items[index];
+            onProgress(index, { status: 'sending' });
+
+            const validation = CanonicalMapper.validate(item.canonical);
+            if (!validation.valid) {
+                onProgress(index, { status: 'failed', message: validation.errors.join(', ') });
+                summary.failed++;
+                continue;
+            }
+
+            const result = await GitHubAPI.triggerWorkflow(item.canonical, token, githubConfig, format, { inputs });
+
+            if (result.success) {
+                onProgress(index, { status: 'success', result });
+                summary.succeeded++;
+            } else {
+                const details = result.errors ? ` (${result.errors.join('; ')})` : '';
+                onProgress(index, { status: 'failed', message: result.message + details });
+                summary.failed++;
+            }
+        }
+
+        console.log(`📦 Batch finished: ${summary.succeeded} dispatched, ${summary.failed} failed, ${summary.skipped} skipped`);
+        return summary;
+    },
+
+    /**
+     * Wait, resolving early when the signal is aborted
+     * @param {number} ms - Delay
+     * @param {AbortSignal} signal - Abort signal (optional)
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise(resolve => {
+            if (signal?.aborted) {
+                resolve();
+                return;
+            }
+
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                resolve();
+            }, { once: true });
+        });
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.BatchService = BatchService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchService;
+}
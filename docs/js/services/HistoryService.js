@@ -0,0 +1,302 @@
+/**
+ * Run History Service
+ * Records runs triggered from the UI and merges them with GitHub Actions runs
+ *
+ * @module HistoryService
+ */
+
+const HistoryService = {
+    /**
+     * Storage key for run history
+     */
+    get STORAGE_KEY() {
+        return window.CONFIG?.storage?.historyKey || 'perf_runner_history';
+    },
+
+    /**
+     * Maximum number of locally recorded runs
+     */
+    MAX_ENTRIES: 100,
+
+    /**
+     * Default page size for the history table
+     */
+    PAGE_SIZE: 10,
+
+    /**
+     * Known run conclusions (plus in-flight states) for filtering
+     */
+    CONCLUSIONS: ['success', 'failure', 'cancelled', 'timed_out', 'in_progress', 'queued'],
+
+    /**
+     * Load recorded runs from localStorage
+     * @returns {Array} Array of history entries (newest first)
+     */
+    loadHistory() {
+        const entries = StorageUtils.getJSON(this.STORAGE_KEY, []);
+
+        if (!Array.isArray(entries)) {
+            return [];
+        }
+
+        return entries.filter(entry => entry && entry.id && entry.timestamp);
+    },
+
+    /**
+     * Save recorded runs to localStorage
+     * @param {Array} entries - History entries
+     * @returns {boolean} True if saved successfully
+     */
+    saveHistory(entries) {
+        const saved = StorageUtils.setJSON(this.STORAGE_KEY, entries.slice(0, this.MAX_ENTRIES));
+
+        if (!saved) {
+            console.error('Failed to save run history');
+        }
+
+        return saved;
+    },
+
+    /**
+     * Record a run triggered from the UI
+     * @param {Array} currentEntries - Current history entries
+     * @param {Object} run - Run details
+     * @param {Object} run.canonical - Canonical configuration that was sent
+     * @param {string} run.format - Dispatch format (json/env/hocon/yaml)
+     * @param {Object} run.target - GitHub target (owner, repo, workflow, ref)
+     * @param {string} run.dispatchedAt - ISO timestamp of the dispatch
+     * @returns {Object} Result with { entries, entry }
+     */
+    recordRun(currentEntries, run) {
+        const entry = {
+            id: 'run-' + Date.now(),
+            source: 'ui',
+            timestamp: run.dispatchedAt || new Date().toISOString(),
+            canonical: run.canonical,
+            format: run.format,
+            target: {
+                owner: run.target.owner,
+                repo: run.target.repo,
+                workflow: run.target.workflow,
+                ref: run.target.ref || run.target.branch
+            },
+            actor: run.actor || null,
+            runId: null,
+            runNumber: null,
+            status: 'queued',
+            conclusion: null,
+            htmlUrl: '',
+            startedAt: null,
+            completedAt: null
+        };
+
+        const entries = [entry, ...currentEntries];
+        this.saveHistory(entries);
+
+        console.log('📝 Run recorded in history:', entry.id);
+
+        return { entries, entry };
+    },
+
+    /**
+     * Update a recorded run with live status from RunTrackerService
+     * @param {Array} currentEntries - Current history entries
+     * @param {string} entryId - History entry ID
+     * @param {Object} snapshot - Run status snapshot
+     * @returns {Array} Updated entries
+     */
+    updateRun(currentEntries, entryId, snapshot) {
+        if (snapshot.phase !== 'tracking') {
+            return currentEntries;
+        }
+
+        const entries = currentEntries.map(entry => {
+            if (entry.id !== entryId) return entry;
+
+            return {
+                ...entry,
+                runId: snapshot.runId,
+                runNumber: snapshot.runNumber,
+                status: snapshot.status,
+                conclusion: snapshot.conclusion,
+                htmlUrl: snapshot.htmlUrl,
+                actor: snapshot.actor || entry.actor,
+                startedAt: snapshot.startedAt,
+                completedAt: snapshot.completedAt
+            };
+        });
+
+        this.saveHistory(entries);
+        return entries;
+    },
+
+    /**
+     * Remove all recorded runs
+     * @returns {boolean} True if cleared
+     */
+    clearHistory() {
+        return StorageUtils.removeItem(this.STORAGE_KEY);
+    },
+
+    /**
+     * Merge local entries with runs fetched from the GitHub Actions API
+     * Local entries are refreshed with remote status; remote-only runs are appended
+     * @param {Array} localEntries - Recorded history entries
+     * @param {Array} remoteRuns - Workflow runs from GitHubAPI.listWorkflowRuns
+     * @param {Object} target - GitHub target the remote runs belong to
+     * @returns {Array} Merged entries sorted newest first
+     */
+    mergeWithRemote(localEntries, remoteRuns, target) {
+        const remoteById = new Map(remoteRuns.map(run => [run.id, run]));
+        const merged = [];
+
+        localEntries.forEach(entry => {
+            const run = entry.runId ? remoteById.get(entry.runId) : null;
+
+            if (run) {
+                remoteById.delete(run.id);
+                merged.push({ ...entry, ...this.runFields(run) });
+            } else {
+                merged.push(entry);
+            }
+        });
+
+        remoteById.forEach(run => {
+            merged.push({
+                id: 'gh-' + run.id,
+                source: 'github',
+                timestamp: run.created_at,
+                canonical: null,
+                format: null,
+                target: {
+                    owner: target.owner,
+                    repo: target.repo,
+                    workflow: target.workflow,
+                    ref: run.head_branch
+                },
+                ...this.runFields(run)
+            });
+        });
+
+        return merged.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    },
+
+    /**
+     * Check if an entry was dispatched to a GitHub target
+     * @param {Object} entry - History entry
+     * @param {Object} githubConfig - GitHub configuration (owner, repo, workflow)
+     * @returns {boolean} True if the entry belongs to the target
+     */
+    belongsToTarget(entry, githubConfig) {
+        const target = entry.target;
+        if (!target) return true;
+
+        const same = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+
+        return same(target.owner, githubConfig.owner)
+            && same(target.repo, githubConfig.repo)
+            && same(target.workflow, githubConfig.workflow);
+    },
+
+    /**
+     * Extract history fields from a GitHub run object
+     * @param {Object} run - Workflow run from the GitHub API
+     * @returns {Object} Run fields
+     */
+    runFields(run) {
+        const completed = run.status === 'completed';
+
+        return {
+            runId: run.id,
+            runNumber: run.run_number,
+            status: run.status,
+            conclusion: run.conclusion,
+            htmlUrl: run.html_url,
+            actor: run.actor?.login || null,
+            startedAt: run.run_started_at || run.created_at,
+            completedAt: completed ? run.updated_at : null
+        };
+    },
+
+    /**
+     * Describe an entry for display and filtering
+     * @param {Object} entry - History entry
+     * @returns {Object} Summary with { loadType, environment, scenario, targetUrl, users, duration, state }
+     */
+    describe(entry) {
+        const test = entry.canonical?.test;
+        const profile = test?.load?.profiles?.[test.type];
+
+        return {
+            loadType: test?.type || '',
+            environment: test?.environment?.type || '',
+            scenario: test?.simulation || '',
+            targetUrl: test?.environment?.url || '',
+            users: profile?.users,
+            duration: profile?.duration,
+            state: this.getState(entry)
+        };
+    },
+
+    /**
+     * Get display state of an entry (conclusion when completed, status otherwise)
+     * @param {Object} entry - History entry
+     * @returns {string} State
+     */
+    getState(entry) {
+        if (entry.status === 'completed') {
+            return entry.conclusion || 'completed';
+        }
+        return entry.status || 'queued';
+    },
+
+    /**
+     * Filter entries
+     * @param {Array} entries - History entries
+     * @param {Object} filters - Filters (loadType, environment, scenario, conclusion); empty values match all
+     * @returns {Array} Filtered entries
+     */
+    filterEntries(entries, filters = {}) {
+        return entries.filter(entry => {
+            const summary = this.describe(entry);
+
+            if (filters.loadType && summary.loadType !== filters.loadType) return false;
+            if (filters.environment && summary.environment !== filters.environment) return false;
+            if (filters.scenario && summary.scenario !== filters.scenario) return false;
+            if (filters.conclusion && summary.state !== filters.conclusion) return false;
+
+            return true;
+        });
+    },
+
+    /**
+     * Paginate entries
+     * @param {Array} entries - Entries to paginate
+     * @param {number} page - 1-based page number
+     * @param {number} pageSize - Items per page
+     * @returns {Object} Page with { items, page, totalPages, total }
+     */
+    paginate(entries, page = 1, pageSize = this.PAGE_SIZE) {
+        const total = entries.length;
+        const totalPages = Math.max(1, Math.ceil(total / pageSize));
+        const current = Math.min(Math.max(1, page), totalPages);
+        const start = (current - 1) * pageSize;
+
+        return {
+            items: entries.slice(start, start + pageSize),
+            page: current,
+            totalPages,
+            total
+        };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.HistoryService = HistoryService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryService;
+}
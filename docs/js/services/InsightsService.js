@@ -0,0 +1,160 @@
+/**
+ * Insights Service
+ * Runs pluggable analyzers over run reports (offline by default)
+ *
+ * An analyzer is an object with:
+ *   id        - unique identifier
+ *   label     - display name
+ *   analyze(context) → Promise<{ summary, insights }>
+ * where context is { entry, canonical, report } and insights are
+ * { id, severity: 'success'|'info'|'warning'|'critical', title, detail }.
+ *
+ * @module InsightsService
+ */
+
+const InsightsService = {
+    /**
+     * Registered analyzers by ID
+     */
+    analyzers: {},
+
+    /**
+     * Analyzer used when none is selected
+     */
+    DEFAULT_ANALYZER: 'rules',
+
+    /**
+     * Register an analyzer
+     * @param {Object} analyzer - Analyzer implementing { id, label, analyze }
+     */
+    registerAnalyzer(analyzer) {
+        if (!analyzer?.id || typeof analyzer.analyze !== 'function') {
+            throw new Error('Analyzer must have an id and an analyze(context) function');
+        }
+
+        this.analyzers[analyzer.id] = analyzer;
+    },
+
+    /**
+     * List registered analyzers
+     * @returns {Array<Object>} Analyzers with { id, label }
+     */
+    listAnalyzers() {
+        return Object.values(this.analyzers).map(({ id, label }) => ({ id, label }));
+    },
+
+    /**
+     * Analyze a run
+     * @param {Object} context - Analysis context ({ entry, canonical, report })
+     * @param {string} analyzerId - Analyzer ID (default: DEFAULT_ANALYZER)
+     * @returns {Promise<Object>} Result with { success, summary, insights, analyzer } or { success: false, message }
+     */
+    async analyze(context, analyzerId = this.DEFAULT_ANALYZER) {
+        const analyzer = this.analyzers[analyzerId];
+
+        if (!analyzer) {
+            return {
+                success: false,
+                message: `Unknown analyzer: ${analyzerId}`
+            };
+        }
+
+        if (!context.report?.global) {
+            return {
+                success: false,
+                message: 'A parsed Gatling report is required for analysis'
+            };
+        }
+
+        try {
+            const result = await analyzer.analyze(context);
+
+            return {
+                success: true,
+                analyzer: analyzer.id,
+                summary: result.summary,
+                insights: result.insights
+            };
+        } catch (error) {
+            console.error('Analysis failed:', error);
+            return {
+                success: false,
+                message: error.message || 'Analysis failed'
+            };
+        }
+    }
+};
+
+/**
+ * Rule-based analyzer (offline heuristics)
+ */
+InsightsService.registerAnalyzer({
+    id: 'rules',
+    label: 'Rule-based',
+
+    async analyze(context) {
+        const insights = InsightRules.evaluate(context);
+
+        return {
+            summary: InsightRules.summarize(context, insights),
+            insights
+        };
+    }
+});
+
+/**
+ * Local stand-in for an LLM backend
+ * Builds the prompt a language model would receive and answers it with the
+ * rule engine, so a real backend can later replace analyze() without UI changes
+ */
+InsightsService.registerAnalyzer({
+    id: 'llm-local',
+    label: 'LLM (local stand-in)',
+
+    buildPrompt(context, insights) {
+        const lines = [
+            'You are a performance engineer. Summarize this Gatling run for a release decision.',
+            '',
+            'Configuration:',
+            JSON.stringify(context.canonical?.test || {}, null, 2),
+            '',
+            'Global stats:',
+            JSON.stringify(context.report.global, null, 2),
+            '',
+            'Detected signals:',
+            ...insights.map(i => `- [${i.severity}] ${i.title}: ${i.detail}`)
+        ];
+
+        return lines.join('\n');
+    },
+
+    async analyze(context) {
+        const insights = InsightRules.evaluate(context);
+        const prompt = this.buildPrompt(context, insights);
+
+        console.log('🤖 LLM stand-in prompt:\n' + prompt);
+
+        return {
+            summary: InsightRules.summarize(context, insights),
+            insights: [
+                ...insights,
+                {
+                    id: 'llm-stand-in',
+                    severity: 'info',
+                    title: 'Generated locally',
+                    detail: 'No external model is configured; this answer comes from the rule engine using the same prompt context.'
+                }
+            ]
+        };
+    }
+});
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.InsightsService = InsightsService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InsightsService;
+}
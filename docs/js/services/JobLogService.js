@@ -0,0 +1,129 @@
+/**
+ * Job Log Service
+ * Loads jobs, step status and logs of a workflow run
+ *
+ * @module JobLogService
+ */
+
+const JobLogService = {
+    /**
+     * Refresh interval while the run is in progress (ms)
+     */
+    POLL_INTERVAL: 10000,
+
+    /**
+     * Maximum number of log lines kept (the tail is kept)
+     */
+    MAX_LINES: 5000,
+
+    /**
+     * Load jobs with step status
+     * @param {number} runId - Workflow run ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, jobs }
+     */
+    async loadJobs(runId, token, githubConfig) {
+        const result = await GitHubAPI.listRunJobs(runId, token, githubConfig);
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            jobs: result.jobs.map(job => ({
+                id: job.id,
+                name: job.name,
+                status: job.status,
+                conclusion: job.conclusion,
+                htmlUrl: job.html_url,
+                steps: (job.steps || []).map(step => ({
+                    number: step.number,
+                    name: step.name,
+                    status: step.status,
+                    conclusion: step.conclusion,
+                    started_at: step.started_at,
+                    completed_at: step.completed_at
+                }))
+            }))
+        };
+    },
+
+    /**
+     * Load and parse the log of a job
+     * @param {Object} job - Job from loadJobs
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, lines, truncated } or { success: false, message, pending }
+     */
+    async loadJobLog(job, token, githubConfig) {
+        const result = await GitHubAPI.getJobLogs(job.id, token, githubConfig);
+
+        if (!result.success) {
+            // GitHub publishes the log file once the job has finished
+            if (job.status !== 'completed') {
+                return {
+                    success: false,
+                    pending: true,
+                    message: 'Logs are published when the job finishes; step status updates live'
+                };
+            }
+            return result;
+        }
+
+        const lines = JobLog.parse(result.data);
+        const truncated = lines.length > this.MAX_LINES;
+
+        return {
+            success: true,
+            lines: truncated ? lines.slice(-this.MAX_LINES) : lines,
+            truncated
+        };
+    },
+
+    /**
+     * Pick the job to show: keeps the current one, else the first failed, running or any job
+     * @param {Array<Object>} jobs - Jobs from loadJobs
+     * @param {number|null} currentId - Currently selected job ID
+     * @returns {Object|null} Job or null
+     */
+    pickJob(jobs, currentId) {
+        return jobs.find(job => job.id === currentId)
+            || jobs.find(job => job.conclusion === 'failure')
+            || jobs.find(job => job.status === 'in_progress')
+            || jobs[0]
+            || null;
+    },
+
+    /**
+     * Icon for a job or step state
+     * @param {Object} item - Job or step
+     * @returns {string} Icon
+     */
+    stateIcon(item) {
+        if (item.status !== 'completed') {
+            return item.status === 'in_progress' ? '🔄' : '⏳';
+        }
+
+        const icons = {
+            success: '✅',
+            failure: '❌',
+            cancelled: '⏹️',
+            skipped: '⏭️',
+            timed_out: '⌛'
+        };
+
+        return icons[item.conclusion] || '⚪';
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.JobLogService = JobLogService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobLogService;
+}
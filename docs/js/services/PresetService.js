@@ -75,6 +75,28 @@ const PresetService = {
      */
     MAX_USER_PRESETS: 20,
 
+    /**
+     * Tag limits per preset
+     */
+    MAX_TAGS: 5,
+    MAX_TAG_LENGTH: 20,
+
+    /**
+     * Number of presets above which the Quick Start search box is shown
+     */
+    SEARCH_THRESHOLD: 12,
+
+    /**
+     * Identifier and version of exported preset files
+     */
+    EXPORT_FORMAT: 'perf-runner-presets',
+    EXPORT_VERSION: 1,
+
+    /**
+     * Conflict strategies for import (same id or name as an existing preset)
+     */
+    IMPORT_STRATEGIES: ['skip', 'rename', 'overwrite'],
+
     /**
      * Initialize preset system
      * @returns {Object} Object with builtInPresets and userPresets arrays
@@ -141,19 +163,40 @@ const PresetService = {
             ...preset,
             name: SecurityUtils.sanitizeInput(preset.name || '', 50),
             description: SecurityUtils.sanitizeInput(preset.description || '', 100),
-            icon: SecurityUtils.sanitizeEmoji(preset.icon || '🚀')
+            icon: SecurityUtils.sanitizeEmoji(preset.icon || '🚀'),
+            tags: this.sanitizeTags(preset.tags),
+            pinned: preset.pinned === true
         };
     },
 
+    /**
+     * Normalize tags (lowercase, no leading #, unique, limited)
+     * @param {Array|string} tags - Tags array or comma-separated string
+     * @returns {Array<string>} Sanitized tags
+     */
+    sanitizeTags(tags) {
+        const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+        const sanitized = list
+            .map(tag => SecurityUtils.sanitizeInput(String(tag), this.MAX_TAG_LENGTH + 1)
+                .replace(/^#+/, '')
+                .replace(/\s+/g, '-')
+                .toLowerCase()
+                .slice(0, this.MAX_TAG_LENGTH))
+            .filter(Boolean);
+
+        return [...new Set(sanitized)].slice(0, this.MAX_TAGS);
+    },
+
     /**
      * Create a new user preset
      * @param {string} name - Preset name
      * @param {string} description - Preset description
      * @param {string} icon - Preset icon (emoji)
-     * @param {Object} config - Configuration object with selections, loadData, scenarioData
+     * @param {Object} config - Configuration object with selections, loadData, scenarioData, ref, configVersion
+     * @param {Array|string} tags - Tags (optional)
      * @returns {Object} New preset object
      */
-    createPreset(name, description, icon, config) {
+    createPreset(name, description, icon, config, tags = []) {
         // Sanitize inputs
         const sanitizedName = SecurityUtils.sanitizeInput(name, 50);
         const sanitizedDescription = SecurityUtils.sanitizeInput(description, 100);
@@ -169,22 +212,35 @@ const PresetService = {
             name: sanitizedName,
             description: sanitizedDescription,
             icon: sanitizedIcon,
+            tags: this.sanitizeTags(tags),
+            pinned: false,
             created: new Date().toISOString(),
-            config: {
-                selections: {
-                    loadType: config.selections.loadType,
-                    environment: config.selections.environment,
-                    targetUrl: config.selections.targetUrl,
-                    scenario: config.selections.scenario
-                },
-                loadData: { ...config.loadData },
-                scenarioData: { ...config.scenarioData }
-            }
+            config: this.copyConfig(config)
         };
 
         return preset;
     },
 
+    /**
+     * Copy a stored configuration
+     * @param {Object} config - Configuration object with selections, loadData, scenarioData, ref
+     * @returns {Object} Independent copy
+     */
+    copyConfig(config) {
+        return {
+            selections: {
+                loadType: config.selections.loadType,
+                environment: config.selections.environment,
+                targetUrl: config.selections.targetUrl,
+                scenario: config.selections.scenario
+            },
+            loadData: { ...config.loadData },
+            scenarioData: { ...config.scenarioData },
+            ref: config.ref || null,
+            configVersion: config.configVersion || null
+        };
+    },
+
     /**
      * Add a preset to user presets list
      * @param {Array} currentPresets - Current user presets array
@@ -263,6 +319,111 @@ const PresetService = {
         }
     },
 
+    /**
+     * Update a user preset
+     * @param {Array} currentPresets - Current user presets array
+     * @param {string} presetId - ID of preset to update
+     * @param {Object} changes - Fields to change ({ name, description, icon, tags, pinned, config })
+     * @returns {Object} Result with { success, presets, preset, error }
+     */
+    updatePreset(currentPresets, presetId, changes) {
+        try {
+            const existing = currentPresets.find(p => p.id === presetId);
+
+            if (!existing) {
+                throw new Error('Preset not found');
+            }
+
+            const preset = this.sanitizePreset({
+                ...existing,
+                ...changes,
+                config: changes.config ? this.copyConfig(changes.config) : existing.config,
+                updated: new Date().toISOString()
+            });
+
+            if (!preset.name) {
+                throw new Error('Preset name is required');
+            }
+
+            if (currentPresets.some(p => p.id !== presetId && p.name === preset.name)) {
+                throw new Error(`A preset named "${preset.name}" already exists`);
+            }
+
+            const updatedPresets = currentPresets.map(p => (p.id === presetId ? preset : p));
+
+            // Save to localStorage
+            this.saveUserPresets(updatedPresets);
+
+            return {
+                success: true,
+                presets: updatedPresets,
+                preset
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                presets: currentPresets,
+                error: error.message
+            };
+        }
+    },
+
+    /**
+     * Duplicate a preset into the user presets
+     * @param {Array} currentPresets - Current user presets array
+     * @param {Object} source - Preset to copy (user, team or built-in)
+     * @returns {Object} Result with { success, presets, preset, error }
+     */
+    duplicatePreset(currentPresets, source) {
+        const baseName = `${source.name.slice(0, 42)} (copy`;
+        let name = `${baseName})`;
+        let copy = 2;
+        while (currentPresets.some(p => p.name === name)) {
+            name = `${baseName} ${copy++})`;
+        }
+
+        const preset = this.createPreset(name, source.description || '', source.icon, source.config, source.tags);
+        if (currentPresets.some(p => p.id === preset.id)) {
+            preset.id = `${preset.id}-${currentPresets.length}`;
+        }
+
+        return this.addPreset(currentPresets, preset);
+    },
+
+    /**
+     * Filter presets by a search query
+     * Every word must match the name, description or a tag; words starting with # match tags only
+     * @param {Array} presets - Presets
+     * @param {string} query - Search query
+     * @returns {Array} Matching presets
+     */
+    filterPresets(presets, query) {
+        const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+        if (words.length === 0) return presets;
+
+        return presets.filter(preset => {
+            const tags = preset.tags || [];
+            const text = `${preset.name} ${preset.description || ''} ${tags.join(' ')}`.toLowerCase();
+
+            return words.every(word => (
+                word.startsWith('#')
+                    ? tags.some(tag => tag.startsWith(word.slice(1)))
+                    : text.includes(word)
+            ));
+        });
+    },
+
+    /**
+     * Order presets with pinned ones first (stable otherwise)
+     * @param {Array} presets - Presets
+     * @returns {Array} Sorted copy
+     */
+    sortPresets(presets) {
+        return [...presets.filter(p => p.pinned), ...presets.filter(p => !p.pinned)];
+    },
+
     /**
      * Find a preset by ID (searches both built-in and user presets)
      * @param {string} presetId - Preset ID
@@ -281,7 +442,194 @@ const PresetService = {
         return null;
     },
 
+    /**
+     * Build an export file for presets
+     * @param {Array} presets - Presets to export
+     * @returns {Object} Export document with { format, version, exportedAt, presets }
+     */
+    exportPresets(presets) {
+        return {
+            format: this.EXPORT_FORMAT,
+            version: this.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            presets: presets.map(preset => ({
+                id: preset.id,
+                name: preset.name,
+                description: preset.description || '',
+                icon: preset.icon,
+                tags: preset.tags || [],
+                pinned: preset.pinned === true,
+                created: preset.created,
+                updated: preset.updated,
+                config: preset.config
+            }))
+        };
+    },
+
+    /**
+     * Validate an import file
+     * @param {Object} data - Parsed JSON file
+     * @returns {Object} Result with { valid, presets, errors }; errors name the rejected presets
+     */
+    validateImport(data) {
+        if (!data || typeof data !== 'object' || data.format !== this.EXPORT_FORMAT) {
+            return {
+                valid: false,
+                presets: [],
+                errors: ['Not a preset export file']
+            };
+        }
+
+        if (data.version !== this.EXPORT_VERSION) {
+            return {
+                valid: false,
+                presets: [],
+                errors: [`Unsupported preset file version: ${data.version}`]
+            };
+        }
+
+        if (!Array.isArray(data.presets)) {
+            return {
+                valid: false,
+                presets: [],
+                errors: ['Preset file has no presets list']
+            };
+        }
+
+        const presets = [];
+        const errors = [];
+
+        data.presets.forEach((preset, index) => {
+            const problems = this.validatePresetShape(preset);
+
+            if (problems.length > 0) {
+                errors.push(`#${index + 1} ${typeof preset?.name === 'string' ? preset.name : ''}: ${problems.join(', ')}`);
+            } else {
+                presets.push(this.sanitizePreset(preset));
+            }
+        });
+
+        return {
+            valid: presets.length > 0,
+            presets,
+            errors
+        };
+    },
+
+    /**
+     * Check the shape of an imported preset
+     * @param {Object} preset - Preset
+     * @returns {Array<string>} Problems (empty if valid)
+     */
+    validatePresetShape(preset) {
+        const problems = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(preset)) {
+            return ['not an object'];
+        }
+
+        if (typeof preset.id !== 'string' || !preset.id) problems.push('missing id');
+        if (typeof preset.name !== 'string' || !preset.name.trim()) problems.push('missing name');
+
+        const config = preset.config;
+        if (!isObject(config) || !isObject(config.selections)) {
+            problems.push('missing config.selections');
+            return problems;
+        }
+
+        ['loadType', 'environment', 'scenario'].forEach(key => {
+            if (typeof config.selections[key] !== 'string') problems.push(`selections.${key} must be a string`);
+        });
+
+        if (config.loadData !== undefined && !isObject(config.loadData)) problems.push('loadData must be an object');
+        if (config.scenarioData !== undefined && !isObject(config.scenarioData)) problems.push('scenarioData must be an object');
+        if (config.ref !== undefined && config.ref !== null && typeof config.ref !== 'string') problems.push('ref must be a string');
+        if (config.configVersion !== undefined && config.configVersion !== null && typeof config.configVersion !== 'string') problems.push('configVersion must be a string');
+        if (preset.tags !== undefined && !Array.isArray(preset.tags)) problems.push('tags must be a list');
+        if (preset.pinned !== undefined && typeof preset.pinned !== 'boolean') problems.push('pinned must be true or false');
+        if (preset.updated !== undefined && typeof preset.updated !== 'string') problems.push('updated must be a string');
+
+        return problems;
+    },
+
+    /**
+     * Import validated presets into the user presets
+     * @param {Array} currentPresets - Current user presets array
+     * @param {Array} importedPresets - Presets from validateImport
+     * @param {string} strategy - Conflict strategy (skip, rename or overwrite)
+     * @returns {Object} Result with { success, presets, report: { added, renamed, overwritten, skipped } } or { success: false, presets, error }
+     */
+    importPresets(currentPresets, importedPresets, strategy = 'skip') {
+        const report = { added: [], renamed: [], overwritten: [], skipped: [] };
+        let presets = [...currentPresets];
+
+        importedPresets.forEach((imported, index) => {
+            const conflict = presets.find(p => p.id === imported.id || p.name === imported.name);
+            let preset = {
+                ...imported,
+                config: {
+                    selections: { ...imported.config.selections },
+                    loadData: { ...imported.config.loadData },
+                    scenarioData: { ...imported.config.scenarioData },
+                    ref: imported.config.ref || null,
+                    configVersion: imported.config.configVersion || null
+                }
+            };
 
+            // Never shadow a built-in preset
+            if (!preset.id.startsWith('user-') || this.builtInPresets.some(p => p.id === preset.id)) {
+                preset.id = `user-${Date.now()}-${index}`;
+            }
+
+            if (conflict && strategy === 'overwrite') {
+                presets = presets.map(p => (p === conflict ? { ...preset, id: conflict.id } : p));
+                report.overwritten.push(preset.name);
+                return;
+            }
+
+            if (conflict && strategy !== 'rename') {
+                report.skipped.push(`${preset.name} (already exists)`);
+                return;
+            }
+
+            if (presets.length >= this.MAX_USER_PRESETS) {
+                report.skipped.push(`${preset.name} (limit of ${this.MAX_USER_PRESETS} presets reached)`);
+                return;
+            }
+
+            if (conflict) {
+                const baseName = preset.name.slice(0, 45);
+                let copy = 2;
+                while (presets.some(p => p.name === `${baseName} (${copy})`)) copy++;
+
+                preset = { ...preset, id: `user-${Date.now()}-${index}`, name: `${baseName} (${copy})` };
+                report.renamed.push(preset.name);
+            } else {
+                report.added.push(preset.name);
+            }
+
+            presets.push(preset);
+        });
+
+        try {
+            this.saveUserPresets(presets);
+        } catch (error) {
+            return {
+                success: false,
+                presets: currentPresets,
+                error: error.message
+            };
+        }
+
+        console.log('📥 Imported presets:', report);
+
+        return {
+            success: true,
+            presets,
+            report
+        };
+    }
 };
 
 // Export for browser
@@ -0,0 +1,97 @@
+/**
+ * Ref Service
+ * Loads and caches branches and tags of the target repository for the ref picker
+ *
+ * @module RefService
+ */
+
+const RefService = {
+    /**
+     * Reuse loaded refs for this long (ms)
+     */
+    CACHE_TTL: 5 * 60 * 1000,
+
+    /**
+     * Loaded refs by repository
+     */
+    cache: new Map(),
+
+    /**
+     * Load branches and tags of the target repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} options - Options
+     * @param {boolean} options.refresh - Ignore cached refs
+     * @returns {Promise<Object>} Result with { success, refs: [{ name, type }], truncated } or { success: false, message }
+     */
+    async loadRefs(token, githubConfig, options = {}) {
+        const key = `${githubConfig.owner}/${githubConfig.repo}`;
+        const cached = this.cache.get(key);
+
+        if (!options.refresh && cached && Date.now() - cached.fetchedAt < this.CACHE_TTL) {
+            return { success: true, ...cached };
+        }
+
+        const [branches, tags] = await Promise.all([
+            GitHubAPI.listBranches(token, githubConfig),
+            GitHubAPI.listTags(token, githubConfig)
+        ]);
+
+        if (!branches.success) {
+            return branches;
+        }
+
+        // Tags are optional; a repository without tag access still has branches
+        const tagItems = tags.success ? tags.items : [];
+
+        const refs = [
+            ...this.sortRefs(branches.items.map(item => ({ name: item.name, type: 'branch' })), githubConfig.branch),
+            ...tagItems.map(item => ({ name: item.name, type: 'tag' }))
+        ];
+
+        const loaded = {
+            refs,
+            truncated: branches.truncated || !!tags.truncated,
+            fetchedAt: Date.now()
+        };
+
+        this.cache.set(key, loaded);
+        console.log(`🌿 Loaded ${branches.items.length} branches and ${tagItems.length} tags`);
+
+        return { success: true, ...loaded };
+    },
+
+    /**
+     * Sort branches alphabetically with the default branch first
+     * @param {Array<Object>} refs - Branch refs
+     * @param {string} defaultBranch - Configured branch
+     * @returns {Array<Object>} Sorted refs
+     */
+    sortRefs(refs, defaultBranch) {
+        return [...refs].sort((a, b) => {
+            if (a.name === defaultBranch) return -1;
+            if (b.name === defaultBranch) return 1;
+            return a.name.localeCompare(b.name);
+        });
+    },
+
+    /**
+     * Find a ref by name
+     * @param {Array<Object>} refs - Loaded refs
+     * @param {string} name - Ref name
+     * @returns {Object|null} Ref or null
+     */
+    findRef(refs, name) {
+        return refs.find(ref => ref.name === name) || null;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.RefService = RefService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RefService;
+}
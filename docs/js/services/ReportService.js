@@ -0,0 +1,206 @@
+/**
+ * Report Service
+ * Downloads Gatling report artifacts of a run and caches parsed summaries
+ *
+ * @module ReportService
+ */
+
+const ReportService = {
+    /**
+     * Storage key for parsed report summaries
+     */
+    get STORAGE_KEY() {
+        return window.CONFIG?.storage?.reportsKey || 'perf_runner_reports';
+    },
+
+    /**
+     * Maximum number of cached report summaries
+     */
+    MAX_CACHED_REPORTS: 50,
+
+    /**
+     * Artifact names that likely contain the Gatling report
+     */
+    ARTIFACT_PATTERN: /gatling|report|stats|simulation/i,
+
+    /**
+     * Load cached report summaries
+     * @returns {Object} Map of runId → report
+     */
+    loadCache() {
+        const cache = StorageUtils.getJSON(this.STORAGE_KEY, {});
+        return cache && typeof cache === 'object' ? cache : {};
+    },
+
+    /**
+     * Get a cached report summary
+     * @param {number} runId - Workflow run ID
+     * @returns {Object|null} Report or null
+     */
+    getCachedReport(runId) {
+        return this.loadCache()[runId] || null;
+    },
+
+    /**
+     * Store a report summary (evicts the oldest entries beyond the limit)
+     * @param {Object} report - Parsed report
+     */
+    cacheReport(report) {
+        const cache = this.loadCache();
+        cache[report.runId] = report;
+
+        const runIds = Object.keys(cache)
+            .sort((a, b) => new Date(cache[b].fetchedAt) - new Date(cache[a].fetchedAt));
+
+        runIds.slice(this.MAX_CACHED_REPORTS).forEach(runId => {
+            delete cache[runId];
+        });
+
+        StorageUtils.setJSON(this.STORAGE_KEY, cache);
+    },
+
+    /**
+     * Load, unzip and parse the Gatling report of a run
+     * @param {number} runId - Workflow run ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} options - Options
+     * @param {boolean} options.refresh - Ignore cached summary
+     * @returns {Promise<Object>} Result with { success, report } or { success: false, message }
+     */
+    async loadRunReport(runId, token, githubConfig, options = {}) {
+        if (!options.refresh) {
+            const cached = this.getCachedReport(runId);
+            if (cached) {
+                return { success: true, report: cached };
+            }
+        }
+
+        try {
+            const listed = await GitHubAPI.listRunArtifacts(runId, token, githubConfig);
+
+            if (!listed.success) {
+                return listed;
+            }
+
+            const artifacts = listed.artifacts.filter(artifact => !artifact.expired);
+
+            if (artifacts.length === 0) {
+                return {
+                    success: false,
+                    message: 'This run has no (unexpired) artifacts'
+                };
+            }
+
+            const ordered = this.orderArtifacts(artifacts);
+            let stats = null;
+            let timeline = null;
+
+            // Stats and simulation.log may be uploaded as separate artifacts
+            for (const artifact of ordered) {
+                console.log('📦 Downloading artifact:', artifact.name);
+
+                const download = await GitHubAPI.downloadArtifact(artifact.id, token, githubConfig);
+
+                if (!download.success) {
+                    return download;
+                }
+
+                const parsed = await this.parseArchive(download.data);
+
+                if (!stats && parsed.stats) {
+                    stats = { ...parsed.stats, artifact };
+                }
+
+                if (!timeline && parsed.timeline) {
+                    timeline = parsed.timeline;
+                }
+
+                if (stats && timeline) break;
+            }
+
+            if (!stats) {
+                return {
+                    success: false,
+                    message: 'No Gatling stats.json or global_stats.json found in run artifacts'
+                };
+            }
+
+            const report = {
+                runId,
+                fetchedAt: new Date().toISOString(),
+                artifact: {
+                    id: stats.artifact.id,
+                    name: stats.artifact.name,
+                    size: stats.artifact.size_in_bytes
+                },
+                statsFile: stats.statsFile,
+                global: stats.global,
+                requests: stats.requests,
+                timeline
+            };
+
+            this.cacheReport(report);
+            console.log('✅ Report parsed for run:', runId);
+
+            return { success: true, report };
+
+        } catch (error) {
+            console.error('Failed to load report:', error);
+            return {
+                success: false,
+                message: error.message || 'Failed to load report'
+            };
+        }
+    },
+
+    /**
+     * Order artifacts so likely report archives are tried first
+     * @param {Array} artifacts - Artifacts from GitHubAPI.listRunArtifacts
+     * @returns {Array} Ordered artifacts
+     */
+    orderArtifacts(artifacts) {
+        return [...artifacts].sort((a, b) => {
+            const aMatch = this.ARTIFACT_PATTERN.test(a.name) ? 0 : 1;
+            const bMatch = this.ARTIFACT_PATTERN.test(b.name) ? 0 : 1;
+            return aMatch - bMatch;
+        });
+    },
+
+    /**
+     * Extract and parse Gatling stats and simulation.log from a ZIP archive
+     * @param {ArrayBuffer} buffer - Artifact archive
+     * @returns {Promise<Object>} Result with { stats, timeline } (each null when absent)
+     */
+    async parseArchive(buffer) {
+        const entries = ZipReader.listEntries(buffer);
+        const names = entries.map(entry => entry.name);
+        const statsFile = GatlingReport.findStatsFile(names);
+        const logFile = SimulationLog.findLogFile(names);
+
+        let stats = null;
+        let timeline = null;
+
+        if (statsFile) {
+            const text = await ZipReader.extractText(buffer, entries.find(e => e.name === statsFile));
+            stats = { statsFile, ...GatlingReport.parse(text) };
+        }
+
+        if (logFile) {
+            const text = await ZipReader.extractText(buffer, entries.find(e => e.name === logFile));
+            timeline = SimulationLog.parse(text);
+        }
+
+        return { stats, timeline };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ReportService = ReportService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReportService;
+}
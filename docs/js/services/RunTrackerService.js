@@ -0,0 +1,230 @@
+/**
+ * Run Tracker Service
+ * Correlates a workflow dispatch with its run and polls live status
+ *
+ * @module RunTrackerService
+ */
+
+const RunTrackerService = {
+    /**
+     * Poll interval while a run is active (ms)
+     */
+    POLL_INTERVAL: 5000,
+
+    /**
+     * Give up looking for the dispatched run after this long (ms)
+     */
+    CORRELATION_TIMEOUT: 2 * 60 * 1000,
+
+    /**
+     * Run IDs already matched to a dispatch (prevents two dispatches claiming one run)
+     */
+    claimedRunIds: new Set(),
+
+    /**
+     * Cached actor login per token
+     */
+    actorCache: new Map(),
+
+    /**
+     * Start tracking a dispatched workflow run
+     * @param {Object} options - Tracking options
+     * @param {string} options.token - GitHub personal access token
+     * @param {Object} options.githubConfig - GitHub configuration
+     * @param {string} options.dispatchedAt - ISO timestamp of the dispatch
+     * @param {string} options.ref - Dispatched ref (optional)
+     * @param {number} options.runId - Known run ID; skips dispatch correlation (optional)
+     * @param {Promise} options.waitFor - Start correlating once this settles, e.g. the previous
+     *   dispatch of a batch (optional)
+     * @param {Function} onUpdate - Called with a status snapshot after every poll
+     * @returns {Function} Stop function to cancel polling
+     */
+    track(options, onUpdate) {
+        const { token, githubConfig, dispatchedAt, ref, waitFor } = options;
+
+        let startedTracking = Date.now();
+
+        let stopped = false;
+        let timer = null;
+        let runId = options.runId || null;
+
+        const schedule = () => {
+            if (!stopped) {
+                timer = setTimeout(poll, this.POLL_INTERVAL);
+            }
+        };
+
+        // Transient failures should not end tracking; while correlating, give up only
+        // once the correlation window has passed
+        const retry = (message) => {
+            if (!runId && Date.now() - startedTracking > this.CORRELATION_TIMEOUT) {
+                onUpdate({ phase: 'error', message });
+                return;
+            }
+
+            schedule();
+        };
+
+        const poll = async () => {
+            try {
+                let run;
+
+                if (!runId) {
+                    const actor = await this.resolveActor(token, githubConfig);
+                    const result = await GitHubAPI.findDispatchedRun(token, githubConfig, {
+                        dispatchedAt,
+                        actor,
+                        branch: ref || githubConfig.branch,
+                        excludeRunIds: [...this.claimedRunIds]
+                    });
+
+                    if (stopped) return;
+
+                    if (!result.success) {
+                        console.warn('⚠️ Failed to look up the dispatched run:', result.message);
+                        retry(result.message);
+                        return;
+                    }
+
+                    if (!result.run) {
+                        if (Date.now() - startedTracking > this.CORRELATION_TIMEOUT) {
+                            onUpdate({
+                                phase: 'timeout',
+                                message: 'Could not find the workflow run for this dispatch'
+                            });
+                            return;
+                        }
+
+                        onUpdate({ phase: 'correlating' });
+                        schedule();
+                        return;
+                    }
+
+                    run = result.run;
+                    runId = run.id;
+                    this.claimedRunIds.add(runId);
+                    console.log('🔗 Dispatch matched to run:', runId);
+                } else {
+                    const result = await GitHubAPI.getWorkflowRun(runId, token, githubConfig);
+
+                    if (stopped) return;
+
+                    if (!result.success) {
+                        console.warn('⚠️ Failed to refresh run status:', result.message);
+                        retry(result.message);
+                        return;
+                    }
+
+                    run = result.run;
+                }
+
+                const snapshot = this.toSnapshot(run);
+                onUpdate(snapshot);
+
+                if (!snapshot.completed) {
+                    schedule();
+                }
+
+            } catch (error) {
+                console.error('Run tracking failed:', error);
+                if (!stopped) {
+                    retry(error.message);
+                }
+            }
+        };
+
+        if (waitFor) {
+            waitFor.then(() => {
+                if (stopped) return;
+                startedTracking = Date.now();
+                poll();
+            });
+        } else {
+            poll();
+        }
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    },
+
+    /**
+     * Resolve login of the token owner (cached, null if unavailable)
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<string|null>} Actor login or null
+     */
+    async resolveActor(token, githubConfig) {
+        if (this.actorCache.has(token)) {
+            return this.actorCache.get(token);
+        }
+
+        const result = await GitHubAPI.getAuthenticatedUser(token, githubConfig);
+        const actor = result.success ? result.data?.login || null : null;
+
+        this.actorCache.set(token, actor);
+        return actor;
+    },
+
+    /**
+     * Convert GitHub run object to a UI status snapshot
+     * @param {Object} run - Workflow run from the GitHub API
+     * @returns {Object} Snapshot with { phase, runId, runNumber, status, conclusion, htmlUrl, startedAt, completedAt, completed }
+     */
+    toSnapshot(run) {
+        const completed = run.status === 'completed';
+
+        return {
+            phase: 'tracking',
+            runId: run.id,
+            runNumber: run.run_number,
+            status: run.status,
+            conclusion: run.conclusion,
+            htmlUrl: run.html_url,
+            actor: run.actor?.login || null,
+            createdAt: run.created_at,
+            startedAt: run.run_started_at || run.created_at,
+            completedAt: completed ? run.updated_at : null,
+            completed
+        };
+    },
+
+    /**
+     * Format elapsed time between two timestamps
+     * @param {string} from - Start ISO timestamp
+     * @param {string|number} to - End ISO timestamp or epoch ms (default: now)
+     * @returns {string} Elapsed time like "1h 02m 05s"
+     */
+    formatElapsed(from, to = Date.now()) {
+        if (!from) return '';
+
+        const end = typeof to === 'number' ? to : new Date(to).getTime();
+        const totalSeconds = Math.max(0, Math.floor((end - new Date(from).getTime()) / 1000));
+
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        const pad = n => String(n).padStart(2, '0');
+
+        if (hours > 0) {
+            return `${hours}h ${pad(minutes)}m ${pad(seconds)}s`;
+        }
+
+        if (minutes > 0) {
+            return `${minutes}m ${pad(seconds)}s`;
+        }
+
+        return `${seconds}s`;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.RunTrackerService = RunTrackerService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunTrackerService;
+}
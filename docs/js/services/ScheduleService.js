@@ -0,0 +1,215 @@
+/**
+ * Schedule Service
+ * Lists, saves and deletes scheduled test runs committed to the target repository
+ *
+ * GitHub only fires `on: schedule` for workflows on the default branch, so schedule files
+ * are committed there; the configured branch is only the ref the schedule dispatches.
+ *
+ * @module ScheduleService
+ */
+
+const ScheduleService = {
+    /**
+     * Cached default branch per repository
+     */
+    defaultBranchCache: new Map(),
+
+    /**
+     * GitHub configuration pointing at the default branch of the repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, githubConfig } or { success: false, message }
+     */
+    async resolveScheduleConfig(token, githubConfig) {
+        const key = `${githubConfig.apiBase}/${githubConfig.owner}/${githubConfig.repo}`;
+
+        if (!this.defaultBranchCache.has(key)) {
+            const result = await GitHubAPI.getDefaultBranch(token, githubConfig);
+
+            if (!result.success) {
+                return result;
+            }
+
+            if (!result.branch) {
+                return {
+                    success: false,
+                    message: 'Could not determine the default branch of the repository'
+                };
+            }
+
+            this.defaultBranchCache.set(key, result.branch);
+        }
+
+        return {
+            success: true,
+            githubConfig: { ...githubConfig, branch: this.defaultBranchCache.get(key) }
+        };
+    },
+
+    /**
+     * List schedules of the target repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration (schedules live on the default branch)
+     * @returns {Promise<Object>} Result with { success, schedules, branch } or { success: false, message }
+     */
+    async list(token, githubConfig) {
+        const resolved = await this.resolveScheduleConfig(token, githubConfig);
+
+        if (!resolved.success) {
+            return resolved;
+        }
+
+        const scheduleConfig = resolved.githubConfig;
+        const directory = await GitHubAPI.listDirectory(ScheduleWorkflow.DIRECTORY, token, scheduleConfig);
+
+        if (!directory.success) {
+            // No workflows directory means no schedules yet
+            return directory.status === 404
+                ? { success: true, schedules: [], branch: scheduleConfig.branch }
+                : directory;
+        }
+
+        const files = directory.items.filter(item => item.type === 'file' && ScheduleWorkflow.isScheduleFile(item.name));
+
+        const loaded = await Promise.all(
+            files.map(file => GitHubAPI.getFile(file.path, token, scheduleConfig, `Failed to load ${file.path}`))
+        );
+
+        const schedules = [];
+
+        loaded.forEach((file, index) => {
+            if (!file.success) {
+                console.warn(`⚠️ Skipping schedule ${files[index].path}:`, file.message);
+                return;
+            }
+
+            const schedule = ScheduleWorkflow.parse(file.content);
+            if (!schedule) {
+                console.warn(`⚠️ ${file.path} has no schedule metadata`);
+                return;
+            }
+
+            schedules.push({ ...schedule, path: file.path, sha: file.sha });
+        });
+
+        schedules.sort((a, b) => a.name.localeCompare(b.name));
+        console.log(`🗓️ Loaded ${schedules.length} schedules`);
+
+        return { success: true, schedules, branch: scheduleConfig.branch };
+    },
+
+    /**
+     * Create or update a schedule (one commit to the default branch of the target repository)
+     * @param {Object} data - Schedule fields ({ id, sha, name, mode, runAt, time, weekdays, cron, ref, format, canonical, createdAt })
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration (its branch is the default dispatch ref)
+     * @returns {Promise<Object>} Result with { success, schedule, branch } or { success: false, message, errors }
+     */
+    async save(data, token, githubConfig) {
+        const errors = ScheduleWorkflow.validate(data);
+
+        if (errors.length > 0) {
+            return {
+                success: false,
+                message: 'Invalid schedule',
+                errors
+            };
+        }
+
+        const now = new Date().toISOString();
+        const schedule = {
+            id: data.id || ScheduleWorkflow.createId(data.name),
+            name: data.name.trim(),
+            mode: data.mode,
+            runAt: data.mode === 'once' ? new Date(data.runAt).toISOString() : null,
+            time: data.mode === 'daily' || data.mode === 'weekly' ? data.time : null,
+            weekdays: data.mode === 'weekly' ? [...data.weekdays] : [],
+            cron: data.mode === 'cron' ? data.cron.trim() : null,
+            ref: data.ref || githubConfig.branch,
+            format: data.format || 'json',
+            canonical: data.canonical,
+            createdAt: data.createdAt || now,
+            updatedAt: now
+        };
+
+        let content;
+        try {
+            const payload = GitHubAPI.buildPayload(schedule.canonical, schedule.format, { ...githubConfig, branch: schedule.ref });
+            content = ScheduleWorkflow.render(schedule, payload, githubConfig.workflow);
+        } catch (error) {
+            console.error('Failed to generate schedule workflow:', error);
+            return {
+                success: false,
+                message: error.message
+            };
+        }
+
+        const resolved = await this.resolveScheduleConfig(token, githubConfig);
+
+        if (!resolved.success) {
+            return resolved;
+        }
+
+        const path = ScheduleWorkflow.pathFor(schedule.id);
+        const verb = data.sha ? 'Update' : 'Add';
+        const result = await GitHubAPI.putFile(
+            path,
+            content,
+            `${verb} scheduled perf test: ${schedule.name}`,
+            token,
+            resolved.githubConfig,
+            data.sha
+        );
+
+        if (!result.success) {
+            return result;
+        }
+
+        console.log(`✅ Schedule saved: ${schedule.name} (${ScheduleWorkflow.toCron(schedule)})`);
+
+        return {
+            success: true,
+            schedule: { ...schedule, cron: ScheduleWorkflow.toCron(schedule), path, sha: result.sha },
+            branch: resolved.githubConfig.branch
+        };
+    },
+
+    /**
+     * Delete a schedule (one commit to the default branch of the target repository)
+     * @param {Object} schedule - Listed schedule (with path and sha)
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success } or { success: false, message }
+     */
+    async remove(schedule, token, githubConfig) {
+        const resolved = await this.resolveScheduleConfig(token, githubConfig);
+
+        if (!resolved.success) {
+            return resolved;
+        }
+
+        const result = await GitHubAPI.deleteFile(
+            schedule.path,
+            schedule.sha,
+            `Remove scheduled perf test: ${schedule.name}`,
+            token,
+            resolved.githubConfig
+        );
+
+        if (result.success) {
+            console.log(`🗑️ Schedule removed: ${schedule.name}`);
+        }
+
+        return result;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ScheduleService = ScheduleService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleService;
+}
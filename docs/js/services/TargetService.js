@@ -0,0 +1,266 @@
+/**
+ * Target Service
+ * Registry of GitHub targets (repository + workflow) the runner can dispatch to
+ *
+ * Built-in targets come from CONFIG.github (default) and CONFIG.targets;
+ * user-defined targets and the active target are kept in localStorage.
+ *
+ * @module TargetService
+ */
+
+const TargetService = {
+    /**
+     * Storage key for the active target ID
+     */
+    get STORAGE_KEY() {
+        return window.CONFIG?.storage?.targetKey || 'perf_runner_active_target';
+    },
+
+    /**
+     * Storage key for user-defined targets
+     */
+    get TARGETS_KEY() {
+        return window.CONFIG?.storage?.targetsKey || 'perf_runner_targets';
+    },
+
+    /**
+     * ID of the target built from CONFIG.github
+     */
+    DEFAULT_TARGET_ID: 'default',
+
+    /**
+     * Test configuration source used when a target does not define one
+     */
+    DEFAULT_CONFIG_URL: 'config.json',
+
+    /**
+     * Targets defined in js/config.js
+     * @returns {Array<Object>} Built-in targets
+     */
+    getBuiltInTargets() {
+        const github = window.CONFIG.github;
+
+        const defaultTarget = {
+            id: this.DEFAULT_TARGET_ID,
+            name: `${github.owner}/${github.repo}`,
+            ...github,
+            configUrl: this.DEFAULT_CONFIG_URL
+        };
+
+        const configured = (window.CONFIG.targets || []).map(target => ({
+            apiBase: github.apiBase,
+            configUrl: this.DEFAULT_CONFIG_URL,
+            ...target
+        }));
+
+        return [defaultTarget, ...configured].map(target => ({ ...target, builtIn: true }));
+    },
+
+    /**
+     * Load user-defined targets
+     * @returns {Array<Object>} User targets
+     */
+    loadUserTargets() {
+        const targets = StorageUtils.getJSON(this.TARGETS_KEY, []);
+
+        if (!Array.isArray(targets)) return [];
+
+        return targets
+            .filter(target => target && target.id && this.validateTarget(target).length === 0)
+            .map(target => ({ ...target, builtIn: false }));
+    },
+
+    /**
+     * List all targets (built-in first)
+     * @returns {Array<Object>} Targets
+     */
+    listTargets() {
+        return [...this.getBuiltInTargets(), ...this.loadUserTargets()];
+    },
+
+    /**
+     * Find a target by ID
+     * @param {string} id - Target ID
+     * @returns {Object|null} Target or null
+     */
+    getTarget(id) {
+        return this.listTargets().find(target => target.id === id) || null;
+    },
+
+    /**
+     * ID of the active target
+     * @returns {string} Target ID
+     */
+    getActiveTargetId() {
+        return this.getActiveTarget().id;
+    },
+
+    /**
+     * Active target (falls back to the default target)
+     * @returns {Object} Target
+     */
+    getActiveTarget() {
+        const id = StorageUtils.getItem(this.STORAGE_KEY);
+        return (id && this.getTarget(id)) || this.getBuiltInTargets()[0];
+    },
+
+    /**
+     * Persist the active target
+     * @param {string} id - Target ID
+     * @returns {Object} Result with { success, target } or { success: false, message }
+     */
+    setActiveTarget(id) {
+        const target = this.getTarget(id);
+
+        if (!target) {
+            return {
+                success: false,
+                message: `Unknown target: ${id}`
+            };
+        }
+
+        StorageUtils.setItem(this.STORAGE_KEY, target.id);
+        console.log(`🎯 Active target: ${target.name}`);
+
+        return { success: true, target };
+    },
+
+    /**
+     * Validate target fields
+     * @param {Object} target - Target data
+     * @returns {Array<string>} Errors (empty if valid)
+     */
+    validateTarget(target) {
+        const errors = [];
+        const namePattern = /^[A-Za-z0-9_.-]+$/;
+
+        if (!target.name?.trim()) {
+            errors.push('Name is required');
+        }
+        if (!namePattern.test(target.owner || '')) {
+            errors.push('Owner must be a GitHub user or organization name');
+        }
+        if (!namePattern.test(target.repo || '')) {
+            errors.push('Repository must be a GitHub repository name');
+        }
+        if (!/^[A-Za-z0-9_.-]+\.ya?ml$/.test(target.workflow || '')) {
+            errors.push('Workflow must be a file name like run-test.yml');
+        }
+        if (!target.branch?.trim()) {
+            errors.push('Default branch is required');
+        }
+        if (!/^https:\/\/\S+$/.test(target.apiBase || '')) {
+            errors.push('API base must be an https:// URL');
+        }
+        if (!target.configUrl?.trim()) {
+            errors.push('Config source is required');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Add a user-defined target
+     * @param {Object} data - Target fields (name, owner, repo, workflow, branch, apiBase, configUrl)
+     * @returns {Object} Result with { success, target } or { success: false, message, errors }
+     */
+    addTarget(data) {
+        const target = {
+            name: data.name?.trim(),
+            owner: data.owner?.trim(),
+            repo: data.repo?.trim(),
+            workflow: data.workflow?.trim(),
+            branch: data.branch?.trim(),
+            apiBase: (data.apiBase?.trim() || window.CONFIG.github.apiBase).replace(/\/+$/, ''),
+            configUrl: data.configUrl?.trim() || this.DEFAULT_CONFIG_URL
+        };
+
+        const errors = this.validateTarget(target);
+        if (errors.length > 0) {
+            return {
+                success: false,
+                message: 'Invalid target',
+                errors
+            };
+        }
+
+        const existing = this.listTargets();
+        const base = `${target.owner}-${target.repo}-${target.workflow.replace(/\.ya?ml$/, '')}`
+            .toLowerCase()
+            .replace(/[^a-z0-9-]+/g, '-');
+
+        let id = base;
+        for (let i = 2; existing.some(t => t.id === id); i++) {
+            id = `${base}-${i}`;
+        }
+
+        const userTargets = this.loadUserTargets().map(({ builtIn, ...rest }) => rest);
+        const saved = StorageUtils.setJSON(this.TARGETS_KEY, [...userTargets, { id, ...target }]);
+
+        if (!saved) {
+            return {
+                success: false,
+                message: 'Failed to save target to storage'
+            };
+        }
+
+        console.log(`✅ Target added: ${target.name}`);
+        return { success: true, target: { id, ...target, builtIn: false } };
+    },
+
+    /**
+     * Remove a user-defined target (and its token)
+     * @param {string} id - Target ID
+     * @returns {Object} Result with { success } or { success: false, message }
+     */
+    removeTarget(id) {
+        const userTargets = this.loadUserTargets();
+
+        if (!userTargets.some(target => target.id === id)) {
+            return {
+                success: false,
+                message: 'Only targets added in the app can be removed'
+            };
+        }
+
+        const wasActive = this.getActiveTargetId() === id;
+
+        StorageUtils.setJSON(
+            this.TARGETS_KEY,
+            userTargets.filter(target => target.id !== id).map(({ builtIn, ...rest }) => rest)
+        );
+        TokenService.removeToken(id);
+
+        if (wasActive) {
+            StorageUtils.removeItem(this.STORAGE_KEY);
+        }
+
+        console.log(`🗑️ Target removed: ${id}`);
+        return { success: true };
+    },
+
+    /**
+     * GitHub configuration of a target (shape of CONFIG.github)
+     * @param {Object} target - Target
+     * @returns {Object} GitHub configuration with { owner, repo, workflow, branch, apiBase }
+     */
+    toGitHubConfig(target) {
+        return {
+            owner: target.owner,
+            repo: target.repo,
+            workflow: target.workflow,
+            branch: target.branch,
+            apiBase: target.apiBase
+        };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.TargetService = TargetService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TargetService;
+}
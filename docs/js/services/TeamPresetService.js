@@ -0,0 +1,235 @@
+/**
+ * Team Preset Service
+ * Shared presets stored as presets.json in the target repository
+ *
+ * With a token the file is read from (and promoted to) the target repository via the contents API;
+ * without one a read-only presets.json next to config.json is used.
+ * The file uses the preset export format (see PresetService.exportPresets).
+ *
+ * @module TeamPresetService
+ */
+
+const TeamPresetService = {
+    /**
+     * Path of the team presets file in the target repository
+     */
+    get PATH() {
+        return window.CONFIG?.teamPresets?.path || '.github/perf-runner/presets.json';
+    },
+
+    /**
+     * File name of the read-only copy next to config.json
+     */
+    SITE_FILE: 'presets.json',
+
+    /**
+     * Load team presets
+     * @param {string|null} token - GitHub personal access token (null = site copy only)
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {string} configUrl - Test configuration source of the target
+     * @returns {Promise<Object>} Result with { success, presets, source, sha, errors } or { success: false, message }
+     */
+    async load(token, githubConfig, configUrl) {
+        if (token) {
+            const file = await GitHubAPI.getFile(this.PATH, token, githubConfig, 'Failed to load team presets');
+
+            if (file.success) {
+                return this.parse(file.content, 'repo', file.sha);
+            }
+
+            // No file yet: the first promotion creates it
+            if (file.status === 404) {
+                return { success: true, presets: [], source: 'repo', sha: null, errors: [], document: null };
+            }
+
+            return file;
+        }
+
+        try {
+            const response = await fetch(this.siteUrl(configUrl), { cache: 'no-cache' });
+
+            if (response.status === 404) {
+                return { success: true, presets: [], source: 'none', sha: null, errors: [], document: null };
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            return this.parse(await response.text(), 'site', null);
+        } catch (error) {
+            console.error('Failed to load team presets:', error);
+            return {
+                success: false,
+                message: `Failed to load team presets: ${error.message}`
+            };
+        }
+    },
+
+    /**
+     * URL of presets.json next to config.json
+     * @param {string} configUrl - Test configuration source
+     * @returns {string} Presets URL
+     */
+    siteUrl(configUrl) {
+        return new URL(this.SITE_FILE, new URL(configUrl, window.location.href)).href;
+    },
+
+    /**
+     * Parse and validate a team presets file
+     * @param {string} content - File content
+     * @param {string} source - Where the file came from (repo or site)
+     * @param {string|null} sha - Blob SHA (repo only)
+     * @returns {Object} Result with { success, presets, source, sha, errors, document } or { success: false, message }
+     *   (document is the file as parsed, before validation)
+     */
+    parse(content, source, sha) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            return {
+                success: false,
+                message: `${this.SITE_FILE} is not valid JSON`
+            };
+        }
+
+        const validation = PresetService.validateImport(data);
+
+        if (validation.errors.length > 0) {
+            console.warn('⚠️ Invalid team presets:', validation.errors);
+        }
+
+        const presets = validation.presets.map(preset => ({ ...preset, team: true }));
+        console.log(`👥 Loaded ${presets.length} team presets from ${source}`);
+
+        return {
+            success: true,
+            presets,
+            source,
+            sha,
+            errors: validation.errors,
+            document: data
+        };
+    },
+
+    /**
+     * Promote a user preset to a team preset
+     * Commits to the target branch or opens a pull request from a new branch.
+     * The preset is appended to the file as it is: existing entries (even ones this
+     * version cannot read) are kept unchanged, only the new preset is validated.
+     * @param {Object} preset - User preset
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} options - Options
+     * @param {string} options.mode - 'commit' or 'pr'
+     * @returns {Promise<Object>} Result with { success, presets, pullRequest } or { success: false, message }
+     */
+    async promote(preset, token, githubConfig, options = {}) {
+        const current = await this.load(token, githubConfig, null);
+
+        if (!current.success) {
+            return current;
+        }
+
+        const document = current.document;
+
+        // Never overwrite a file whose entries could not be kept
+        if (document && (document.format !== PresetService.EXPORT_FORMAT ||
+            document.version !== PresetService.EXPORT_VERSION || !Array.isArray(document.presets))) {
+            return {
+                success: false,
+                message: `${this.PATH} is not a version ${PresetService.EXPORT_VERSION} preset file; fix it before promoting`
+            };
+        }
+
+        const existing = document ? document.presets : [];
+
+        if (existing.some(p => p?.name === preset.name)) {
+            return {
+                success: false,
+                message: `A team preset named "${preset.name}" already exists`
+            };
+        }
+
+        const slug = preset.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'preset';
+        const [teamPreset] = PresetService.exportPresets([{
+            ...preset,
+            id: `team-${slug}-${Date.now().toString(36)}`
+        }]).presets;
+
+        const problems = PresetService.validatePresetShape(teamPreset);
+        if (problems.length > 0) {
+            return {
+                success: false,
+                message: `Preset "${preset.name}" cannot be shared: ${problems.join(', ')}`
+            };
+        }
+
+        const updated = {
+            ...(document || PresetService.exportPresets([])),
+            exportedAt: new Date().toISOString(),
+            presets: [...existing, teamPreset]
+        };
+        const content = JSON.stringify(updated, null, 2) + '\n';
+        const message = `Add team preset: ${preset.name}`;
+
+        if (options.mode !== 'pr') {
+            const result = await GitHubAPI.putFile(this.PATH, content, message, token, githubConfig, current.sha);
+
+            if (!result.success) {
+                return result;
+            }
+
+            console.log(`✅ Team preset committed: ${preset.name}`);
+            return {
+                success: true,
+                presets: PresetService.validateImport(updated).presets.map(p => ({ ...p, team: true }))
+            };
+        }
+
+        const base = await GitHubAPI.getBranchSha(githubConfig.branch, token, githubConfig);
+        if (!base.success) {
+            return base;
+        }
+
+        const branch = `perf-runner/team-preset-${slug}-${Date.now().toString(36)}`;
+        const created = await GitHubAPI.createBranch(branch, base.sha, token, githubConfig);
+        if (!created.success) {
+            return created;
+        }
+
+        const branchConfig = { ...githubConfig, branch };
+        const result = await GitHubAPI.putFile(this.PATH, content, message, token, branchConfig, current.sha);
+        if (!result.success) {
+            return result;
+        }
+
+        const pullRequest = await GitHubAPI.createPullRequest({
+            title: message,
+            head: branch,
+            base: githubConfig.branch,
+            body: `Shares the "${preset.name}" preset with the team via \`${this.PATH}\`.`
+        }, token, githubConfig);
+
+        if (!pullRequest.success) {
+            return pullRequest;
+        }
+
+        console.log(`✅ Team preset pull request opened: #${pullRequest.pullRequest.number}`);
+        return {
+            success: true,
+            pullRequest: pullRequest.pullRequest
+        };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.TeamPresetService = TeamPresetService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TeamPresetService;
+}
@@ -12,22 +12,36 @@ const TokenService = {
     get STORAGE_KEY() {
         return window.CONFIG?.storage?.tokenKey || 'perf_runner_github_token';
     },
+
+    /**
+     * Storage key for the token of a target
+     * The default target keeps the original key so existing tokens stay valid
+     * @param {string} targetId - Target ID (default: active target)
+     * @returns {string} Storage key
+     */
+    storageKeyFor(targetId = TargetService.getActiveTargetId()) {
+        return targetId === TargetService.DEFAULT_TARGET_ID
+            ? this.STORAGE_KEY
+            : `${this.STORAGE_KEY}:${targetId}`;
+    },
     
     /**
      * Check if a valid token exists
+     * @param {string} targetId - Target ID (default: active target)
      * @returns {boolean} True if valid token exists
      */
-    hasValidToken() {
-        const token = this.getToken();
+    hasValidToken(targetId) {
+        const token = this.getToken(targetId);
         return !!token && SecurityUtils.isValidGitHubToken(token);
     },
 
     /**
      * Get stored token
+     * @param {string} targetId - Target ID (default: active target)
      * @returns {string|null} Token or null if not found
      */
-    getToken() {
-        return StorageUtils.getItem(this.STORAGE_KEY);
+    getToken(targetId) {
+        return StorageUtils.getItem(this.storageKeyFor(targetId));
     },
 
     /**
@@ -36,10 +50,11 @@ const TokenService = {
      * @param {Object} options - Save options
      * @param {boolean} options.validate - Validate token format (default: true)
      * @param {boolean} options.force - Force save even if validation fails (default: false)
+     * @param {string} options.targetId - Target ID (default: active target)
      * @returns {Object} Result with { success, message }
      */
     saveToken(token, options = {}) {
-        const { validate = true, force = false } = options;
+        const { validate = true, force = false, targetId } = options;
 
         // Sanitize input
         const sanitizedToken = token?.trim();
@@ -64,7 +79,7 @@ const TokenService = {
         }
 
         // Save to storage
-        const saved = StorageUtils.setItem(this.STORAGE_KEY, sanitizedToken);
+        const saved = StorageUtils.setItem(this.storageKeyFor(targetId), sanitizedToken);
 
         if (saved) {
             console.log('✅ Token saved successfully');
@@ -82,10 +97,11 @@ const TokenService = {
 
     /**
      * Remove token from storage
+     * @param {string} targetId - Target ID (default: active target)
      * @returns {boolean} True if removed successfully
      */
-    removeToken() {
-        const removed = StorageUtils.removeItem(this.STORAGE_KEY);
+    removeToken(targetId) {
+        const removed = StorageUtils.removeItem(this.storageKeyFor(targetId));
         
         if (removed) {
             console.log('🗑️ Token removed');
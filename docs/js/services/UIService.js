@@ -195,6 +195,25 @@ const UIService = {
         }
     },
 
+    /**
+     * Download text as a file
+     * @param {string} fileName - Suggested file name
+     * @param {string} content - File content
+     * @param {string} mimeType - MIME type (default: application/json)
+     */
+    downloadFile(fileName, content, mimeType = 'application/json') {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    },
+
     /**
      * Show temporary feedback on button
      * @param {Object} state - Vue reactive state object
@@ -0,0 +1,89 @@
+/**
+ * Workflow Schema Service
+ * Loads and caches the workflow_dispatch inputs declared by the target workflow
+ *
+ * @module WorkflowSchemaService
+ */
+
+const WorkflowSchemaService = {
+    /**
+     * Reuse loaded inputs for this long (ms)
+     */
+    CACHE_TTL: 5 * 60 * 1000,
+
+    /**
+     * Loaded schemas by workflow key
+     */
+    cache: new Map(),
+
+    /**
+     * Cache key of a workflow (owner/repo/workflow@branch)
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {string} Cache key
+     */
+    cacheKey(githubConfig) {
+        return `${githubConfig.owner}/${githubConfig.repo}/${githubConfig.workflow}@${githubConfig.branch}`;
+    },
+
+    /**
+     * Load declared inputs of the configured workflow
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} options - Options
+     * @param {boolean} options.refresh - Ignore cached schema
+     * @returns {Promise<Object>} Result with { success, inputs, path, fetchedAt } or { success: false, message }
+     */
+    async loadInputs(token, githubConfig, options = {}) {
+        const key = this.cacheKey(githubConfig);
+        const cached = this.cache.get(key);
+
+        if (!options.refresh && cached && Date.now() - cached.fetchedAt < this.CACHE_TTL) {
+            return { success: true, ...cached };
+        }
+
+        const file = await GitHubAPI.getWorkflowFile(token, githubConfig);
+
+        if (!file.success) {
+            return file;
+        }
+
+        let inputs;
+        try {
+            inputs = WorkflowInputs.fromYaml(file.content);
+        } catch (error) {
+            console.error('Failed to parse workflow file:', error);
+            return {
+                success: false,
+                message: `Could not parse ${file.path}: ${error.message}`
+            };
+        }
+
+        if (!inputs) {
+            return {
+                success: false,
+                message: `${file.path} has no workflow_dispatch trigger`
+            };
+        }
+
+        const schema = {
+            inputs,
+            path: file.path,
+            fetchedAt: Date.now()
+        };
+
+        this.cache.set(key, schema);
+        console.log(`📋 Workflow inputs loaded: ${inputs.map(input => input.name).join(', ') || '(none)'}`);
+
+        return { success: true, ...schema };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.WorkflowSchemaService = WorkflowSchemaService;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkflowSchemaService;
+}
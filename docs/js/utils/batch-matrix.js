@@ -0,0 +1,112 @@
+/**
+ * Batch Matrix
+ * Builds one canonical configuration per combination of load types, environments and scenarios
+ *
+ * @module BatchMatrix
+ */
+
+const BatchMatrix = {
+    /**
+     * Maximum number of dispatches in one batch
+     */
+    MAX_ITEMS: 20,
+
+    /**
+     * Build the matrix
+     * Values selected in the form keep their edited fields; other axis values use config.json defaults
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @param {Object} base - Current form state ({ selections, loadData, scenarioData })
+     * @param {Object} axes - Multi-selections ({ loadTypes, environments, scenarios }); empty = form value
+     * @returns {Object} Result with { items: [{ key, selections, canonical }], error }
+     */
+    build(testConfig, base, axes) {
+        const loadTypes = this.axisValues(axes.loadTypes, base.selections.loadType);
+        const environments = this.axisValues(axes.environments, base.selections.environment);
+        const scenarios = this.axisValues(axes.scenarios, base.selections.scenario);
+
+        const count = loadTypes.length * environments.length * scenarios.length;
+
+        if (count > this.MAX_ITEMS) {
+            return {
+                items: [],
+                error: `${count} combinations selected; a batch is limited to ${this.MAX_ITEMS}`
+            };
+        }
+
+        const items = [];
+
+        loadTypes.forEach(loadType => {
+            environments.forEach(environment => {
+                scenarios.forEach(scenario => {
+                    const selections = {
+                        loadType,
+                        environment,
+                        targetUrl: environment === base.selections.environment
+                            ? base.selections.targetUrl
+                            : (testConfig.environment[environment]?.urls || [])[0] || '',
+                        scenario
+                    };
+
+                    const canonical = CanonicalMapper.toCanonical(
+                        selections,
+                        this.loadDataFor(testConfig, base, loadType),
+                        this.scenarioDataFor(testConfig, base, scenario),
+                        testConfig
+                    );
+
+                    items.push({
+                        key: `${loadType}|${environment}|${scenario}`,
+                        selections,
+                        canonical
+                    });
+                });
+            });
+        });
+
+        return { items, error: null };
+    },
+
+    /**
+     * Values of one axis (falls back to the form value)
+     * @param {Array<string>} selected - Selected values
+     * @param {string} current - Form value
+     * @returns {Array<string>} Axis values
+     */
+    axisValues(selected, current) {
+        if (selected && selected.length > 0) return [...selected];
+        return current ? [current] : [];
+    },
+
+    /**
+     * Load fields for a load type
+     */
+    loadDataFor(testConfig, base, loadType) {
+        if (loadType === base.selections.loadType) {
+            return { ...base.loadData };
+        }
+
+        const { label, description, ...fieldValues } = testConfig.loadConfig[loadType] || {};
+        return fieldValues;
+    },
+
+    /**
+     * Scenario fields for a scenario
+     */
+    scenarioDataFor(testConfig, base, scenario) {
+        if (scenario === base.selections.scenario) {
+            return { ...base.scenarioData };
+        }
+
+        return { ...(testConfig.scenarioConfig[scenario]?.fields || {}) };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.BatchMatrix = BatchMatrix;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchMatrix;
+}
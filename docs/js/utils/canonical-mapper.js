@@ -35,6 +35,152 @@ const CanonicalMapper = {
         return canonical;
     },
 
+    /**
+     * Map canonical configuration back to UI selections and field data
+     * Reverses toCanonical (duration strings like "5m" become seconds)
+     * @param {Object} canonical - Canonical configuration object
+     * @returns {Object} Config with { selections, loadData, scenarioData }
+     */
+    fromCanonical(canonical) {
+        const test = canonical?.test || {};
+
+        return {
+            selections: {
+                loadType: test.type || '',
+                environment: test.environment?.type || '',
+                targetUrl: test.environment?.url || '',
+                scenario: test.simulation || ''
+            },
+            loadData: this.unmapLoadData(test.type, test.load),
+            scenarioData: { ...(canonical?.userDefinedVariable || {}) }
+        };
+    },
+
+    /**
+     * Map canonical load section back to flat load field data
+     * @param {string} loadType - Load type (profile key)
+     * @param {Object} load - Canonical load section ({ pause, profiles })
+     * @returns {Object} Load field data
+     */
+    unmapLoadData(loadType, load) {
+        const loadData = {};
+        const profile = load?.profiles?.[loadType] || {};
+
+        if (profile.ramp !== undefined) {
+            loadData.ramp = this.parseDuration(profile.ramp);
+        }
+
+        if (profile.users !== undefined) {
+            loadData.users = Number(profile.users);
+        }
+
+        if (profile.duration !== undefined) {
+            loadData.duration = this.parseDuration(profile.duration);
+        }
+
+        if (profile.warmup) {
+            if (profile.warmup.ramp !== undefined) {
+                loadData.warmupRamp = this.parseDuration(profile.warmup.ramp);
+            }
+
+            if (profile.warmup.users !== undefined) {
+                loadData.warmupUsers = Number(profile.warmup.users);
+            }
+
+            if (profile.warmup.duration !== undefined) {
+                loadData.warmupDuration = this.parseDuration(profile.warmup.duration);
+            }
+        }
+
+        if (load?.pause) {
+            if (load.pause.min !== undefined) {
+                loadData.minPause = this.parseDuration(load.pause.min);
+            }
+
+            if (load.pause.max !== undefined) {
+                loadData.maxPause = this.parseDuration(load.pause.max);
+            }
+        }
+
+        return loadData;
+    },
+
+    /**
+     * Map the legacy config shape (see app currentLegacyConfig) to UI state
+     * @param {Object} legacy - Legacy configuration object
+     * @returns {Object} UI state with { selections, loadData, scenarioData }
+     */
+    fromLegacy(legacy) {
+        return {
+            selections: {
+                loadType: legacy?.loadType || '',
+                environment: legacy?.environment || '',
+                targetUrl: legacy?.target_url || '',
+                scenario: legacy?.scenario || ''
+            },
+            loadData: { ...(legacy?.loadConfig || {}) },
+            scenarioData: { ...(legacy?.scenarioFields || {}) }
+        };
+    },
+
+    /**
+     * List canonical values that fromCanonical does not map to the form
+     * @param {Object} canonical - Canonical configuration object
+     * @returns {Array<string>} Problems (dotted path and reason)
+     */
+    findUnmapped(canonical) {
+        const problems = [];
+        const test = canonical?.test || {};
+        const load = test.load || {};
+        const profiles = load.profiles || {};
+
+        const unknownKeys = (object, known, path) => {
+            if (!object || typeof object !== 'object' || Array.isArray(object)) return;
+            Object.keys(object)
+                .filter(key => !known.includes(key))
+                .forEach(key => problems.push(`Not mapped: ${path}${key}`));
+        };
+
+        const checkDurations = (object, keys, path) => {
+            keys.forEach(key => {
+                const value = object?.[key];
+                if (value !== undefined && typeof value !== 'number' && !/^\d+[smh]?$/.test(value)) {
+                    problems.push(`Not a duration: ${path}${key} = ${value}`);
+                }
+            });
+        };
+
+        const checkNumbers = (object, keys, path) => {
+            keys.forEach(key => {
+                const value = object?.[key];
+                if (value !== undefined && Number.isNaN(Number(value))) {
+                    problems.push(`Not a number: ${path}${key} = ${value}`);
+                }
+            });
+        };
+
+        unknownKeys(canonical, ['userDefinedVariable', 'test'], '');
+        unknownKeys(test, ['simulation', 'descriptions', 'type', 'environment', 'load'], 'test.');
+        unknownKeys(test.environment, ['type', 'url'], 'test.environment.');
+        unknownKeys(load, ['pause', 'profiles'], 'test.load.');
+        unknownKeys(load.pause, ['min', 'max'], 'test.load.pause.');
+        unknownKeys(profiles, ['scanPackage', test.type], 'test.load.profiles.');
+        checkDurations(load.pause, ['min', 'max'], 'test.load.pause.');
+
+        const profile = profiles[test.type];
+        if (profile) {
+            const path = `test.load.profiles.${test.type}.`;
+            unknownKeys(profile, ['ramp', 'users', 'duration', 'warmup'], path);
+            unknownKeys(profile.warmup, ['ramp', 'users', 'duration'], `${path}warmup.`);
+            checkDurations(profile, ['ramp', 'duration'], path);
+            checkDurations(profile.warmup, ['ramp', 'duration'], `${path}warmup.`);
+            checkNumbers(profile, ['users'], path);
+            checkNumbers(profile.warmup, ['users'], `${path}warmup.`);
+        }
+
+        return problems;
+    },
+
     /**
      * Map scenario fields to userDefinedVariable
      * @param {Object} scenarioData - Scenario field data from UI
@@ -0,0 +1,142 @@
+/**
+ * Config Import
+ * Detects and parses pasted configuration (JSON, ENV or HOCON) into UI state
+ *
+ * JSON may be the canonical payload or the legacy shape (loadType, loadConfig, scenarioFields, ...).
+ * Every format ends up as { selections, loadData, scenarioData } via CanonicalMapper,
+ * ready for ShareLink.validate against config.json.
+ *
+ * @module ConfigImport
+ */
+
+const ConfigImport = {
+    /**
+     * Top-level keys of the legacy JSON shape
+     */
+    LEGACY_KEYS: ['loadType', 'loadConfig', 'environment', 'target_url', 'scenario', 'scenarioFields', 'timestamp'],
+
+    /**
+     * Guess the format of a pasted configuration
+     * @param {string} text - Configuration text
+     * @returns {string} 'json', 'env' or 'hocon'
+     */
+    detect(text) {
+        const trimmed = (text || '').replace(/^\uFEFF/, '').trim();
+
+        // HOCON may also start with a brace, so only valid JSON counts as JSON
+        if (trimmed.startsWith('{')) {
+            try {
+                JSON.parse(trimmed);
+                return 'json';
+            } catch (error) {
+                return 'hocon';
+            }
+        }
+
+        const firstLine = trimmed
+            .split('\n')
+            .map(line => line.trim())
+            .find(line => line && !line.startsWith('#') && !line.startsWith('//'));
+
+        // ENV keys as written by EnvEncoder: upper case, no spaces around =
+        if (firstLine && /^(export\s+[A-Za-z_]|[A-Z_][A-Z0-9_]*=)/.test(firstLine)) {
+            return 'env';
+        }
+
+        return 'hocon';
+    },
+
+    /**
+     * Parse a configuration into UI state
+     * @param {string} text - Configuration text
+     * @param {string} format - 'auto', 'json', 'env' or 'hocon'
+     * @param {Array<string>} keys - Key spellings for ENV decoding (see EnvEncoder.keysFromConfig)
+     * @returns {Object} Result with { success, format, shape, state, unmapped } or { success: false, format, message }
+     */
+    parse(text, format, keys = []) {
+        const detected = format === 'auto' ? this.detect(text) : format;
+
+        let result;
+        switch (detected) {
+            case 'json':
+                result = this.parseJson(text);
+                break;
+
+            case 'env':
+                result = EnvEncoder.decode(text, keys);
+                break;
+
+            default:
+                result = HoconParser.parse(text);
+        }
+
+        if (!result.success) {
+            return { success: false, format: detected, message: result.message };
+        }
+
+        const value = result.value;
+
+        if (detected === 'json' && this.isLegacy(value)) {
+            return {
+                success: true,
+                format: detected,
+                shape: 'legacy',
+                state: CanonicalMapper.fromLegacy(value),
+                unmapped: Object.keys(value)
+                    .filter(key => !this.LEGACY_KEYS.includes(key))
+                    .map(key => `Not mapped: ${key}`)
+            };
+        }
+
+        if (!value || typeof value.test !== 'object' || value.test === null || Array.isArray(value.test)) {
+            return {
+                success: false,
+                format: detected,
+                message: detected === 'json'
+                    ? 'Expected a canonical config ({ "test": { ... } }) or a legacy config ({ "loadType": ... })'
+                    : 'No test section found'
+            };
+        }
+
+        return {
+            success: true,
+            format: detected,
+            shape: 'canonical',
+            state: CanonicalMapper.fromCanonical(value),
+            unmapped: CanonicalMapper.findUnmapped(value)
+        };
+    },
+
+    /**
+     * Parse JSON text
+     * @param {string} text - JSON text
+     * @returns {Object} Result with { success, value } or { success: false, message }
+     */
+    parseJson(text) {
+        try {
+            return { success: true, value: JSON.parse((text || '').replace(/^\uFEFF/, '')) };
+        } catch (error) {
+            return { success: false, message: `Invalid JSON: ${error.message}` };
+        }
+    },
+
+    /**
+     * Check whether parsed JSON has the legacy shape
+     * @param {*} value - Parsed JSON
+     * @returns {boolean} True for legacy configs
+     */
+    isLegacy(value) {
+        return !!value && typeof value === 'object' && !('test' in value) &&
+            ('loadType' in value || 'loadConfig' in value || 'scenarioFields' in value);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ConfigImport = ConfigImport;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfigImport;
+}
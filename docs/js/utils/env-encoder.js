@@ -1,11 +1,23 @@
 /**
  * ENV Encoder - Strict HOCON-compatible ENV encoding
  * Uses double-underscore (__) for path nesting
- * 
+ *
+ * decode() is the inverse: decode(encode(canonical)) yields the same canonical object.
+ * To keep types apart without changing the values a dotenv/shell parser reads:
+ *   - strings that look like numbers or booleans, empty strings and strings with commas
+ *     are double-quoted ("123", "true", ""); inside quotes \\, \", \$ and \` are escaped,
+ *     so a shell expands nothing
+ *   - arrays with fewer than two items are announced by a "# list: KEY" comment
+ *
  * @module EnvEncoder
  */
 
 const EnvEncoder = {
+    /**
+     * Comment announcing that the named key holds a list (for empty and single-item lists)
+     */
+    LIST_MARKER: '# list: ',
+
     /**
      * Encode canonical config to ENV format with strict rules
      * @param {Object} canonical - Canonical configuration object
@@ -53,6 +65,11 @@ const EnvEncoder = {
                 // Recurse into nested objects
                 this.encodeObject(value, envKey, lines);
             } else {
+                // Without a comma an empty or single-item list reads as a scalar
+                if (Array.isArray(value) && value.length < 2) {
+                    lines.push(this.LIST_MARKER + envKey);
+                }
+
                 // Encode primitive value
                 const envValue = this.toEnvValue(value);
                 lines.push(`${envKey}=${envValue}`);
@@ -121,16 +138,371 @@ const EnvEncoder = {
      * @returns {string} Escaped value
      */
     escapeEnvValue(value) {
-        // Quote if contains spaces, $, quotes, or backslashes
-        if (/[\s$"'`\\]/.test(value)) {
-            return `"${value.replace(/"/g, '\\"')}"`;
+        // Quote if contains spaces, $, quotes, backslashes or commas,
+        // or would otherwise decode as a boolean, number or empty value
+        if (value === '' || /[\s$"'`\\,]/.test(value) || this.inferValue(value) !== value) {
+            // Escape what a shell would still expand inside double quotes
+            return `"${value.replace(/[\\"$`]/g, '\\$&')}"`;
         }
 
         // Otherwise return as-is (dots, slashes preserved)
         return value;
     },
 
+    /**
+     * Output dialects (dotenv is the strict format above; the others hold the same
+     * variables in the syntax of the tool that reads them)
+     */
+    DIALECTS: {
+        dotenv: { label: '.env file', tip: 'source config.env' },
+        shell: { label: 'Shell export script', tip: '. ./config.sh' },
+        docker: { label: 'Docker --env-file', tip: 'docker run --env-file config.env ...' },
+        kubernetes: { label: 'Kubernetes container env', tip: 'Paste under spec.containers[].env' },
+        configmap: { label: 'Kubernetes ConfigMap', tip: 'kubectl apply -f, then envFrom: configMapRef' },
+        github: { label: 'GitHub Actions env', tip: 'Paste at workflow, job or step level' }
+    },
+
+    /**
+     * Name of the generated Kubernetes ConfigMap
+     */
+    CONFIGMAP_NAME: 'gatling-test-config',
+
+    /**
+     * Encode canonical config in an ENV dialect
+     * Values a dialect cannot hold are skipped (or written lossy) and reported as warnings.
+     * @param {Object} canonical - Canonical configuration object
+     * @param {string} dialect - Dialect key (see DIALECTS)
+     * @returns {Object} Result with { text, warnings }
+     */
+    encodeDialect(canonical, dialect = 'dotenv') {
+        if (dialect === 'dotenv' || !this.DIALECTS[dialect]) {
+            return { text: this.encode(canonical), warnings: [] };
+        }
+
+        const warnings = [];
+        const entries = [];
+
+        if (canonical.userDefinedVariable) {
+            this.collectEntries(canonical.userDefinedVariable, 'USERDEFINEDVARIABLE', entries);
+        }
+
+        if (canonical.test) {
+            this.collectEntries(canonical.test, 'TEST', entries);
+        }
+
+        const lines = [];
+
+        if (dialect === 'shell') {
+            lines.push('#!/bin/sh');
+        }
+
+        lines.push('# Gatling Performance Test Configuration');
+        lines.push(`# Generated: ${new Date().toISOString()}`);
+
+        if (dialect === 'configmap') {
+            lines.push('apiVersion: v1');
+            lines.push('kind: ConfigMap');
+            lines.push('metadata:');
+            lines.push(`  name: ${this.CONFIGMAP_NAME}`);
+            lines.push('data:');
+        } else if (dialect === 'kubernetes' || dialect === 'github') {
+            lines.push('env:');
+        } else {
+            lines.push('');
+        }
+
+        entries.forEach(({ key, value }) => {
+            const text = this.toVariableValue(key, value, warnings);
+            if (text === null) return;
+
+            switch (dialect) {
+                case 'shell':
+                    // Single quotes keep everything literal; a quote itself is closed, escaped and reopened
+                    lines.push(`export ${key}='${text.replace(/'/g, "'\\''")}'`);
+                    break;
+
+                case 'docker':
+                    // docker --env-file takes the rest of the line verbatim (no quotes, no escapes)
+                    if (/[\r\n]/.test(text)) {
+                        warnings.push(`${key}: line breaks cannot be written to a Docker env-file, variable skipped`);
+                        return;
+                    }
+                    lines.push(`${key}=${text}`);
+                    break;
+
+                case 'kubernetes':
+                    // $(VAR) is expanded by the kubelet; $$ is its escape
+                    lines.push(`  - name: ${key}`);
+                    lines.push(`    value: ${JSON.stringify(text.replace(/\$\(/g, '$$$$('))}`);
+                    break;
+
+                case 'configmap':
+                    lines.push(`  ${key}: ${JSON.stringify(text)}`);
+                    break;
+
+                case 'github':
+                    // ${{ starts an expression; write it as the expression of a literal
+                    lines.push(`  ${key}: ${JSON.stringify(text.replace(/\$\{\{/g, "${{ '${{' }}"))}`);
+                    break;
+            }
+        });
+
+        return { text: lines.join('\n'), warnings };
+    },
+
+    /**
+     * Recursively collect ENV key/value pairs
+     * @param {Object} obj - Object to collect
+     * @param {string} prefix - Current key prefix
+     * @param {Array} entries - Output entries ({ key, value })
+     */
+    collectEntries(obj, prefix, entries) {
+        Object.entries(obj).forEach(([key, value]) => {
+            if (value === null || value === undefined) return;
+
+            const envKey = this.toEnvKey(prefix, key);
+
+            if (typeof value === 'object' && !Array.isArray(value)) {
+                this.collectEntries(value, envKey, entries);
+            } else {
+                entries.push({ key: envKey, value });
+            }
+        });
+    },
+
+    /**
+     * Convert a value to the string an environment variable holds
+     * @param {string} key - ENV key (for warnings)
+     * @param {*} value - Value
+     * @param {Array<string>} warnings - Collected warnings
+     * @returns {string|null} Variable value or null if it cannot be represented
+     */
+    toVariableValue(key, value, warnings) {
+        let text;
+
+        if (Array.isArray(value)) {
+            if (value.some(item => String(item).includes(','))) {
+                warnings.push(`${key}: list items contain commas and cannot be told apart after joining`);
+            }
+            text = value.join(',');
+        } else {
+            text = String(value);
+        }
+
+        if (text.includes('\0')) {
+            warnings.push(`${key}: environment variables cannot hold NUL characters, variable skipped`);
+            return null;
+        }
+
+        return text;
+    },
+
+    /**
+     * Canonical keys (ENV keys are upper case, so decoding needs the original spelling)
+     */
+    CANONICAL_KEYS: [
+        'userDefinedVariable', 'test', 'simulation', 'descriptions', 'type', 'environment', 'url',
+        'load', 'pause', 'min', 'max', 'profiles', 'scanPackage', 'ramp', 'users', 'duration', 'warmup'
+    ],
+
+    /**
+     * Decode ENV text (as produced by encode) back into a canonical config object
+     * Quoted values stay strings; unquoted values are typed (booleans, numbers, comma arrays).
+     * Duration strings like "5m" stay strings, as in the canonical config.
+     * Empty objects have no ENV lines and are not restored.
+     * @param {string} text - ENV text
+     * @param {Array<string>} keys - Extra key spellings to restore (e.g. from keysFromConfig)
+     * @returns {Object} Result with { success, value } or { success: false, message, line }
+     */
+    decode(text, keys = []) {
+        const spellings = new Map();
+        [...this.CANONICAL_KEYS, ...keys].forEach(key => {
+            spellings.set(this.toEnvKey('', key), key);
+        });
+
+        const lines = (text || '').replace(/^\uFEFF/, '').split('\n');
+        const result = {};
+        const lists = new Set();
+
+        try {
+            for (let index = 0; index < lines.length; index++) {
+                const lineNumber = index + 1;
+                const line = lines[index].replace(/\r$/, '');
+
+                if (line.trim().startsWith(this.LIST_MARKER)) {
+                    lists.add(line.trim().slice(this.LIST_MARKER.length).trim());
+                    continue;
+                }
+
+                if (!line.trim() || line.trim().startsWith('#')) continue;
+
+                const match = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)=(.*)$/.exec(line);
+                if (!match) {
+                    this.fail('Expected KEY=value', lineNumber);
+                }
+
+                const [, envKey, rest] = match;
+
+                // Quoted values may continue over several lines
+                let raw = rest;
+                while (this.isUnterminated(raw)) {
+                    if (++index >= lines.length) this.fail('Unterminated quoted value', lineNumber);
+                    raw += '\n' + lines[index].replace(/\r$/, '');
+                }
+
+                const path = envKey.split('__').map(segment => {
+                    if (!segment) this.fail(`Invalid key "${envKey}"`, lineNumber);
+                    return spellings.get(segment) || segment.toLowerCase();
+                });
+
+                let value = this.parseEnvValue(raw.trim(), lineNumber);
+
+                if (lists.has(envKey) && !Array.isArray(value)) {
+                    value = raw.trim() === '' ? [] : [value];
+                }
+
+                this.setPath(result, path, value, lineNumber);
+            }
+        } catch (error) {
+            if (error.line === undefined) throw error;
+
+            return {
+                success: false,
+                message: `Line ${error.line}: ${error.message}`,
+                line: error.line
+            };
+        }
+
+        return { success: true, value: result };
+    },
+
+    /**
+     * Key spellings of a test configuration (load types and scenario fields)
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @returns {Array<string>} Keys
+     */
+    keysFromConfig(testConfig) {
+        const keys = new Set();
+
+        Object.entries(testConfig?.loadConfig || {}).forEach(([loadType, fields]) => {
+            keys.add(loadType);
+            Object.keys(fields).forEach(key => keys.add(key));
+        });
+
+        Object.values(testConfig?.scenarioConfig || {}).forEach(scenario => {
+            Object.keys(scenario.fields || {}).forEach(key => keys.add(key));
+        });
+
+        return [...keys];
+    },
+
+    /**
+     * Throw a decode error
+     * @param {string} message - Error message
+     * @param {number} line - 1-based line number
+     */
+    fail(message, line) {
+        throw Object.assign(new Error(message), { line });
+    },
+
+    /**
+     * Check whether a raw value has an open double quote
+     * @param {string} raw - Raw value
+     * @returns {boolean} True if the closing quote is on a later line
+     */
+    isUnterminated(raw) {
+        let open = false;
+
+        for (let i = 0; i < raw.length; i++) {
+            if (open && raw[i] === '\\' && (raw[i + 1] === '"' || raw[i + 1] === '\\')) {
+                i++;
+            } else if (raw[i] === '"') {
+                open = !open;
+            }
+        }
+
+        return open;
+    },
+
+    /**
+     * Parse an ENV value (quoted string, typed scalar or comma array)
+     * @param {string} raw - Raw value
+     * @param {number} line - Line number
+     * @returns {*} Value
+     */
+    parseEnvValue(raw, line) {
+        const items = [];
+        let current = '';
+        let quoted = false;
+        let open = false;
+
+        for (let i = 0; i < raw.length; i++) {
+            const char = raw[i];
+
+            if (open) {
+                if (char === '\\' && '"\\$`'.includes(raw[i + 1])) {
+                    current += raw[++i];
+                } else if (char === '"') {
+                    open = false;
+                } else {
+                    current += char;
+                }
+            } else if (char === '"') {
+                if (current) this.fail('Unexpected quote inside value', line);
+                open = true;
+                quoted = true;
+            } else if (char === ',') {
+                items.push(quoted ? current : this.inferValue(current));
+                current = '';
+                quoted = false;
+            } else {
+                if (quoted) this.fail('Unexpected text after closing quote', line);
+                current += char;
+            }
+        }
+
+        items.push(quoted ? current : this.inferValue(current));
+
+        return items.length > 1 ? items : items[0];
+    },
+
+    /**
+     * Type an unquoted scalar
+     * @param {string} text - Unquoted text
+     * @returns {boolean|number|string} Typed value
+     */
+    inferValue(text) {
+        if (text === 'true') return true;
+        if (text === 'false') return false;
+        if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+        return text;
+    },
+
+    /**
+     * Set a value at a key path
+     * @param {Object} object - Target object
+     * @param {Array<string>} path - Key path
+     * @param {*} value - Value
+     * @param {number} line - Line number
+     */
+    setPath(object, path, value, line) {
+        let target = object;
+
+        path.slice(0, -1).forEach(segment => {
+            if (target[segment] === undefined) target[segment] = {};
+            if (typeof target[segment] !== 'object' || Array.isArray(target[segment])) {
+                this.fail(`${path.join('.')} conflicts with the value of ${segment}`, line);
+            }
+            target = target[segment];
+        });
+
+        const key = path[path.length - 1];
+        if (target[key] !== null && typeof target[key] === 'object' && !Array.isArray(target[key])) {
+            this.fail(`${path.join('.')} is already an object`, line);
+        }
 
+        target[key] = value;
+    }
 };
 
 // Export
@@ -0,0 +1,143 @@
+/**
+ * Gatling Report Parser
+ * Extracts summary metrics from Gatling stats.json / global_stats.json
+ *
+ * @module GatlingReport
+ */
+
+const GatlingReport = {
+    /**
+     * Report files in order of preference (stats.json carries per-request stats)
+     */
+    STATS_FILES: ['js/stats.json', 'stats.json', 'js/global_stats.json', 'global_stats.json'],
+
+    /**
+     * Default percentile mapping of Gatling's percentiles1..4 keys
+     */
+    PERCENTILE_KEYS: {
+        p50: 'percentiles1',
+        p75: 'percentiles2',
+        p95: 'percentiles3',
+        p99: 'percentiles4'
+    },
+
+    /**
+     * Find the best stats file among archive entry names
+     * @param {Array<string>} names - File names in the artifact
+     * @returns {string|null} Matching file name or null
+     */
+    findStatsFile(names) {
+        for (const candidate of this.STATS_FILES) {
+            const match = names.find(name => name === candidate || name.endsWith('/' + candidate));
+            if (match) return match;
+        }
+        return null;
+    },
+
+    /**
+     * Parse stats.json or global_stats.json content
+     * @param {Object|string} json - Parsed JSON or raw text
+     * @returns {Object} Summary with { global, requests }
+     */
+    parse(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+        if (!data || typeof data !== 'object') {
+            throw new Error('Invalid Gatling stats file');
+        }
+
+        // stats.json: { type: 'GROUP', stats: {...}, contents: {...} }
+        if (data.stats) {
+            return {
+                global: this.parseStatsBlock(data.stats, data.name || 'All Requests'),
+                requests: this.collectRequests(data.contents)
+            };
+        }
+
+        // global_stats.json: the stats block itself
+        if (data.numberOfRequests) {
+            return {
+                global: this.parseStatsBlock(data, data.name || 'All Requests'),
+                requests: []
+            };
+        }
+
+        throw new Error('Unrecognized Gatling stats format');
+    },
+
+    /**
+     * Collect per-request stats (flattening groups)
+     * @param {Object} contents - stats.json contents map
+     * @param {string} prefix - Group path prefix
+     * @returns {Array<Object>} Request summaries
+     */
+    collectRequests(contents, prefix = '') {
+        if (!contents) return [];
+
+        const requests = [];
+
+        Object.values(contents).forEach(node => {
+            const name = prefix ? `${prefix} / ${node.name}` : node.name;
+
+            if (node.type === 'REQUEST' && node.stats) {
+                requests.push(this.parseStatsBlock(node.stats, name));
+            } else if (node.type === 'GROUP' && node.contents) {
+                requests.push(...this.collectRequests(node.contents, name));
+            }
+        });
+
+        return requests;
+    },
+
+    /**
+     * Convert a Gatling stats block to a flat summary
+     * @param {Object} stats - Gatling stats block
+     * @param {string} name - Display name
+     * @returns {Object} Summary with { name, requests, ok, ko, koPercent, min, max, mean, p50, p75, p95, p99, throughput }
+     */
+    parseStatsBlock(stats, name) {
+        const total = this.metric(stats.numberOfRequests);
+        const ko = this.metric(stats.numberOfRequests, 'ko');
+
+        return {
+            name,
+            requests: total,
+            ok: this.metric(stats.numberOfRequests, 'ok'),
+            ko,
+            koPercent: total > 0 ? Number(((ko / total) * 100).toFixed(2)) : 0,
+            min: this.metric(stats.minResponseTime),
+            max: this.metric(stats.maxResponseTime),
+            mean: this.metric(stats.meanResponseTime),
+            p50: this.metric(stats[this.PERCENTILE_KEYS.p50]),
+            p75: this.metric(stats[this.PERCENTILE_KEYS.p75]),
+            p95: this.metric(stats[this.PERCENTILE_KEYS.p95]),
+            p99: this.metric(stats[this.PERCENTILE_KEYS.p99]),
+            throughput: this.metric(stats.meanNumberOfRequestsPerSecond)
+        };
+    },
+
+    /**
+     * Read a metric value ({ total, ok, ko } objects or plain numbers)
+     * @param {Object|number} value - Metric
+     * @param {string} key - Sub-key (default: total)
+     * @returns {number} Numeric value (0 when missing or "-")
+     */
+    metric(value, key = 'total') {
+        if (value === undefined || value === null) return 0;
+
+        const raw = typeof value === 'object' ? value[key] : value;
+        const parsed = Number(raw);
+
+        return isNaN(parsed) ? 0 : parsed;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.GatlingReport = GatlingReport;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GatlingReport;
+}
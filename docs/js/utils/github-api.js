@@ -6,15 +6,22 @@
  */
 
 const GitHubAPI = {
+    /**
+     * Tolerated clock difference (ms) when matching dispatched runs
+     */
+    DISPATCH_CLOCK_SKEW: 10000,
+
     /**
      * Trigger GitHub Actions workflow
      * @param {Object} config - Test configuration
      * @param {string} token - GitHub personal access token
      * @param {Object} githubConfig - API configuration (owner, repo, workflow)
      * @param {string} format - Output format (json/env/canonical/hocon)
+     * @param {Object} options - Dispatch options
+     * @param {Array<Object>} options.inputs - Declared workflow inputs to validate the payload against (optional)
      * @returns {Promise<Object>} Result object with success status and data
      */
-async triggerWorkflow(config, token, githubConfig, format = 'json') {
+async triggerWorkflow(config, token, githubConfig, format = 'json', options = {}) {
     try {
         // Validate token
         if (!token || !SecurityUtils.isValidGitHubToken(token)) {
@@ -39,7 +46,22 @@ async triggerWorkflow(config, token, githubConfig, format = 'json') {
         const url = this.buildApiUrl(githubConfig);
 
             // Build payload
-            const payload = this.buildPayload(config, format);
+            const payload = this.buildPayload(config, format, githubConfig);
+
+            // Catch input mismatches before GitHub rejects them with 422
+            if (options.inputs) {
+                const validation = WorkflowInputs.validate(options.inputs, payload.inputs);
+                if (!validation.valid) {
+                    return {
+                        success: false,
+                        message: `Payload does not match the inputs of ${githubConfig.workflow}`,
+                        errors: validation.errors
+                    };
+                }
+            }
+
+            // Remember dispatch time to correlate the resulting run later
+            const dispatchedAt = new Date().toISOString();
 
             console.log('🔗 Triggering workflow:', url);
             console.log('📦 Payload:', payload);
@@ -58,11 +80,11 @@ async triggerWorkflow(config, token, githubConfig, format = 'json') {
             // Handle response
             if (response.status === 204) {
                 // Success (204 No Content is expected response)
-                return this.handleSuccess(config, githubConfig);
+                return this.handleSuccess(config, githubConfig, dispatchedAt);
             } else {
                 // Error
                 const errorData = await response.json().catch(() => ({}));
-                return this.handleError(response, errorData);
+                return this.handleError(response, errorData, 'Failed to trigger workflow', this.DISPATCH_ERRORS);
             }
 
         } catch (error) {
@@ -86,18 +108,19 @@ buildApiUrl(githubConfig) {
     /**
      * Build GitHub Actions workflow dispatch payload
      * @param {Object} config - Configuration object
-     * @param {string} format - Output format (json/env/canonical/hocon)
+     * @param {string} format - Output format (json/env/canonical/hocon/yaml)
+     * @param {Object} githubConfig - GitHub configuration (default: config of the last dispatch)
      * @returns {Object} Workflow dispatch payload
      */
-    buildPayload(config, format) {
+    buildPayload(config, format, githubConfig = this.githubConfig) {
         // Check if config is in canonical format
         const isCanonical = config.test && config.test.simulation;
 
         if (isCanonical) {
-            return this.buildCanonicalPayload(config, format);
+            return this.buildCanonicalPayload(config, format, githubConfig);
         } else {
             // Legacy format
-            return this.buildLegacyPayload(config, format);
+            return this.buildLegacyPayload(config, format, githubConfig);
         }
     },
 
@@ -105,10 +128,11 @@ buildApiUrl(githubConfig) {
      * Build payload from canonical configuration (FORMAT-AWARE)
      * Simplified to match GitHub Actions workflow inputs: format + config
      * @param {Object} canonical - Canonical configuration object
-     * @param {string} format - Output format (json/env/hocon)
+     * @param {string} format - Output format (json/env/hocon/yaml)
+     * @param {Object} githubConfig - GitHub configuration (default: config of the last dispatch)
      * @returns {Object} Workflow dispatch payload
      */
-     buildCanonicalPayload(canonical, format) {
+     buildCanonicalPayload(canonical, format, githubConfig = this.githubConfig) {
         // Determine config string based on format
         let configString;
         
@@ -125,6 +149,12 @@ buildApiUrl(githubConfig) {
                 console.log('📦 Sending HOCON format configuration');
                 break;
     
+            case 'yaml':
+                // Format as YAML
+                configString = YamlFormatter.format(canonical);
+                console.log('📦 Sending YAML format configuration');
+                break;
+    
             case 'json':
             default:
                 // Stringify as JSON (default)
@@ -135,7 +165,7 @@ buildApiUrl(githubConfig) {
     
         // Build simplified payload matching GitHub Actions workflow
         const payload = {
-            ref: this.githubConfig.branch,
+            ref: githubConfig.branch,
             inputs: {
                 format: format || 'json',  // Format type
                 config: configString       // Configuration data
@@ -152,16 +182,17 @@ buildApiUrl(githubConfig) {
      * DEPRECATED: Legacy format support - use canonical format instead
      * @param {Object} config - Legacy configuration object
      * @param {string} format - Output format preference
+     * @param {Object} githubConfig - GitHub configuration (default: config of the last dispatch)
      * @returns {Object} Workflow dispatch payload
      */
-    buildLegacyPayload(config, format) {
+    buildLegacyPayload(config, format, githubConfig = this.githubConfig) {
         console.warn('⚠️ Using legacy format - consider migrating to canonical format');
 
         // Format as JSON (legacy ENV format removed)
         const configString = JSON.stringify(config, null, 2);
 
         return {
-            ref: this.githubConfig.branch,
+            ref: githubConfig.branch,
             inputs: {
                 config_data: configString,
                 load_type: config.loadType,
@@ -179,9 +210,10 @@ buildApiUrl(githubConfig) {
      * Handle successful workflow trigger
      * @param {Object} config - Configuration that was sent
      * @param {Object} githubConfig - API configuration
+     * @param {string} dispatchedAt - ISO timestamp taken right before dispatch
      * @returns {Object} Success result object
      */
-    handleSuccess(config, githubConfig) {
+    handleSuccess(config, githubConfig, dispatchedAt) {
 
         // Check if canonical or legacy format
         const isCanonical = config.test && config.test.simulation;
@@ -216,6 +248,8 @@ buildApiUrl(githubConfig) {
             success: true,
             message: 'Workflow triggered successfully',
             data: data,
+            dispatchedAt: dispatchedAt,
+            ref: githubConfig.branch,
             link: {
                 url: actionsUrl,
                 text: 'View workflow runs'
@@ -223,25 +257,44 @@ buildApiUrl(githubConfig) {
         };
     },
 
+    /**
+     * Status-specific texts of the workflow dispatch endpoint
+     */
+    DISPATCH_ERRORS: {
+        404: 'Repository or workflow not found. Check configuration.',
+        422: 'Invalid workflow inputs.'
+    },
+
+    /**
+     * Status-specific texts of the run cancel and re-run endpoints
+     */
+    RUN_ACTION_ERRORS: {
+        409: 'Run is not in a state that allows this action (it may have already completed or be cancelling).'
+    },
+
     /**
      * Handle API error response
+     * Authentication and permission failures get a shared message; other statuses use the
+     * caller's text for that status, else GitHub's own message after the fallback message
      * @param {Response} response - Fetch response object
      * @param {Object} errorData - Parsed error data from response
+     * @param {string} defaultMessage - Fallback message (default: 'Failed to trigger workflow')
+     * @param {Object} statusMessages - Texts keyed by HTTP status, followed by GitHub's message (optional)
      * @returns {Object} Error result object
      */
-    handleError(response, errorData) {
-        let message = 'Failed to trigger workflow';
+    handleError(response, errorData, defaultMessage = 'Failed to trigger workflow', statusMessages = {}) {
+        let message = defaultMessage;
 
         if (response.status === 401) {
             message = 'Authentication failed. Token may be invalid or expired.';
+        } else if (response.status === 403 && /rate limit/i.test(errorData.message || '')) {
+            message = 'GitHub API rate limit exceeded. Try again later.';
+        } else if (statusMessages[response.status]) {
+            message = `${statusMessages[response.status]} ${errorData.message || ''}`.trim();
         } else if (response.status === 403) {
             message = 'Access forbidden. Token may lack required permissions (repo, workflow).';
-        } else if (response.status === 404) {
-            message = 'Repository or workflow not found. Check configuration.';
-        } else if (response.status === 422) {
-            message = 'Invalid workflow inputs. ' + (errorData.message || '');
         } else if (errorData.message) {
-            message = errorData.message;
+            message = `${defaultMessage}: ${errorData.message}`;
         }
 
         return {
@@ -252,6 +305,574 @@ buildApiUrl(githubConfig) {
         };
     },
 
+    /**
+     * Build repository API base URL
+     * @param {Object} githubConfig - GitHub configuration (from CONFIG.github)
+     * @returns {string} Repository API URL
+     */
+    buildRepoUrl(githubConfig) {
+        return `${githubConfig.apiBase}/repos/${githubConfig.owner}/${githubConfig.repo}`;
+    },
+
+    /**
+     * Perform an authenticated request against the GitHub REST API
+     * @param {string} url - Full API URL
+     * @param {string} token - GitHub personal access token
+     * @param {Object} options - Request options
+     * @param {string} options.method - HTTP method (default: GET)
+     * @param {Object} options.body - JSON body to send
+     * @param {string} options.errorMessage - Fallback error message
+     * @param {Object} options.statusMessages - Error texts keyed by HTTP status (see handleError)
+     * @param {string} options.responseType - 'json' (default), 'text' or 'arrayBuffer'
+     * @returns {Promise<Object>} Result with { success, status, data } or error result
+     */
+    async request(url, token, options = {}) {
+        const {
+            method = 'GET',
+            body,
+            errorMessage = 'GitHub API request failed',
+            statusMessages = {},
+            responseType = 'json'
+        } = options;
+
+        if (!token || !SecurityUtils.isValidGitHubToken(token)) {
+            return {
+                success: false,
+                message: 'Invalid or missing GitHub token'
+            };
+        }
+
+        try {
+            const headers = {
+                'Accept': 'application/vnd.github.v3+json',
+                'Authorization': `token ${token}`
+            };
+
+            if (body !== undefined) {
+                headers['Content-Type'] = 'application/json';
+            }
+
+            const response = await fetch(url, {
+                method,
+                headers,
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                cache: 'no-cache'
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                return this.handleError(response, errorData, errorMessage, statusMessages);
+            }
+
+            // 202/204 responses carry no body
+            let data = null;
+            if (response.status !== 204) {
+                if (responseType === 'arrayBuffer') {
+                    data = await response.arrayBuffer();
+                } else if (responseType === 'text') {
+                    data = await response.text();
+                } else {
+                    data = await response.json().catch(() => null);
+                }
+            }
+
+            return {
+                success: true,
+                status: response.status,
+                data
+            };
+
+        } catch (error) {
+            console.error('GitHub API Error:', error);
+            return {
+                success: false,
+                message: error.message || 'Network error occurred'
+            };
+        }
+    },
+
+    /**
+     * Get the user that owns the token
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, data: user }
+     */
+    async getAuthenticatedUser(token, githubConfig) {
+        return this.request(`${githubConfig.apiBase}/user`, token, {
+            errorMessage: 'Failed to load GitHub user'
+        });
+    },
+
+    /**
+     * Get the default branch of the repository (the only branch GitHub runs scheduled workflows from)
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, branch }
+     */
+    async getDefaultBranch(token, githubConfig) {
+        const result = await this.request(this.buildRepoUrl(githubConfig), token, {
+            errorMessage: 'Failed to load repository'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            branch: result.data?.default_branch
+        };
+    },
+
+    /**
+     * List runs of the configured workflow
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} filters - Query filters (branch, actor, event, status, created, per_page, page)
+     * @returns {Promise<Object>} Result with { success, runs, totalCount }
+     */
+    async listWorkflowRuns(token, githubConfig, filters = {}) {
+        const params = new URLSearchParams();
+
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                params.append(key, String(value));
+            }
+        });
+
+        const query = params.toString();
+        const url = `${this.buildRepoUrl(githubConfig)}/actions/workflows/${githubConfig.workflow}/runs${query ? '?' + query : ''}`;
+
+        const result = await this.request(url, token, {
+            errorMessage: 'Failed to load workflow runs'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            runs: result.data?.workflow_runs || [],
+            totalCount: result.data?.total_count || 0
+        };
+    },
+
+    /**
+     * Get a single workflow run
+     * @param {number} runId - Workflow run ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, run }
+     */
+    async getWorkflowRun(runId, token, githubConfig) {
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/actions/runs/${runId}`, token, {
+            errorMessage: 'Failed to load workflow run'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            run: result.data
+        };
+    },
+
+    /**
+     * Cancel a workflow run
+     * @param {number} runId - Workflow run ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} options - Options
+     * @param {boolean} options.force - Force cancel (bypasses always() conditions)
+     * @returns {Promise<Object>} Result with { success } or error result
+     */
+    async cancelWorkflowRun(runId, token, githubConfig, options = {}) {
+        const action = options.force ? 'force-cancel' : 'cancel';
+
+        return this.request(`${this.buildRepoUrl(githubConfig)}/actions/runs/${runId}/${action}`, token, {
+            method: 'POST',
+            errorMessage: 'Failed to cancel workflow run',
+            statusMessages: this.RUN_ACTION_ERRORS
+        });
+    },
+
+    /**
+     * Re-run a workflow run (creates a new attempt of the same run)
+     * @param {number} runId - Workflow run ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} options - Options
+     * @param {boolean} options.failedOnly - Re-run only failed jobs
+     * @returns {Promise<Object>} Result with { success } or error result
+     */
+    async rerunWorkflowRun(runId, token, githubConfig, options = {}) {
+        const action = options.failedOnly ? 'rerun-failed-jobs' : 'rerun';
+
+        return this.request(`${this.buildRepoUrl(githubConfig)}/actions/runs/${runId}/${action}`, token, {
+            method: 'POST',
+            errorMessage: 'Failed to re-run workflow',
+            statusMessages: this.RUN_ACTION_ERRORS
+        });
+    },
+
+    /**
+     * List artifacts uploaded by a workflow run
+     * @param {number} runId - Workflow run ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, artifacts }
+     */
+    async listRunArtifacts(runId, token, githubConfig) {
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/actions/runs/${runId}/artifacts?per_page=100`, token, {
+            errorMessage: 'Failed to load run artifacts'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            artifacts: result.data?.artifacts || []
+        };
+    },
+
+    /**
+     * Download an artifact as a ZIP archive
+     * @param {number} artifactId - Artifact ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, data: ArrayBuffer }
+     */
+    async downloadArtifact(artifactId, token, githubConfig) {
+        return this.request(`${this.buildRepoUrl(githubConfig)}/actions/artifacts/${artifactId}/zip`, token, {
+            responseType: 'arrayBuffer',
+            errorMessage: 'Failed to download artifact',
+            statusMessages: { 410: 'Artifact is no longer available (it may have expired).' }
+        });
+    },
+
+    /**
+     * Maximum pages fetched when listing branches or tags (100 per page)
+     */
+    MAX_REF_PAGES: 5,
+
+    /**
+     * List branches of the repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, items: [{ name }] }
+     */
+    async listBranches(token, githubConfig) {
+        return this.listPaged(`${this.buildRepoUrl(githubConfig)}/branches`, token, 'Failed to load branches');
+    },
+
+    /**
+     * List tags of the repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, items: [{ name }] }
+     */
+    async listTags(token, githubConfig) {
+        return this.listPaged(`${this.buildRepoUrl(githubConfig)}/tags`, token, 'Failed to load tags');
+    },
+
+    /**
+     * Fetch a paginated list endpoint (up to MAX_REF_PAGES pages)
+     * @param {string} url - List endpoint URL
+     * @param {string} token - GitHub personal access token
+     * @param {string} errorMessage - Fallback error message
+     * @returns {Promise<Object>} Result with { success, items, truncated }
+     */
+    async listPaged(url, token, errorMessage) {
+        const items = [];
+
+        for (let page = 1; page <= this.MAX_REF_PAGES; page++) {
+            const result = await this.request(`${url}?per_page=100&page=${page}`, token, { errorMessage });
+
+            if (!result.success) {
+                return result;
+            }
+
+            const pageItems = Array.isArray(result.data) ? result.data : [];
+            items.push(...pageItems);
+
+            if (pageItems.length < 100) {
+                return { success: true, items, truncated: false };
+            }
+        }
+
+        return { success: true, items, truncated: true };
+    },
+
+    /**
+     * Load the workflow file from the repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, path, content }
+     */
+    async getWorkflowFile(token, githubConfig) {
+        return this.getFile(`.github/workflows/${githubConfig.workflow}`, token, githubConfig, 'Failed to load workflow file');
+    },
+
+    /**
+     * Load a text file from the configured branch
+     * @param {string} path - File path in the repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {string} errorMessage - Fallback error message
+     * @returns {Promise<Object>} Result with { success, path, sha, content }
+     */
+    async getFile(path, token, githubConfig, errorMessage = 'Failed to load file') {
+        const ref = encodeURIComponent(githubConfig.branch);
+
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/contents/${path}?ref=${ref}`, token, {
+            errorMessage
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        // Contents API returns base64 with line breaks
+        const binary = atob((result.data?.content || '').replace(/\s/g, ''));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+
+        return {
+            success: true,
+            path,
+            sha: result.data?.sha,
+            content: new TextDecoder('utf-8').decode(bytes)
+        };
+    },
+
+    /**
+     * List a directory on the configured branch
+     * @param {string} path - Directory path in the repository
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, items: [{ name, path, sha, type }] }
+     */
+    async listDirectory(path, token, githubConfig) {
+        const ref = encodeURIComponent(githubConfig.branch);
+
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/contents/${path}?ref=${ref}`, token, {
+            errorMessage: `Failed to list ${path}`
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            items: Array.isArray(result.data) ? result.data : []
+        };
+    },
+
+    /**
+     * Create or update a text file on the configured branch (one commit)
+     * @param {string} path - File path in the repository
+     * @param {string} content - File content
+     * @param {string} message - Commit message
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {string} sha - Blob SHA of the file being replaced (omit to create)
+     * @returns {Promise<Object>} Result with { success, path, sha }
+     */
+    async putFile(path, content, message, token, githubConfig, sha = null) {
+        const bytes = new TextEncoder().encode(content);
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+
+        const body = {
+            message,
+            content: btoa(binary),
+            branch: githubConfig.branch
+        };
+
+        if (sha) {
+            body.sha = sha;
+        }
+
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/contents/${path}`, token, {
+            method: 'PUT',
+            body,
+            errorMessage: `Failed to write ${path}`
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            path,
+            sha: result.data?.content?.sha
+        };
+    },
+
+    /**
+     * Delete a file on the configured branch (one commit)
+     * @param {string} path - File path in the repository
+     * @param {string} sha - Blob SHA of the file
+     * @param {string} message - Commit message
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success }
+     */
+    async deleteFile(path, sha, message, token, githubConfig) {
+        return this.request(`${this.buildRepoUrl(githubConfig)}/contents/${path}`, token, {
+            method: 'DELETE',
+            body: { message, sha, branch: githubConfig.branch },
+            errorMessage: `Failed to delete ${path}`
+        });
+    },
+
+    /**
+     * Get the commit SHA a branch points to
+     * @param {string} branch - Branch name
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, sha }
+     */
+    async getBranchSha(branch, token, githubConfig) {
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/git/ref/heads/${encodeURIComponent(branch)}`, token, {
+            errorMessage: `Failed to load branch ${branch}`
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            sha: result.data?.object?.sha
+        };
+    },
+
+    /**
+     * Create a branch
+     * @param {string} branch - New branch name
+     * @param {string} sha - Commit SHA to branch from
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success }
+     */
+    async createBranch(branch, sha, token, githubConfig) {
+        return this.request(`${this.buildRepoUrl(githubConfig)}/git/refs`, token, {
+            method: 'POST',
+            body: { ref: `refs/heads/${branch}`, sha },
+            errorMessage: `Failed to create branch ${branch}`
+        });
+    },
+
+    /**
+     * Open a pull request
+     * @param {Object} pullRequest - Pull request fields ({ title, body, head, base })
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, pullRequest: { number, url } }
+     */
+    async createPullRequest(pullRequest, token, githubConfig) {
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/pulls`, token, {
+            method: 'POST',
+            body: pullRequest,
+            errorMessage: 'Failed to open pull request'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            pullRequest: {
+                number: result.data?.number,
+                url: result.data?.html_url
+            }
+        };
+    },
+
+    /**
+     * List jobs (with steps) of the latest attempt of a workflow run
+     * @param {number} runId - Workflow run ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, jobs }
+     */
+    async listRunJobs(runId, token, githubConfig) {
+        const result = await this.request(`${this.buildRepoUrl(githubConfig)}/actions/runs/${runId}/jobs?filter=latest&per_page=100`, token, {
+            errorMessage: 'Failed to load run jobs'
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        return {
+            success: true,
+            jobs: result.data?.jobs || []
+        };
+    },
+
+    /**
+     * Download the plain-text log of a job
+     * @param {number} jobId - Job ID
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @returns {Promise<Object>} Result with { success, data: string }
+     */
+    async getJobLogs(jobId, token, githubConfig) {
+        return this.request(`${this.buildRepoUrl(githubConfig)}/actions/jobs/${jobId}/logs`, token, {
+            responseType: 'text',
+            errorMessage: 'Failed to load job logs'
+        });
+    },
+
+    /**
+     * Find the workflow run created by a dispatch
+     * The dispatch endpoint returns no run ID, so the run is matched by
+     * branch, event, actor and creation time (oldest unclaimed match wins)
+     * @param {string} token - GitHub personal access token
+     * @param {Object} githubConfig - GitHub configuration
+     * @param {Object} criteria - Matching criteria
+     * @param {string} criteria.dispatchedAt - ISO timestamp of the dispatch
+     * @param {string} criteria.actor - Login of the dispatching user (optional)
+     * @param {string} criteria.branch - Dispatched ref (default: githubConfig.branch)
+     * @param {Array<number>} criteria.excludeRunIds - Runs already claimed by other dispatches
+     * @returns {Promise<Object>} Result with { success, run } (run is null when not created yet)
+     */
+    async findDispatchedRun(token, githubConfig, criteria = {}) {
+        const { dispatchedAt, actor, branch = githubConfig.branch, excludeRunIds = [] } = criteria;
+
+        // Allow some clock skew between browser and GitHub
+        const since = new Date(new Date(dispatchedAt).getTime() - this.DISPATCH_CLOCK_SKEW);
+
+        const result = await this.listWorkflowRuns(token, githubConfig, {
+            branch,
+            actor,
+            event: 'workflow_dispatch',
+            created: `>=${since.toISOString().replace(/\.\d{3}Z$/, 'Z')}`,
+            per_page: 20
+        });
+
+        if (!result.success) {
+            return result;
+        }
+
+        const candidates = result.runs
+            .filter(run => !excludeRunIds.includes(run.id))
+            .filter(run => new Date(run.created_at) >= since)
+            .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+        return {
+            success: true,
+            run: candidates[0] || null
+        };
+    },
 
 };
 
@@ -0,0 +1,625 @@
+/**
+ * HOCON Parser
+ * Parses HOCON (Human-Optimized Config Object Notation) back into plain objects
+ *
+ * Supported: root object with or without braces, nested objects, dotted and quoted keys,
+ * "=", ":" and "+=", # and // comments, quoted and triple-quoted strings, arrays,
+ * object merging, value concatenation, duration literals and ${path} / ${?path}
+ * substitutions within the document. include is not supported.
+ *
+ * @module HoconParser
+ */
+
+const HoconParser = {
+    /**
+     * Characters that end an unquoted string
+     */
+    FORBIDDEN: '$"{}[]:=,+#`^?!@*&\\',
+
+    /**
+     * Tag of unresolved values (substitutions, concatenations, appends)
+     */
+    MARKER: Symbol('hocon-marker'),
+
+    /**
+     * Duration units (seconds per unit)
+     */
+    DURATION_UNITS: {
+        ms: 0.001, milli: 0.001, millis: 0.001, millisecond: 0.001, milliseconds: 0.001,
+        s: 1, second: 1, seconds: 1,
+        m: 60, minute: 60, minutes: 60,
+        h: 3600, hour: 3600, hours: 3600,
+        d: 86400, day: 86400, days: 86400
+    },
+
+    /**
+     * Parse HOCON text
+     * @param {string} text - HOCON document
+     * @returns {Object} Result with { success, value } or { success: false, message, line }
+     */
+    parse(text) {
+        try {
+            const tokens = this.tokenize(text || '');
+            const state = { tokens, pos: 0 };
+
+            this.skip(state, ['ws', 'newline']);
+
+            let root;
+            if (this.peek(state).type === '{') {
+                state.pos++;
+                root = this.parseObjectBody(state, '}');
+                this.expect(state, '}');
+                this.skip(state, ['ws', 'newline']);
+            } else {
+                root = this.parseObjectBody(state, null);
+            }
+
+            if (this.peek(state).type !== 'eof') {
+                this.fail(`Unexpected ${this.describe(this.peek(state))}`, this.peek(state).line);
+            }
+
+            return {
+                success: true,
+                value: this.resolve(root, root, [])
+            };
+        } catch (error) {
+            if (error.line === undefined) throw error;
+
+            return {
+                success: false,
+                message: `Line ${error.line}: ${error.message}`,
+                line: error.line
+            };
+        }
+    },
+
+    /**
+     * Throw a parse error
+     * @param {string} message - Error message
+     * @param {number} line - 1-based line number
+     */
+    fail(message, line) {
+        throw Object.assign(new Error(message), { line });
+    },
+
+    /**
+     * Split text into tokens
+     * @param {string} text - HOCON document
+     * @returns {Array<Object>} Tokens with { type, value, line }
+     */
+    tokenize(text) {
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+            const start = line;
+
+            if (char === '\n') {
+                tokens.push({ type: 'newline', line });
+                line++;
+                i++;
+            } else if (char === ' ' || char === '\t' || char === '\r' || char === '\uFEFF') {
+                let value = '';
+                while (i < text.length && ' \t\r\uFEFF'.includes(text[i])) value += text[i++];
+                tokens.push({ type: 'ws', value: value.replace(/[\r\uFEFF]/g, ''), line });
+            } else if (char === '#' || text.startsWith('//', i)) {
+                while (i < text.length && text[i] !== '\n') i++;
+            } else if (text.startsWith('"""', i)) {
+                const end = text.indexOf('"""', i + 3);
+                if (end === -1) this.fail('Unterminated """ string', start);
+
+                // Extra quotes before the closing """ belong to the string
+                let close = end;
+                while (text[close + 3] === '"') close++;
+
+                const value = text.slice(i + 3, close);
+                line += (value.match(/\n/g) || []).length;
+                tokens.push({ type: 'string', value, line: start });
+                i = close + 3;
+            } else if (char === '"') {
+                const { value, length } = this.readQuoted(text, i, line);
+                tokens.push({ type: 'string', value, line });
+                i += length;
+            } else if (text.startsWith('${', i)) {
+                const end = text.indexOf('}', i);
+                if (end === -1 || text.slice(i, end).includes('\n')) this.fail('Unterminated substitution', line);
+
+                const body = text.slice(i + 2, end).trim();
+                const optional = body.startsWith('?');
+                const path = (optional ? body.slice(1) : body).trim();
+                if (!path) this.fail('Empty substitution', line);
+
+                tokens.push({ type: 'subst', path, optional, line });
+                i = end + 1;
+            } else if (text.startsWith('+=', i)) {
+                tokens.push({ type: '+=', line });
+                i += 2;
+            } else if ('{}[]=:,'.includes(char)) {
+                tokens.push({ type: char, line });
+                i++;
+            } else {
+                let value = '';
+                while (
+                    i < text.length &&
+                    !this.FORBIDDEN.includes(text[i]) &&
+                    !' \t\r\n\uFEFF'.includes(text[i]) &&
+                    !text.startsWith('//', i)
+                ) {
+                    value += text[i++];
+                }
+
+                if (!value) this.fail(`Unexpected character "${char}"`, line);
+                tokens.push({ type: 'unquoted', value, line });
+            }
+        }
+
+        tokens.push({ type: 'eof', line });
+        return tokens;
+    },
+
+    /**
+     * Read a double-quoted string with JSON escapes
+     * @param {string} text - HOCON document
+     * @param {number} start - Index of the opening quote
+     * @param {number} line - Line number
+     * @returns {Object} Object with { value, length }
+     */
+    readQuoted(text, start, line) {
+        const escapes = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+        let value = '';
+        let i = start + 1;
+
+        while (i < text.length && text[i] !== '"') {
+            if (text[i] === '\n') this.fail('Unterminated string', line);
+
+            if (text[i] === '\\') {
+                const next = text[i + 1];
+
+                if (next === 'u' && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 2, i + 6))) {
+                    value += String.fromCharCode(parseInt(text.slice(i + 2, i + 6), 16));
+                    i += 6;
+                    continue;
+                }
+
+                if (!(next in escapes)) this.fail(`Invalid escape "\\${next || ''}"`, line);
+                value += escapes[next];
+                i += 2;
+                continue;
+            }
+
+            value += text[i++];
+        }
+
+        if (i >= text.length) this.fail('Unterminated string', line);
+
+        return { value, length: i - start + 1 };
+    },
+
+    /**
+     * Current token
+     * @param {Object} state - Parser state
+     * @returns {Object} Token
+     */
+    peek(state) {
+        return state.tokens[state.pos];
+    },
+
+    /**
+     * Skip tokens of the given types
+     * @param {Object} state - Parser state
+     * @param {Array<string>} types - Token types to skip
+     */
+    skip(state, types) {
+        while (types.includes(this.peek(state).type)) state.pos++;
+    },
+
+    /**
+     * Consume a token of the given type
+     * @param {Object} state - Parser state
+     * @param {string} type - Expected token type
+     */
+    expect(state, type) {
+        const token = this.peek(state);
+        if (token.type !== type) this.fail(`Expected "${type}" but found ${this.describe(token)}`, token.line);
+        state.pos++;
+    },
+
+    /**
+     * Token description for error messages
+     * @param {Object} token - Token
+     * @returns {string} Description
+     */
+    describe(token) {
+        switch (token.type) {
+            case 'eof': return 'end of file';
+            case 'newline': return 'end of line';
+            case 'string': return `"${token.value}"`;
+            case 'unquoted': return `"${token.value}"`;
+            case 'subst': return `\${${token.path}}`;
+            default: return `"${token.type}"`;
+        }
+    },
+
+    /**
+     * Parse object fields up to the closing brace (or end of file for the root)
+     * @param {Object} state - Parser state
+     * @param {string|null} end - Closing token type ('}' or null for end of file)
+     * @returns {Object} Parsed object
+     */
+    parseObjectBody(state, end) {
+        const object = {};
+
+        for (;;) {
+            this.skip(state, ['ws', 'newline', ',']);
+
+            const token = this.peek(state);
+            if (token.type === (end || 'eof')) return object;
+            if (token.type === 'eof') this.fail(`Missing "${end}"`, token.line);
+
+            const keyLine = token.line;
+            const path = this.parseKey(state);
+
+            this.skip(state, ['ws']);
+            const separator = this.peek(state);
+            let value;
+
+            if (separator.type === '{') {
+                value = this.parseValue(state);
+            } else if (separator.type === '=' || separator.type === ':' || separator.type === '+=') {
+                state.pos++;
+                this.skip(state, ['ws', 'newline']);
+                value = this.parseValue(state);
+
+                if (separator.type === '+=') {
+                    value = this.marker({ append: value, line: keyLine });
+                }
+            } else {
+                this.fail(`Expected "=", ":" or "{" after key "${path.join('.')}"`, separator.line);
+            }
+
+            this.assign(object, path, value);
+
+            this.skip(state, ['ws']);
+            const next = this.peek(state);
+            if (!['newline', ',', 'eof', end].includes(next.type)) {
+                this.fail(`Expected a new line or "," before ${this.describe(next)}`, next.line);
+            }
+        }
+    },
+
+    /**
+     * Parse a key path (dotted, with quoted segments)
+     * @param {Object} state - Parser state
+     * @returns {Array<string>} Path segments
+     */
+    parseKey(state) {
+        const segments = [''];
+        const line = this.peek(state).line;
+        let quoted = false;
+
+        while (['string', 'unquoted'].includes(this.peek(state).type)) {
+            const token = this.peek(state);
+            state.pos++;
+
+            if (token.type === 'string') {
+                segments[segments.length - 1] += token.value;
+                quoted = true;
+            } else {
+                const parts = token.value.split('.');
+                segments[segments.length - 1] += parts[0];
+                segments.push(...parts.slice(1));
+            }
+        }
+
+        if (!quoted && segments.length === 1 && segments[0] === 'include') {
+            this.fail('include is not supported', line);
+        }
+
+        if (segments.some(segment => segment === '')) {
+            const token = this.peek(state);
+            this.fail(segments.length === 1 && segments[0] === ''
+                ? `Expected a key but found ${this.describe(token)}`
+                : `Invalid key "${segments.join('.')}"`, line);
+        }
+
+        return segments;
+    },
+
+    /**
+     * Parse a value (up to the end of the line, "," or a closing bracket)
+     * @param {Object} state - Parser state
+     * @returns {*} Parsed value (substitutions are resolved later)
+     */
+    parseValue(state) {
+        const pieces = [];
+        const line = this.peek(state).line;
+
+        for (;;) {
+            const token = this.peek(state);
+
+            if (token.type === '{') {
+                state.pos++;
+                const object = this.parseObjectBody(state, '}');
+                this.expect(state, '}');
+                pieces.push({ kind: 'object', value: object });
+            } else if (token.type === '[') {
+                state.pos++;
+                pieces.push({ kind: 'array', value: this.parseArray(state) });
+            } else if (['string', 'unquoted', 'subst', 'ws'].includes(token.type)) {
+                state.pos++;
+                pieces.push({ kind: token.type, value: token.value, token });
+            } else {
+                break;
+            }
+        }
+
+        while (pieces.length > 0 && pieces[pieces.length - 1].kind === 'ws') pieces.pop();
+
+        if (pieces.length === 0) {
+            this.fail(`Expected a value but found ${this.describe(this.peek(state))}`, this.peek(state).line);
+        }
+
+        if (pieces.length === 1) {
+            const [piece] = pieces;
+            if (piece.kind === 'object' || piece.kind === 'array') return piece.value;
+            if (piece.kind === 'string') return piece.value;
+            if (piece.kind === 'subst') return this.marker({ subst: piece.token.path, optional: piece.token.optional, line });
+            return this.convertUnquoted(piece.value);
+        }
+
+        const values = pieces.filter(piece => piece.kind !== 'ws');
+
+        if (values.every(piece => piece.kind === 'object' || piece.kind === 'subst')) {
+            return this.marker({ merge: values.map(piece => this.pieceValue(piece, line)), line });
+        }
+
+        if (values.every(piece => piece.kind === 'array' || piece.kind === 'subst')) {
+            return this.marker({ concat: values.map(piece => this.pieceValue(piece, line)), line });
+        }
+
+        if (values.some(piece => piece.kind === 'object' || piece.kind === 'array')) {
+            this.fail('Cannot concatenate objects or arrays with strings', line);
+        }
+
+        // Unquoted words with spaces, e.g. "5 minutes"
+        if (pieces.every(piece => piece.kind === 'unquoted' || piece.kind === 'ws')) {
+            return this.convertUnquoted(pieces.map(piece => piece.value).join(''));
+        }
+
+        return this.marker({ join: pieces.map(piece => this.pieceValue(piece, line)), line });
+    },
+
+    /**
+     * Value of one concatenation piece
+     * @param {Object} piece - Piece
+     * @param {number} line - Line number
+     * @returns {*} Value or substitution marker
+     */
+    pieceValue(piece, line) {
+        if (piece.kind === 'subst') return this.marker({ subst: piece.token.path, optional: piece.token.optional, line });
+        return piece.value;
+    },
+
+    /**
+     * Parse array items up to "]"
+     * @param {Object} state - Parser state
+     * @returns {Array} Items
+     */
+    parseArray(state) {
+        const items = [];
+
+        for (;;) {
+            this.skip(state, ['ws', 'newline']);
+
+            if (this.peek(state).type === ']') {
+                state.pos++;
+                return items;
+            }
+
+            if (this.peek(state).type === 'eof') this.fail('Missing "]"', this.peek(state).line);
+
+            items.push(this.parseValue(state));
+
+            this.skip(state, ['ws']);
+            const next = this.peek(state);
+
+            if (next.type === ',') {
+                state.pos++;
+            } else if (next.type !== 'newline' && next.type !== ']') {
+                this.fail(`Expected "," or "]" before ${this.describe(next)}`, next.line);
+            }
+        }
+    },
+
+    /**
+     * Type an unquoted value (number, boolean, null, duration or string)
+     * @param {string} text - Unquoted text
+     * @returns {*} Typed value
+     */
+    convertUnquoted(text) {
+        if (text === 'true' || text === 'yes' || text === 'on') return true;
+        if (text === 'false' || text === 'no' || text === 'off') return false;
+        if (text === 'null') return null;
+        if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text)) return Number(text);
+
+        return this.convertDuration(text);
+    },
+
+    /**
+     * Convert a duration literal to the canonical form ("30s", "5m", "2h" or seconds)
+     * @param {string} text - Unquoted text (e.g. "5 minutes")
+     * @returns {string|number} Canonical duration or the original text
+     */
+    convertDuration(text) {
+        const match = /^(\d+(?:\.\d+)?)\s*([a-z]+)$/.exec(text);
+        const factor = match && this.DURATION_UNITS[match[2]];
+
+        if (!factor) return text;
+
+        const seconds = Number(match[1]) * factor;
+
+        if (Number.isInteger(seconds / 3600) && seconds >= 3600 && factor >= 3600) return `${seconds / 3600}h`;
+        if (Number.isInteger(seconds / 60) && seconds >= 60 && factor >= 60) return `${seconds / 60}m`;
+        if (Number.isInteger(seconds)) return `${seconds}s`;
+
+        return seconds;
+    },
+
+    /**
+     * Set a value at a key path, merging objects and handling +=
+     * @param {Object} object - Target object
+     * @param {Array<string>} path - Key path
+     * @param {*} value - Value
+     */
+    assign(object, path, value) {
+        let target = object;
+
+        path.slice(0, -1).forEach(segment => {
+            if (!this.isPlainObject(target[segment])) target[segment] = {};
+            target = target[segment];
+        });
+
+        const key = path[path.length - 1];
+
+        if (this.isMarker(value) && 'append' in value) {
+            const current = target[key];
+            target[key] = this.marker({ concat: [current === undefined ? [] : current, [value.append]], line: value.line });
+        } else if (this.isPlainObject(value) && this.isPlainObject(target[key]) && !this.isMarker(value)) {
+            Object.entries(value).forEach(([name, item]) => this.assign(target[key], [name], item));
+        } else {
+            target[key] = value;
+        }
+    },
+
+    /**
+     * Check for an object that is not a parser marker
+     * @param {*} value - Value
+     * @returns {boolean} True for plain objects
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value) && !this.isMarker(value);
+    },
+
+    /**
+     * Tag an unresolved value
+     * @param {Object} fields - Marker fields ({ subst, optional }, { join }, { merge }, { concat } or { append }, plus line)
+     * @returns {Object} Marker
+     */
+    marker(fields) {
+        return { ...fields, [this.MARKER]: true };
+    },
+
+    /**
+     * Check for an unresolved marker (substitution, concatenation or append)
+     * @param {*} value - Value
+     * @returns {boolean} True for markers
+     */
+    isMarker(value) {
+        return value !== null && typeof value === 'object' && value[this.MARKER] === true;
+    },
+
+    /**
+     * Resolve substitutions and concatenations
+     * @param {*} value - Parsed value
+     * @param {Object} root - Root object (substitution scope)
+     * @param {Array<string>} stack - Substitutions being resolved (cycle detection)
+     * @returns {*} Resolved value (undefined for a missing optional substitution)
+     */
+    resolve(value, root, stack) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.resolve(item, root, stack)).filter(item => item !== undefined);
+        }
+
+        if (this.isMarker(value)) {
+            if ('subst' in value) {
+                return this.lookup(value, root, stack);
+            }
+
+            if ('join' in value) {
+                return value.join.map(piece => {
+                    const resolved = this.resolve(piece, root, stack);
+                    if (resolved !== null && typeof resolved === 'object') {
+                        this.fail('Cannot concatenate objects or arrays with strings', value.line);
+                    }
+                    return resolved === undefined || resolved === null ? '' : String(resolved);
+                }).join('');
+            }
+
+            if ('merge' in value) {
+                const merged = {};
+                value.merge.forEach(piece => {
+                    const resolved = this.resolve(piece, root, stack);
+                    if (resolved === undefined) return;
+                    if (!this.isPlainObject(resolved)) this.fail('Cannot merge a non-object value', value.line);
+                    Object.entries(resolved).forEach(([name, item]) => this.assign(merged, [name], item));
+                });
+                return merged;
+            }
+
+            if ('concat' in value) {
+                return value.concat.reduce((items, piece) => {
+                    const resolved = this.resolve(piece, root, stack);
+                    if (resolved === undefined) return items;
+                    if (!Array.isArray(resolved)) this.fail('Cannot append to a non-array value', value.line);
+                    return items.concat(resolved);
+                }, []);
+            }
+        }
+
+        if (value !== null && typeof value === 'object') {
+            const resolved = {};
+            Object.entries(value).forEach(([key, item]) => {
+                const result = this.resolve(item, root, stack);
+                if (result !== undefined) resolved[key] = result;
+            });
+            return resolved;
+        }
+
+        return value;
+    },
+
+    /**
+     * Resolve one ${path} substitution against the document
+     * @param {Object} marker - Substitution marker with { subst, optional, line }
+     * @param {Object} root - Root object
+     * @param {Array<string>} stack - Substitutions being resolved
+     * @returns {*} Resolved value
+     */
+    lookup(marker, root, stack) {
+        if (stack.includes(marker.subst)) {
+            this.fail(`Substitution cycle: \${${[...stack, marker.subst].join('} → ${')}}`, marker.line);
+        }
+
+        let current = root;
+        for (const segment of marker.subst.split('.')) {
+            if (this.isMarker(current)) {
+                current = this.resolve(current, root, [...stack, marker.subst]);
+            }
+
+            if (current === null || typeof current !== 'object' || Array.isArray(current) || !(segment in current)) {
+                current = undefined;
+                break;
+            }
+            current = current[segment];
+        }
+
+        if (current === undefined) {
+            if (marker.optional) return undefined;
+            this.fail(`Unresolved substitution \${${marker.subst}}`, marker.line);
+        }
+
+        return this.resolve(current, root, [...stack, marker.subst]);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.HoconParser = HoconParser;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HoconParser;
+}
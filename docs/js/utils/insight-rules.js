@@ -0,0 +1,287 @@
+/**
+ * Insight Rules
+ * Offline heuristics over parsed Gatling stats and simulation.log timelines
+ *
+ * @module InsightRules
+ */
+
+const InsightRules = {
+    /**
+     * Rule thresholds
+     */
+    LIMITS: {
+        errorRateWarning: 1,        // % KO (global)
+        errorRateCritical: 5,       // % KO (global)
+        requestErrorRate: 5,        // % KO (single request)
+        spikeMinErrorRate: 5,       // % KO in a bucket to count as a spike
+        spikeFactor: 3,             // bucket error rate vs. median error rate
+        kneeFactor: 2,              // latency vs. low-load baseline
+        saturationUsersGrowth: 30,  // % user growth without throughput growth
+        saturationThroughputGrowth: 5,
+        tailRatio: 5                // p99 / p50
+    },
+
+    /**
+     * Run all rules
+     * @param {Object} context - Analysis context ({ report, canonical })
+     * @returns {Array<Object>} Insights with { id, severity, title, detail }
+     */
+    evaluate(context) {
+        return [
+            ...this.errorRate(context),
+            ...this.failingRequests(context),
+            ...this.errorSpikes(context),
+            ...this.latencyKnee(context),
+            ...this.saturation(context),
+            ...this.latencyTail(context)
+        ];
+    },
+
+    /**
+     * Global error rate
+     */
+    errorRate({ report }) {
+        const { koPercent, ko, requests } = report.global;
+
+        if (koPercent >= this.LIMITS.errorRateCritical) {
+            return [{
+                id: 'error-rate',
+                severity: 'critical',
+                title: `High error rate: ${koPercent}%`,
+                detail: `${ko} of ${requests} requests failed.`
+            }];
+        }
+
+        if (koPercent >= this.LIMITS.errorRateWarning) {
+            return [{
+                id: 'error-rate',
+                severity: 'warning',
+                title: `Elevated error rate: ${koPercent}%`,
+                detail: `${ko} of ${requests} requests failed.`
+            }];
+        }
+
+        return [{
+            id: 'error-rate',
+            severity: 'success',
+            title: ko === 0 ? 'No failed requests' : `Error rate within limits (${koPercent}%)`,
+            detail: `${requests} requests executed.`
+        }];
+    },
+
+    /**
+     * Individual requests with high error rate
+     */
+    failingRequests({ report }) {
+        const failing = (report.requests || [])
+            .filter(request => request.koPercent >= this.LIMITS.requestErrorRate)
+            .sort((a, b) => b.koPercent - a.koPercent);
+
+        if (failing.length === 0) return [];
+
+        return [{
+            id: 'failing-requests',
+            severity: 'warning',
+            title: `${failing.length} request(s) fail more than ${this.LIMITS.requestErrorRate}% of the time`,
+            detail: failing.slice(0, 5).map(r => `${r.name} (${r.koPercent}%)`).join(', ')
+        }];
+    },
+
+    /**
+     * Buckets where the error rate spikes above the run's usual level
+     */
+    errorSpikes({ report }) {
+        const buckets = this.activeBuckets(report);
+        if (buckets.length < 3) return [];
+
+        const rates = buckets.map(b => (b.ko / b.requests) * 100);
+        const median = this.median(rates);
+        const limit = Math.max(this.LIMITS.spikeMinErrorRate, median * this.LIMITS.spikeFactor);
+
+        const spikes = buckets
+            .map((bucket, index) => ({ bucket, rate: rates[index] }))
+            .filter(item => item.rate >= limit);
+
+        if (spikes.length === 0) return [];
+
+        const worst = spikes.reduce((a, b) => (b.rate > a.rate ? b : a));
+
+        return [{
+            id: 'error-spikes',
+            severity: 'warning',
+            title: `${spikes.length} error spike(s) detected`,
+            detail: `Worst at ${this.formatOffset(worst.bucket.t)}: ${worst.rate.toFixed(1)}% errors with ${worst.bucket.activeUsers} active users` +
+                (spikes.length > 1 ? ` (first at ${this.formatOffset(spikes[0].bucket.t)})` : '') + '.'
+        }];
+    },
+
+    /**
+     * Point during ramp-up where latency departs from its low-load baseline
+     */
+    latencyKnee({ report }) {
+        const ramp = this.rampBuckets(report);
+        if (ramp.length < 5) return [];
+
+        const baselineCount = Math.max(2, Math.floor(ramp.length * 0.2));
+        const baseline = this.median(ramp.slice(0, baselineCount).map(b => b.p95));
+        if (!baseline) return [];
+
+        const knee = ramp.slice(baselineCount).find(b => b.p95 >= baseline * this.LIMITS.kneeFactor);
+        if (!knee) {
+            return [{
+                id: 'latency-knee',
+                severity: 'success',
+                title: 'Latency stays flat during ramp-up',
+                detail: `p95 remained within ${this.LIMITS.kneeFactor}x of its ${Math.round(baseline)} ms baseline up to ${ramp[ramp.length - 1].activeUsers} users.`
+            }];
+        }
+
+        return [{
+            id: 'latency-knee',
+            severity: 'warning',
+            title: `Latency knee at ~${knee.activeUsers} active users`,
+            detail: `p95 rose from ${Math.round(baseline)} ms to ${knee.p95} ms at ${this.formatOffset(knee.t)} while users were still ramping up.`
+        }];
+    },
+
+    /**
+     * Throughput plateau while users keep increasing (capacity tests)
+     */
+    saturation({ report, canonical }) {
+        const ramp = this.rampBuckets(report);
+        if (ramp.length < 6) return [];
+
+        const isCapacity = canonical?.test?.type === 'capacity';
+        const half = Math.floor(ramp.length / 2);
+        const first = ramp[half];
+        const last = ramp[ramp.length - 1];
+
+        if (!first.activeUsers || !first.throughput) return [];
+
+        const usersGrowth = ((last.activeUsers - first.activeUsers) / first.activeUsers) * 100;
+        const throughputGrowth = ((last.throughput - first.throughput) / first.throughput) * 100;
+
+        if (usersGrowth < this.LIMITS.saturationUsersGrowth || throughputGrowth > this.LIMITS.saturationThroughputGrowth) {
+            return [];
+        }
+
+        return [{
+            id: 'saturation',
+            severity: isCapacity ? 'critical' : 'info',
+            title: `Throughput saturates around ${first.activeUsers} users`,
+            detail: `Users grew ${Math.round(usersGrowth)}% (${first.activeUsers} → ${last.activeUsers}) but throughput changed ${Math.round(throughputGrowth)}% ` +
+                `(${first.throughput} → ${last.throughput} rps).` +
+                (isCapacity ? ' The system likely reached its capacity limit.' : '')
+        }];
+    },
+
+    /**
+     * Long latency tail (p99 far above p50)
+     */
+    latencyTail({ report }) {
+        const { p50, p99 } = report.global;
+        if (!p50 || p99 / p50 < this.LIMITS.tailRatio) return [];
+
+        return [{
+            id: 'latency-tail',
+            severity: 'info',
+            title: 'Long latency tail',
+            detail: `p99 (${p99} ms) is ${(p99 / p50).toFixed(1)}x the median (${p50} ms); a minority of requests is much slower.`
+        }];
+    },
+
+    /**
+     * Plain-language summary of a run
+     * @param {Object} context - Analysis context ({ report, canonical })
+     * @param {Array<Object>} insights - Evaluated insights
+     * @returns {string} Summary
+     */
+    summarize({ report, canonical }, insights) {
+        const test = canonical?.test;
+        const global = report.global;
+        const parts = [];
+
+        if (test) {
+            parts.push(`${this.capitalize(test.type)} test of ${test.simulation} on ${test.environment?.type}.`);
+        }
+
+        parts.push(
+            `${global.requests} requests at ${global.throughput} rps, ` +
+            `${global.koPercent}% errors, median ${global.p50} ms, p95 ${global.p95} ms, p99 ${global.p99} ms.`
+        );
+
+        const critical = insights.filter(i => i.severity === 'critical');
+        const warnings = insights.filter(i => i.severity === 'warning');
+
+        if (critical.length > 0) {
+            parts.push(`Needs attention: ${critical.map(i => i.title.toLowerCase()).join('; ')}.`);
+        } else if (warnings.length > 0) {
+            parts.push(`Watch out for: ${warnings.map(i => i.title.toLowerCase()).join('; ')}.`);
+        } else {
+            parts.push('No problems detected.');
+        }
+
+        if (!report.timeline) {
+            parts.push('Time-based checks were skipped because no text simulation.log was found.');
+        }
+
+        return parts.join(' ');
+    },
+
+    /**
+     * Timeline buckets that carry requests
+     */
+    activeBuckets(report) {
+        return (report.timeline?.buckets || []).filter(b => b.requests > 0);
+    },
+
+    /**
+     * Buckets from first request until active users stop increasing
+     */
+    rampBuckets(report) {
+        const buckets = this.activeBuckets(report);
+        if (buckets.length === 0) return [];
+
+        const peak = Math.max(...buckets.map(b => b.activeUsers));
+        const peakIndex = buckets.findIndex(b => b.activeUsers === peak);
+
+        return buckets.slice(0, peakIndex + 1);
+    },
+
+    /**
+     * Median of numbers
+     */
+    median(values) {
+        if (values.length === 0) return 0;
+
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    },
+
+    /**
+     * Format seconds since start as T+mm:ss
+     */
+    formatOffset(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `T+${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Capitalize first letter
+     */
+    capitalize(str) {
+        return str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.InsightRules = InsightRules;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InsightRules;
+}
@@ -0,0 +1,150 @@
+/**
+ * Job Log Parser
+ * Splits GitHub Actions job logs into classified lines (errors, Gatling assertions, stack traces)
+ *
+ * @module JobLog
+ */
+
+const JobLog = {
+    /**
+     * Timestamp GitHub prefixes to every log line
+     */
+    TIMESTAMP_PATTERN: /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z) ?/,
+
+    /**
+     * Workflow command markers
+     */
+    COMMANDS: {
+        group: '##[group]',
+        endgroup: '##[endgroup]',
+        error: '##[error]',
+        warning: '##[warning]'
+    },
+
+    /**
+     * Gatling assertion results ("Global: max of response time is less than 800 : false")
+     */
+    ASSERTION_PATTERNS: [
+        /(response time|percentage of|count of|requests per sec|mean of|max of|min of|percentile|standard deviation).*:\s*false\b/i,
+        /assertions? (failed|violated)/i
+    ],
+
+    /**
+     * Java stack trace lines
+     */
+    STACK_PATTERNS: [
+        /^\s*at\s+[\w$.<>/]+\(.*\)\s*$/,
+        /^\s*(Caused by:\s*|Exception in thread "[^"]*"\s*)?([a-z_][\w$]*\.)+[A-Z][\w$]*(Exception|Error|Throwable)\b/,
+        /^\s*\.\.\.\s\d+\s+more\s*$/
+    ],
+
+    /**
+     * Parse raw job log text
+     * @param {string} text - Log content
+     * @returns {Array<Object>} Lines with { n, time, text, kind }
+     *   kind: 'group' | 'error' | 'warning' | 'assertion' | 'stack' | 'plain'
+     */
+    parse(text) {
+        const lines = [];
+        let time = null;
+
+        (text || '').replace(/^\uFEFF/, '').split(/\r?\n/).forEach(raw => {
+            const match = raw.match(this.TIMESTAMP_PATTERN);
+            let content = raw;
+
+            // Continuation lines inherit the previous timestamp
+            if (match) {
+                time = Date.parse(match[1]);
+                content = raw.slice(match[0].length);
+            }
+
+            if (content.startsWith(this.COMMANDS.endgroup)) return;
+            if (!content && !match) return;
+
+            const { kind, text: lineText } = this.classify(content);
+
+            lines.push({
+                n: lines.length + 1,
+                time,
+                text: lineText,
+                kind
+            });
+        });
+
+        return lines;
+    },
+
+    /**
+     * Classify a log line (without timestamp)
+     * @param {string} content - Line content
+     * @returns {Object} Result with { kind, text } (workflow command marker removed)
+     */
+    classify(content) {
+        for (const kind of ['group', 'error', 'warning']) {
+            if (content.startsWith(this.COMMANDS[kind])) {
+                return { kind, text: content.slice(this.COMMANDS[kind].length) };
+            }
+        }
+
+        if (this.ASSERTION_PATTERNS.some(pattern => pattern.test(content))) {
+            return { kind: 'assertion', text: content };
+        }
+
+        if (this.STACK_PATTERNS.some(pattern => pattern.test(content))) {
+            return { kind: 'stack', text: content };
+        }
+
+        return { kind: 'plain', text: content };
+    },
+
+    /**
+     * Lines written while a step was running
+     * @param {Array<Object>} lines - Parsed lines
+     * @param {Object} step - Job step from GitHubAPI.listRunJobs
+     * @returns {Array<Object>} Lines of the step
+     */
+    forStep(lines, step) {
+        if (!step?.started_at) return [];
+
+        // Step times have second precision
+        const from = Math.floor(Date.parse(step.started_at) / 1000) * 1000;
+        const to = step.completed_at ? Date.parse(step.completed_at) + 1000 : Infinity;
+
+        return lines.filter(line => line.time !== null && line.time >= from && line.time < to);
+    },
+
+    /**
+     * Lines containing a search query (case-insensitive)
+     * @param {Array<Object>} lines - Parsed lines
+     * @param {string} query - Search query
+     * @returns {Array<Object>} Matching lines
+     */
+    filter(lines, query) {
+        const needle = (query || '').trim().toLowerCase();
+        if (!needle) return lines;
+
+        return lines.filter(line => line.text.toLowerCase().includes(needle));
+    },
+
+    /**
+     * Count highlighted lines per kind
+     * @param {Array<Object>} lines - Parsed lines
+     * @returns {Object} Map of kind → count
+     */
+    countKinds(lines) {
+        return lines.reduce((counts, line) => {
+            counts[line.kind] = (counts[line.kind] || 0) + 1;
+            return counts;
+        }, {});
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.JobLog = JobLog;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = JobLog;
+}
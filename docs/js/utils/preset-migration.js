@@ -0,0 +1,199 @@
+/**
+ * Preset Migration
+ * Validates stored preset configurations against config.json and applies remap/drop fixes
+ *
+ * Presets are stamped with the config.json version they were saved with (config.configVersion).
+ * Each issue names one broken entry; a resolution is either a replacement value
+ * (remap) or an empty string (drop).
+ *
+ * @module PresetMigration
+ */
+
+const PresetMigration = {
+    /**
+     * Check a preset configuration against config.json
+     * @param {Object} config - Preset configuration ({ selections, loadData, scenarioData, ref, configVersion })
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @returns {Object} Result with { issues, stale, savedVersion, currentVersion }
+     */
+    check(config, testConfig) {
+        const issues = [];
+        const selections = config.selections || {};
+        const currentVersion = testConfig.version || null;
+        const savedVersion = config.configVersion || null;
+
+        const loadConfig = this.checkSelection(
+            issues, 'loadType', 'Load type', selections.loadType, testConfig.loadConfig
+        );
+        const environmentConfig = this.checkSelection(
+            issues, 'environment', 'Environment', selections.environment, testConfig.environment
+        );
+        const scenarioConfig = this.checkSelection(
+            issues, 'scenario', 'Scenario', selections.scenario, testConfig.scenarioConfig
+        );
+
+        if (environmentConfig && selections.targetUrl) {
+            const urls = environmentConfig.urls || [];
+            if (!urls.includes(selections.targetUrl)) {
+                issues.push({
+                    id: 'selections.targetUrl',
+                    section: 'selections',
+                    key: 'targetUrl',
+                    value: selections.targetUrl,
+                    message: `URL is not listed for ${environmentConfig.label || selections.environment}`,
+                    options: urls.map(url => ({ value: url, label: url }))
+                });
+            }
+        }
+
+        if (loadConfig) {
+            const { label, description, ...defaults } = loadConfig;
+            this.checkFields(issues, 'loadData', 'Load field', config.loadData, defaults);
+        }
+
+        if (scenarioConfig) {
+            this.checkFields(issues, 'scenarioData', 'Scenario field', config.scenarioData, scenarioConfig.fields || {});
+        }
+
+        return {
+            issues,
+            stale: savedVersion !== currentVersion,
+            savedVersion,
+            currentVersion
+        };
+    },
+
+    /**
+     * Check one selection against its config.json section
+     * @param {Array} issues - Collected issues
+     * @param {string} key - Selection key
+     * @param {string} label - Label for messages
+     * @param {string} value - Stored value
+     * @param {Object} section - config.json section (loadConfig, environment or scenarioConfig)
+     * @returns {Object|null} Config entry of the value or null if missing
+     */
+    checkSelection(issues, key, label, value, section) {
+        if (!value || section[value]) {
+            return value ? section[value] : null;
+        }
+
+        issues.push({
+            id: `selections.${key}`,
+            section: 'selections',
+            key,
+            value,
+            message: `${label} no longer exists in config.json`,
+            options: Object.entries(section).map(([name, entry]) => ({
+                value: name,
+                label: entry.label || name
+            }))
+        });
+
+        return null;
+    },
+
+    /**
+     * Check stored field values against config.json defaults
+     * @param {Array} issues - Collected issues
+     * @param {string} section - loadData or scenarioData
+     * @param {string} kind - Field kind for messages
+     * @param {Object} values - Stored values
+     * @param {Object} defaults - Field defaults from config.json
+     */
+    checkFields(issues, section, kind, values, defaults) {
+        const stored = values || {};
+
+        Object.entries(stored).forEach(([key, value]) => {
+            if (!(key in defaults)) {
+                // Remap targets: fields of the same type the preset does not set yet
+                const options = Object.keys(defaults)
+                    .filter(name => !(name in stored) && typeof defaults[name] === typeof value)
+                    .map(name => ({ value: name, label: name }));
+
+                issues.push({
+                    id: `${section}.${key}`,
+                    section,
+                    key,
+                    value,
+                    message: `${kind} no longer exists in config.json`,
+                    options
+                });
+            } else if (typeof value !== typeof defaults[key]) {
+                issues.push({
+                    id: `${section}.${key}`,
+                    section,
+                    key,
+                    value,
+                    message: `${kind} should be a ${typeof defaults[key]}`,
+                    options: []
+                });
+            }
+        });
+    },
+
+    /**
+     * Apply resolutions to a preset configuration
+     * @param {Object} config - Preset configuration
+     * @param {Array} issues - Issues from check
+     * @param {Object} resolutions - Map of issue id to replacement value ('' = drop)
+     * @returns {Object} Migrated configuration (new object)
+     */
+    apply(config, issues, resolutions) {
+        const migrated = {
+            ...config,
+            selections: { ...config.selections },
+            loadData: { ...config.loadData },
+            scenarioData: { ...config.scenarioData }
+        };
+
+        issues.forEach(issue => {
+            const target = resolutions[issue.id] || '';
+
+            if (issue.section === 'selections') {
+                migrated.selections[issue.key] = target;
+
+                // A different environment has its own URLs
+                if (issue.key === 'environment') {
+                    migrated.selections.targetUrl = '';
+                }
+
+                // Without a load type or scenario its fields cannot be checked
+                if (!target && issue.key === 'loadType') migrated.loadData = {};
+                if (!target && issue.key === 'scenario') migrated.scenarioData = {};
+                return;
+            }
+
+            const data = migrated[issue.section];
+            delete data[issue.key];
+
+            if (target && !(target in data)) {
+                data[target] = issue.value;
+            }
+        });
+
+        return migrated;
+    },
+
+    /**
+     * Stamp a configuration with the current config.json version
+     * @param {Object} config - Preset configuration
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @returns {Object} Stamped configuration (new object)
+     */
+    stamp(config, testConfig) {
+        return {
+            ...config,
+            configVersion: testConfig.version || null
+        };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.PresetMigration = PresetMigration;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PresetMigration;
+}
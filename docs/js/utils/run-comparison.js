@@ -0,0 +1,200 @@
+/**
+ * Run Comparison
+ * Lines up parsed Gatling reports and canonical configs of several runs
+ *
+ * @module RunComparison
+ */
+
+const RunComparison = {
+    /**
+     * Metrics compared per request
+     * direction: 'up' = higher is worse, 'down' = lower is worse
+     * unit: 'pct' = relative change in %, 'pp' = absolute change in percentage points
+     */
+    METRICS: {
+        p50: { label: 'p50', direction: 'up', unit: 'pct' },
+        p95: { label: 'p95', direction: 'up', unit: 'pct' },
+        p99: { label: 'p99', direction: 'up', unit: 'pct' },
+        koPercent: { label: 'Error rate', direction: 'up', unit: 'pp' },
+        throughput: { label: 'Throughput', direction: 'down', unit: 'pct' }
+    },
+
+    /**
+     * Default regression thresholds (see METRICS for units)
+     */
+    DEFAULT_THRESHOLDS: {
+        p50: 10,
+        p95: 10,
+        p99: 15,
+        koPercent: 1,
+        throughput: 10
+    },
+
+    /**
+     * Name of the aggregate row
+     */
+    GLOBAL_ROW: 'All Requests',
+
+    /**
+     * Compare candidate reports against a baseline report
+     * @param {Object} baseline - Baseline report ({ global, requests })
+     * @param {Array<Object>} candidates - Reports to compare against the baseline
+     * @param {Object} thresholds - Regression thresholds (default: DEFAULT_THRESHOLDS)
+     * @returns {Array<Object>} Rows with { name, baseline, runs: [{ metrics, deltas }] }
+     */
+    compareReports(baseline, candidates, thresholds = this.DEFAULT_THRESHOLDS) {
+        const names = this.collectRequestNames([baseline, ...candidates]);
+
+        return names.map(name => {
+            const baseMetrics = this.findRequest(baseline, name);
+
+            return {
+                name,
+                baseline: baseMetrics,
+                runs: candidates.map(report => {
+                    const metrics = this.findRequest(report, name);
+                    return {
+                        metrics,
+                        deltas: this.computeDeltas(baseMetrics, metrics, thresholds)
+                    };
+                })
+            };
+        });
+    },
+
+    /**
+     * Collect request names across reports (global row first)
+     * @param {Array<Object>} reports - Parsed reports
+     * @returns {Array<string>} Request names
+     */
+    collectRequestNames(reports) {
+        const names = new Set();
+
+        reports.forEach(report => {
+            (report.requests || []).forEach(request => names.add(request.name));
+        });
+
+        return [this.GLOBAL_ROW, ...names];
+    },
+
+    /**
+     * Find metrics of a request in a report
+     * @param {Object} report - Parsed report
+     * @param {string} name - Request name (GLOBAL_ROW for the aggregate)
+     * @returns {Object|null} Request metrics or null
+     */
+    findRequest(report, name) {
+        if (name === this.GLOBAL_ROW) {
+            return report.global || null;
+        }
+        return (report.requests || []).find(request => request.name === name) || null;
+    },
+
+    /**
+     * Compute deltas of one request between baseline and candidate
+     * @param {Object|null} base - Baseline metrics
+     * @param {Object|null} current - Candidate metrics
+     * @param {Object} thresholds - Regression thresholds
+     * @returns {Object} Map of metric → { delta, regression, improvement } (null when not comparable)
+     */
+    computeDeltas(base, current, thresholds) {
+        const deltas = {};
+
+        Object.entries(this.METRICS).forEach(([key, metric]) => {
+            if (!base || !current) {
+                deltas[key] = null;
+                return;
+            }
+
+            const before = Number(base[key]) || 0;
+            const after = Number(current[key]) || 0;
+
+            let delta;
+            if (metric.unit === 'pp') {
+                delta = after - before;
+            } else if (before === 0) {
+                delta = after === 0 ? 0 : 100;
+            } else {
+                delta = ((after - before) / before) * 100;
+            }
+
+            // Normalize so that positive = worse
+            const worsening = metric.direction === 'up' ? delta : -delta;
+            const threshold = Number(thresholds[key] ?? this.DEFAULT_THRESHOLDS[key]);
+
+            deltas[key] = {
+                delta: Number(delta.toFixed(2)),
+                regression: worsening > threshold,
+                improvement: worsening < -threshold
+            };
+        });
+
+        return deltas;
+    },
+
+    /**
+     * Diff canonical configurations of several runs
+     * @param {Array<Object|null>} configs - Canonical configs (null when unknown)
+     * @returns {Array<Object>} Rows with { path, values, changed } (changed rows first)
+     */
+    diffConfigs(configs) {
+        const flattened = configs.map(config => (config ? this.flatten(config) : {}));
+        const paths = new Set();
+
+        flattened.forEach(flat => Object.keys(flat).forEach(path => paths.add(path)));
+
+        const rows = [...paths].sort().map(path => {
+            const values = flattened.map(flat => flat[path]);
+            const changed = new Set(values.map(value => JSON.stringify(value))).size > 1;
+            return { path, values, changed };
+        });
+
+        return [...rows.filter(row => row.changed), ...rows.filter(row => !row.changed)];
+    },
+
+    /**
+     * Flatten nested object to dotted paths
+     * @param {Object} obj - Object to flatten
+     * @param {string} prefix - Current path prefix
+     * @param {Object} result - Accumulator
+     * @returns {Object} Map of path → value
+     */
+    flatten(obj, prefix = '', result = {}) {
+        Object.entries(obj).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                this.flatten(value, path, result);
+            } else {
+                result[path] = value;
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Format a delta for display
+     * @param {Object|null} delta - Delta from computeDeltas
+     * @param {string} key - Metric key
+     * @returns {string} Formatted delta like "+12.5%" or "+0.8pp"
+     */
+    formatDelta(delta, key) {
+        if (!delta) return '—';
+
+        const unit = this.METRICS[key].unit === 'pp' ? 'pp' : '%';
+        const sign = delta.delta > 0 ? '+' : '';
+
+        return `${sign}${delta.delta}${unit}`;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.RunComparison = RunComparison;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunComparison;
+}
@@ -0,0 +1,252 @@
+/**
+ * Run Policy
+ * Per-environment safety limits declared in config.json (environment.<key>.policy)
+ *
+ * Policy fields (all optional):
+ *   maxUsers, maxDuration (seconds, warmup and main ramps plus durations), allowedLoadTypes,
+ *   allowedWindows [{ days: [0-6], start: "HH:MM", end: "HH:MM", timeZone }],
+ *   confirmationPhrase
+ *
+ * @module RunPolicy
+ */
+
+const RunPolicy = {
+    /**
+     * Weekday labels (0 = Sunday, as in Date.getDay)
+     */
+    WEEKDAYS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    /**
+     * Policy of an environment
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @param {string} environment - Environment key
+     * @returns {Object|null} Policy or null if unrestricted
+     */
+    getPolicy(testConfig, environment) {
+        return testConfig?.environment?.[environment]?.policy || null;
+    },
+
+    /**
+     * Check a canonical config against its environment policy
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @param {Object} canonical - Canonical configuration
+     * @param {Object} options - Options
+     * @param {Date} options.at - Time of the run (default: now)
+     * @param {boolean} options.checkWindows - Enforce allowed time windows (default: true)
+     * @returns {Object} Result with { allowed, violations, policy }
+     */
+    check(testConfig, canonical, options = {}) {
+        const { at = new Date(), checkWindows = true } = options;
+        const test = canonical.test;
+        const environment = test.environment.type;
+        const policy = this.getPolicy(testConfig, environment);
+
+        if (!policy) {
+            return { allowed: true, violations: [], policy: null };
+        }
+
+        const label = testConfig.environment[environment].label || environment;
+        const profile = test.load?.profiles?.[test.type] || {};
+        const violations = [];
+
+        if (policy.allowedLoadTypes && !policy.allowedLoadTypes.includes(test.type)) {
+            const allowed = policy.allowedLoadTypes
+                .map(type => testConfig.loadConfig[type]?.label || type)
+                .join(', ');
+            violations.push(`${testConfig.loadConfig[test.type]?.label || test.type} is not allowed on ${label} (allowed: ${allowed})`);
+        }
+
+        if (policy.maxUsers !== undefined) {
+            const users = Math.max(Number(profile.users) || 0, Number(profile.warmup?.users) || 0);
+            if (users > policy.maxUsers) {
+                violations.push(`${users} users exceeds the ${label} limit of ${policy.maxUsers}`);
+            }
+        }
+
+        if (policy.maxDuration !== undefined) {
+            // Whole run: warmup ramp and steady state, then main ramp and steady state
+            const duration = [
+                profile.warmup?.ramp,
+                profile.warmup?.duration,
+                profile.ramp,
+                profile.duration
+            ].reduce((total, phase) => total + CanonicalMapper.parseDuration(phase), 0);
+            if (duration > policy.maxDuration) {
+                violations.push(`Duration of ${duration}s exceeds the ${label} limit of ${policy.maxDuration}s`);
+            }
+        }
+
+        if (checkWindows && policy.allowedWindows?.length) {
+            if (!policy.allowedWindows.some(range => this.inWindow(range, at))) {
+                violations.push(`${label} runs are only allowed ${policy.allowedWindows.map(range => this.describeWindow(range)).join(' or ')}`);
+            }
+        }
+
+        return {
+            allowed: violations.length === 0,
+            violations,
+            policy
+        };
+    },
+
+    /**
+     * Check a schedule against its environment policy
+     * Every run the schedule starts within the next year must fall into an allowed window.
+     * Free-form cron expressions cannot be checked and are rejected on environments with windows.
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @param {Object} canonical - Canonical configuration
+     * @param {Object} schedule - Schedule with { mode, runAt (ISO), time (HH:MM UTC), weekdays }
+     * @param {Date} now - Current time (default: now)
+     * @returns {Object} Result with { allowed, violations, policy }
+     */
+    checkSchedule(testConfig, canonical, schedule, now = new Date()) {
+        const result = this.check(testConfig, canonical, { checkWindows: false });
+        const windows = result.policy?.allowedWindows;
+
+        if (!windows?.length) {
+            return result;
+        }
+
+        const environment = canonical.test.environment.type;
+        const label = testConfig.environment[environment].label || environment;
+        const allowed = windows.map(range => this.describeWindow(range)).join(' or ');
+        const violations = [...result.violations];
+
+        if (schedule.mode === 'cron') {
+            violations.push(`Cron schedules cannot be checked against the ${label} windows (${allowed}); use a one-time, daily or weekly schedule`);
+        } else {
+            const outside = this.scheduledRuns(schedule, now)
+                .find(date => !windows.some(range => this.inWindow(range, date)));
+
+            if (outside) {
+                const slot = `${this.WEEKDAYS[outside.getUTCDay()]} ${outside.toISOString().slice(11, 16)} UTC`;
+                violations.push(`${label} runs are only allowed ${allowed}; this schedule would run ${slot}`);
+            }
+        }
+
+        return {
+            allowed: violations.length === 0,
+            violations,
+            policy: result.policy
+        };
+    },
+
+    /**
+     * Start times of a one-time, daily or weekly schedule within the next year
+     * (a year covers every weekday on both sides of daylight saving changes)
+     * @param {Object} schedule - Schedule with { mode, runAt, time, weekdays }
+     * @param {Date} now - Current time
+     * @returns {Array<Date>} Start times (empty if the timing is incomplete)
+     */
+    scheduledRuns(schedule, now) {
+        if (schedule.mode === 'once') {
+            const date = new Date(schedule.runAt);
+            return isNaN(date.getTime()) ? [] : [date];
+        }
+
+        const [hours, minutes] = (schedule.time || '').split(':').map(Number);
+        if (isNaN(hours) || isNaN(minutes)) return [];
+
+        const days = schedule.mode === 'weekly' ? schedule.weekdays || [] : [0, 1, 2, 3, 4, 5, 6];
+        const runs = [];
+
+        for (let offset = 0; offset < 372; offset++) {
+            const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + offset, hours, minutes));
+            if (days.includes(date.getUTCDay())) runs.push(date);
+        }
+
+        return runs;
+    },
+
+    /**
+     * Check whether a time falls into an allowed window
+     * Windows ending before they start span midnight and belong to their start day
+     * @param {Object} range - Window with { days, start, end, timeZone }
+     * @param {Date} date - Time to check
+     * @returns {boolean} True if inside the window
+     */
+    inWindow(range, date) {
+        const { day, minutes } = this.zonedTime(date, range.timeZone || 'UTC');
+        const start = this.toMinutes(range.start || '00:00');
+        const end = this.toMinutes(range.end || '24:00');
+        const days = range.days || [0, 1, 2, 3, 4, 5, 6];
+
+        if (start <= end) {
+            return days.includes(day) && minutes >= start && minutes < end;
+        }
+
+        // Overnight window: late part on the start day, early part on the next day
+        if (minutes >= start) {
+            return days.includes(day);
+        }
+
+        return minutes < end && days.includes((day + 6) % 7);
+    },
+
+    /**
+     * Weekday and minute of day in a time zone
+     * @param {Date} date - Time
+     * @param {string} timeZone - IANA time zone (e.g. UTC, Europe/Berlin)
+     * @returns {Object} Object with { day, minutes }
+     */
+    zonedTime(date, timeZone) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(date);
+
+        const value = type => parts.find(part => part.type === type).value;
+
+        return {
+            day: this.WEEKDAYS.indexOf(value('weekday')),
+            minutes: Number(value('hour')) * 60 + Number(value('minute'))
+        };
+    },
+
+    /**
+     * Convert HH:MM to minutes since midnight
+     * @param {string} time - Time string
+     * @returns {number} Minutes
+     */
+    toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + (minutes || 0);
+    },
+
+    /**
+     * Human-readable window
+     * @param {Object} range - Window
+     * @returns {string} Description (e.g. "Sat, Sun 00:00–24:00 UTC")
+     */
+    describeWindow(range) {
+        const days = range.days
+            ? [...range.days].sort((a, b) => a - b).map(day => this.WEEKDAYS[day]).join(', ')
+            : 'daily';
+
+        return `${days} ${range.start || '00:00'}–${range.end || '24:00'} ${range.timeZone || 'UTC'}`;
+    },
+
+    /**
+     * Check a typed confirmation phrase
+     * @param {Object} policy - Policy
+     * @param {string} typed - Typed text
+     * @returns {boolean} True if no phrase is required or it matches
+     */
+    isConfirmed(policy, typed) {
+        if (!policy?.confirmationPhrase) return true;
+        return (typed || '').trim() === policy.confirmationPhrase;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.RunPolicy = RunPolicy;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RunPolicy;
+}
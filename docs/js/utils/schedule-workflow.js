@@ -0,0 +1,293 @@
+/**
+ * Schedule Workflow
+ * Generates and parses the scheduled workflow files committed for deferred and recurring test runs
+ *
+ * Each schedule is one workflow file with a cron trigger that dispatches the test workflow
+ * with a stored canonical config. The schedule itself is kept as JSON in the first line
+ * comment so the UI can list and edit it.
+ *
+ * @module ScheduleWorkflow
+ */
+
+const ScheduleWorkflow = {
+    /**
+     * Directory of generated schedule workflows
+     */
+    DIRECTORY: '.github/workflows',
+
+    /**
+     * File name prefix of generated schedule workflows
+     */
+    FILE_PREFIX: 'perf-schedule-',
+
+    /**
+     * First line marker holding the schedule metadata
+     */
+    METADATA_MARKER: '# perf-runner-schedule: ',
+
+    /**
+     * Supported timing modes
+     */
+    MODES: ['once', 'daily', 'weekly', 'cron'],
+
+    /**
+     * Weekday labels in cron order (0 = Sunday)
+     */
+    WEEKDAYS: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+
+    /**
+     * Path of a schedule workflow file
+     * @param {string} id - Schedule ID
+     * @returns {string} Repository path
+     */
+    pathFor(id) {
+        return `${this.DIRECTORY}/${this.FILE_PREFIX}${id}.yml`;
+    },
+
+    /**
+     * Check whether a file name belongs to a generated schedule
+     * @param {string} name - File name
+     * @returns {boolean} True for schedule workflows
+     */
+    isScheduleFile(name) {
+        return name.startsWith(this.FILE_PREFIX) && /\.ya?ml$/.test(name);
+    },
+
+    /**
+     * Create a schedule ID from its name
+     * @param {string} name - Schedule name
+     * @returns {string} ID (slug + time suffix)
+     */
+    createId(name) {
+        const slug = name
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40);
+
+        return `${slug || 'schedule'}-${Date.now().toString(36)}`;
+    },
+
+    /**
+     * Cron expression (UTC) of a schedule
+     * @param {Object} schedule - Schedule with { mode, runAt, time, weekdays, cron }
+     * @returns {string} Cron expression
+     */
+    toCron(schedule) {
+        if (schedule.mode === 'once') {
+            const date = new Date(schedule.runAt);
+            return `${date.getUTCMinutes()} ${date.getUTCHours()} ${date.getUTCDate()} ${date.getUTCMonth() + 1} *`;
+        }
+
+        if (schedule.mode === 'daily' || schedule.mode === 'weekly') {
+            const [hours, minutes] = schedule.time.split(':').map(Number);
+            const days = schedule.mode === 'weekly'
+                ? [...schedule.weekdays].sort((a, b) => a - b).join(',')
+                : '*';
+
+            return `${minutes} ${hours} * * ${days}`;
+        }
+
+        return schedule.cron.trim().replace(/\s+/g, ' ');
+    },
+
+    /**
+     * Validate a schedule
+     * @param {Object} schedule - Schedule
+     * @param {Date} now - Current time (default: now)
+     * @returns {Array<string>} Errors (empty if valid)
+     */
+    validate(schedule, now = new Date()) {
+        const errors = [];
+
+        if (!schedule.name?.trim()) {
+            errors.push('Name is required');
+        }
+
+        if (!this.MODES.includes(schedule.mode)) {
+            errors.push(`Unknown schedule type: ${schedule.mode}`);
+        } else if (schedule.mode === 'once') {
+            const date = new Date(schedule.runAt);
+            if (!schedule.runAt || isNaN(date.getTime())) {
+                errors.push('Start time is required');
+            } else if (date <= now) {
+                errors.push('Start time must be in the future');
+            }
+        } else if (schedule.mode === 'cron') {
+            const fields = (schedule.cron || '').trim().split(/\s+/);
+            if (fields.length !== 5 || !fields.every(field => /^[0-9A-Za-z*,\/-]+$/.test(field))) {
+                errors.push('Cron expression must have 5 fields (minute hour day month weekday)');
+            }
+        } else {
+            if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(schedule.time || '')) {
+                errors.push('Time must be HH:MM');
+            }
+            if (schedule.mode === 'weekly' && !(schedule.weekdays || []).length) {
+                errors.push('Select at least one weekday');
+            }
+        }
+
+        if (!schedule.canonical) {
+            errors.push('Schedule has no test configuration');
+        }
+
+        return errors;
+    },
+
+    /**
+     * Generate the workflow file of a schedule
+     * @param {Object} schedule - Validated schedule
+     * @param {Object} payload - Dispatch payload from GitHubAPI.buildPayload
+     * @param {string} workflow - Workflow file to dispatch
+     * @returns {string} Workflow YAML
+     */
+    render(schedule, payload, workflow) {
+        const metadata = { ...schedule, cron: this.toCron(schedule) };
+        const inputs = Object.entries(payload.inputs);
+
+        // GitHub Actions evaluates ${{ }} even inside env values
+        const unsafe = inputs.find(([, value]) => String(value).includes('${{'));
+        if (unsafe) {
+            throw new Error(`Input "${unsafe[0]}" contains "\${{", which GitHub Actions would evaluate`);
+        }
+
+        // Inputs are passed through env variables; two inputs must not share one
+        const envNames = new Map();
+        inputs.forEach(([name]) => {
+            const envName = this.envName(name);
+            if (envNames.has(envName)) {
+                throw new Error(`Inputs "${envNames.get(envName)}" and "${name}" would both be passed as ${envName}`);
+            }
+            envNames.set(envName, name);
+        });
+
+        const lines = [
+            this.METADATA_MARKER + JSON.stringify(metadata),
+            '# Generated by Performance Test Runner. Edit or delete this schedule in the runner UI.',
+            `name: ${JSON.stringify(`Scheduled perf test: ${schedule.name}`)}`,
+            '',
+            'on:',
+            '  schedule:',
+            `    - cron: '${metadata.cron}'`,
+            '  workflow_dispatch:',
+            '',
+            'permissions:',
+            '  actions: write',
+            '',
+            'jobs:',
+            '  dispatch:',
+            '    runs-on: ubuntu-latest',
+            '    steps:'
+        ];
+
+        let condition = '';
+
+        if (schedule.mode === 'once') {
+            // Cron has no year; skip the same date in later years
+            const date = new Date(schedule.runAt).toISOString().slice(0, 10);
+            lines.push(
+                '      - name: Check run date',
+                '        id: window',
+                "        if: github.event_name == 'schedule'",
+                '        run: |',
+                `          if [ "$(date -u +%Y-%m-%d)" != "${date}" ]; then`,
+                '            echo "skip=true" >> "$GITHUB_OUTPUT"',
+                '          fi'
+            );
+            condition = "        if: steps.window.outputs.skip != 'true'";
+        }
+
+        lines.push(`      - name: Dispatch ${workflow}`);
+        if (condition) lines.push(condition);
+        lines.push(
+            '        env:',
+            '          GH_TOKEN: ${{ github.token }}',
+            `          DISPATCH_WORKFLOW: ${JSON.stringify(workflow)}`,
+            `          DISPATCH_REF: ${JSON.stringify(payload.ref)}`
+        );
+
+        // JSON strings are valid YAML double-quoted scalars and keep leading spaces and newlines
+        inputs.forEach(([name, value]) => {
+            lines.push(`          ${this.envName(name)}: ${JSON.stringify(String(value))}`);
+        });
+
+        lines.push(
+            '        run: |',
+            '          gh workflow run "$DISPATCH_WORKFLOW" \\',
+            '            --repo "$GITHUB_REPOSITORY" \\',
+            '            --ref "$DISPATCH_REF" \\',
+            ...inputs.map(([name], index) => {
+                const continuation = index < inputs.length - 1 ? ' \\' : '';
+                return `            -f "${name}=$${this.envName(name)}"${continuation}`;
+            })
+        );
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Environment variable carrying a workflow input
+     * @param {string} name - Input name
+     * @returns {string} Variable name
+     */
+    envName(name) {
+        return `DISPATCH_INPUT_${name.toUpperCase().replace(/[^A-Z0-9]+/g, '_')}`;
+    },
+
+    /**
+     * Read the schedule stored in a generated workflow
+     * @param {string} content - Workflow YAML
+     * @returns {Object|null} Schedule or null if the file was not generated by the runner
+     */
+    parse(content) {
+        const line = content.split('\n').find(l => l.startsWith(this.METADATA_MARKER));
+
+        if (!line) return null;
+
+        try {
+            const schedule = JSON.parse(line.slice(this.METADATA_MARKER.length));
+            return schedule && schedule.id ? schedule : null;
+        } catch (error) {
+            console.warn('Invalid schedule metadata:', error);
+            return null;
+        }
+    },
+
+    /**
+     * Human-readable timing of a schedule
+     * @param {Object} schedule - Schedule
+     * @returns {string} Description
+     */
+    describe(schedule) {
+        switch (schedule.mode) {
+            case 'once':
+                return `Once at ${new Date(schedule.runAt).toLocaleString()}`;
+            case 'daily':
+                return `Daily at ${schedule.time} UTC`;
+            case 'weekly':
+                return `${[...schedule.weekdays].sort((a, b) => a - b).map(day => this.WEEKDAYS[day]).join(', ')} at ${schedule.time} UTC`;
+            default:
+                return `Cron ${schedule.cron} (UTC)`;
+        }
+    },
+
+    /**
+     * Check whether a one-time schedule has already fired
+     * @param {Object} schedule - Schedule
+     * @param {Date} now - Current time (default: now)
+     * @returns {boolean} True if it will not run again
+     */
+    isExpired(schedule, now = new Date()) {
+        return schedule.mode === 'once' && new Date(schedule.runAt) < now;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ScheduleWorkflow = ScheduleWorkflow;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleWorkflow;
+}
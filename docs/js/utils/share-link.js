@@ -0,0 +1,252 @@
+/**
+ * Share Link
+ * Encodes the form state into a compressed, versioned URL fragment and validates it on restore
+ *
+ * Fragment format: #run=<version><codec>.<base64url payload>
+ *   codec "z" = deflate-raw compressed JSON, "j" = plain JSON (browsers without CompressionStream)
+ *
+ * @module ShareLink
+ */
+
+const ShareLink = {
+    /**
+     * Payload format version
+     */
+    VERSION: 1,
+
+    /**
+     * URL fragment parameter
+     */
+    PARAM: 'run',
+
+    /**
+     * Output formats a link may carry
+     */
+    FORMATS: ['json', 'env', 'hocon', 'yaml'],
+
+    /**
+     * Encode form state
+     * @param {Object} state - State with { selections, loadData, scenarioData, format, ref, target }
+     * @returns {Promise<string>} Encoded token
+     */
+    async encode(state) {
+        const payload = {
+            v: this.VERSION,
+            s: state.selections,
+            l: state.loadData,
+            d: state.scenarioData,
+            f: state.format
+        };
+
+        if (state.ref) {
+            payload.r = state.ref;
+        }
+
+        if (state.target) {
+            payload.t = state.target;
+        }
+
+        const bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+        if (typeof CompressionStream === 'undefined') {
+            return `${this.VERSION}j.${this.toBase64Url(bytes)}`;
+        }
+
+        const compressed = await this.transform(bytes, new CompressionStream('deflate-raw'));
+        return `${this.VERSION}z.${this.toBase64Url(compressed)}`;
+    },
+
+    /**
+     * Decode an encoded token
+     * @param {string} token - Encoded token
+     * @returns {Promise<Object>} Result with { success, state } or { success: false, message }
+     */
+    async decode(token) {
+        const match = /^(\d+)([zj])\.([A-Za-z0-9_-]+)$/.exec(token || '');
+
+        if (!match) {
+            return { success: false, message: 'Share link is malformed' };
+        }
+
+        const [, version, codec, data] = match;
+
+        if (Number(version) !== this.VERSION) {
+            return {
+                success: false,
+                message: `Share link version ${version} is not supported (expected ${this.VERSION})`
+            };
+        }
+
+        try {
+            let bytes = this.fromBase64Url(data);
+
+            if (codec === 'z') {
+                if (typeof DecompressionStream === 'undefined') {
+                    return { success: false, message: 'This browser cannot open compressed share links' };
+                }
+                bytes = await this.transform(bytes, new DecompressionStream('deflate-raw'));
+            }
+
+            const payload = JSON.parse(new TextDecoder('utf-8').decode(bytes));
+
+            return {
+                success: true,
+                state: {
+                    selections: payload.s || {},
+                    loadData: payload.l || {},
+                    scenarioData: payload.d || {},
+                    format: payload.f || null,
+                    ref: payload.r || null,
+                    target: payload.t || null
+                }
+            };
+        } catch (error) {
+            console.error('Failed to decode share link:', error);
+            return { success: false, message: 'Share link is corrupted' };
+        }
+    },
+
+    /**
+     * Validate decoded state against config.json
+     * Known values are kept; everything else is reported
+     * @param {Object} state - Decoded state
+     * @param {Object} testConfig - Test configuration (config.json)
+     * @returns {Object} Result with { config: { selections, loadData, scenarioData, ref }, format, problems }
+     */
+    validate(state, testConfig) {
+        const problems = [];
+        const { loadType, environment, targetUrl, scenario } = state.selections;
+        const selections = { loadType: '', environment: '', targetUrl: '', scenario: '' };
+
+        const loadConfig = testConfig.loadConfig[loadType];
+        if (loadConfig) {
+            selections.loadType = loadType;
+        } else {
+            problems.push(`Unknown load type: ${loadType || '(none)'}`);
+        }
+
+        const environmentConfig = testConfig.environment[environment];
+        if (environmentConfig) {
+            selections.environment = environment;
+
+            if ((environmentConfig.urls || []).includes(targetUrl)) {
+                selections.targetUrl = targetUrl;
+            } else {
+                problems.push(`Unknown URL for ${environmentConfig.label || environment}: ${targetUrl || '(none)'}`);
+            }
+        } else {
+            problems.push(`Unknown environment: ${environment || '(none)'}`);
+        }
+
+        const scenarioConfig = testConfig.scenarioConfig[scenario];
+        if (scenarioConfig) {
+            selections.scenario = scenario;
+        } else {
+            problems.push(`Unknown scenario: ${scenario || '(none)'}`);
+        }
+
+        let loadData = {};
+        if (loadConfig) {
+            const { label, description, ...defaults } = loadConfig;
+            loadData = this.pickFields(state.loadData, defaults, 'Load field', problems);
+        } else if (Object.keys(state.loadData).length > 0) {
+            problems.push(`Load fields ignored: ${Object.keys(state.loadData).join(', ')}`);
+        }
+
+        let scenarioData = {};
+        if (scenarioConfig) {
+            scenarioData = this.pickFields(state.scenarioData, scenarioConfig.fields || {}, 'Scenario field', problems);
+        } else if (Object.keys(state.scenarioData).length > 0) {
+            problems.push(`Scenario fields ignored: ${Object.keys(state.scenarioData).join(', ')}`);
+        }
+
+        let format = null;
+        if (state.format) {
+            if (this.FORMATS.includes(state.format)) {
+                format = state.format;
+            } else {
+                problems.push(`Unknown output format: ${state.format}`);
+            }
+        }
+
+        return {
+            config: { selections, loadData, scenarioData, ref: state.ref },
+            format,
+            problems
+        };
+    },
+
+    /**
+     * Keep fields that exist in config.json with a matching type
+     * @param {Object} values - Shared values
+     * @param {Object} defaults - Field defaults from config.json
+     * @param {string} kind - Field kind for messages
+     * @param {Array<string>} problems - Collected problems
+     * @returns {Object} Accepted values
+     */
+    pickFields(values, defaults, kind, problems) {
+        const accepted = {};
+
+        Object.entries(values || {}).forEach(([name, value]) => {
+            if (!(name in defaults)) {
+                problems.push(`${kind} not in config.json: ${name}`);
+            } else if (typeof value !== typeof defaults[name]) {
+                problems.push(`${kind} ${name} should be a ${typeof defaults[name]}`);
+            } else {
+                accepted[name] = value;
+            }
+        });
+
+        return accepted;
+    },
+
+    /**
+     * Read the encoded token from a URL fragment
+     * @param {string} hash - location.hash
+     * @returns {string|null} Token or null
+     */
+    fromHash(hash) {
+        return new URLSearchParams((hash || '').replace(/^#/, '')).get(this.PARAM);
+    },
+
+    /**
+     * Run bytes through a compression stream
+     * @param {Uint8Array} bytes - Input
+     * @param {TransformStream} stream - CompressionStream or DecompressionStream
+     * @returns {Promise<Uint8Array>} Output
+     */
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    },
+
+    /**
+     * Encode bytes as base64url
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} base64url string
+     */
+    toBase64Url(bytes) {
+        const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    },
+
+    /**
+     * Decode base64url to bytes
+     * @param {string} text - base64url string
+     * @returns {Uint8Array} Bytes
+     */
+    fromBase64Url(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ShareLink = ShareLink;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShareLink;
+}
@@ -0,0 +1,422 @@
+/**
+ * Simulation Codegen
+ * Generates a runnable Gatling simulation skeleton (Java, Scala or Kotlin DSL) from canonical configuration
+ *
+ * The injection profile uses the closed model: optional warmup (ramp + hold), then a ramp
+ * to the target users held for the configured duration. Scenario fields become typed constants.
+ * The scenario requests the target URL (test.environment.url): its origin is the base URL,
+ * its path and query the single GET request the scenario starts from.
+ *
+ * @module SimulationCodegen
+ */
+
+const SimulationCodegen = {
+    /**
+     * Supported DSL languages
+     */
+    LANGUAGES: {
+        java: { label: 'Java', extension: 'java' },
+        scala: { label: 'Scala', extension: 'scala' },
+        kotlin: { label: 'Kotlin', extension: 'kt' }
+    },
+
+    /**
+     * Generate a simulation file
+     * @param {Object} canonical - Canonical configuration object
+     * @param {string} language - DSL language (java/scala/kotlin)
+     * @returns {string} Simulation source
+     */
+    generate(canonical, language = 'java') {
+        const model = this.buildModel(canonical, language);
+
+        switch (language) {
+            case 'scala':
+                return this.renderScala(model);
+            case 'kotlin':
+                return this.renderKotlin(model);
+            case 'java':
+                return this.renderJava(model);
+            default:
+                throw new Error(`Unknown simulation language: ${language}`);
+        }
+    },
+
+    /**
+     * File name of the generated simulation
+     * @param {Object} canonical - Canonical configuration object
+     * @param {string} language - DSL language
+     * @returns {string} File name (e.g. ScenarioName.java)
+     */
+    fileName(canonical, language = 'java') {
+        const { className } = this.splitSimulation(canonical.test?.simulation);
+        return `${className}.${this.LANGUAGES[language]?.extension || 'java'}`;
+    },
+
+    /**
+     * Collect everything the templates need
+     * @param {Object} canonical - Canonical configuration object
+     * @param {string} language - DSL language
+     * @returns {Object} Template model
+     */
+    buildModel(canonical, language) {
+        const test = canonical.test || {};
+        const profile = test.load?.profiles?.[test.type] || {};
+        const pause = test.load?.pause || {};
+        const { packageName, className } = this.splitSimulation(test.simulation);
+        const seconds = value => Math.round(CanonicalMapper.parseDuration(value));
+        const used = new Set(['BASE_URL', 'BaseUrl']);
+
+        const constants = Object.entries(canonical.userDefinedVariable || {})
+            .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+            .map(([key, value]) => {
+                let name = language === 'scala' ? this.toPascalCase(key) : this.toConstantCase(key);
+                const base = name;
+                let copy = 2;
+                while (used.has(name)) name = `${base}_${copy++}`;
+                used.add(name);
+
+                return { key, name, value };
+            });
+
+        const steps = [];
+        const warmup = profile.warmup;
+
+        if (warmup && Number(warmup.users) > 0) {
+            const users = Number(warmup.users);
+            if (seconds(warmup.ramp) > 0) {
+                steps.push({ kind: 'ramp', from: 0, to: users, seconds: seconds(warmup.ramp) });
+            }
+            if (seconds(warmup.duration) > 0) {
+                steps.push({ kind: 'constant', users, seconds: seconds(warmup.duration) });
+            }
+        }
+
+        const users = Number(profile.users) || 1;
+        const from = steps.length > 0 ? Number(warmup.users) : 0;
+
+        if (seconds(profile.ramp) > 0) {
+            steps.push({ kind: 'ramp', from, to: users, seconds: seconds(profile.ramp) });
+        }
+        steps.push({ kind: 'constant', users, seconds: seconds(profile.duration) || 60 });
+
+        return {
+            packageName,
+            className,
+            // Keep the doc comment closed where it should be
+            description: (test.descriptions || className).replace(/\*\//g, '* /'),
+            ...this.splitUrl(test.environment?.url),
+            constants,
+            steps,
+            pause: pause.min !== undefined || pause.max !== undefined
+                ? { min: seconds(pause.min), max: seconds(pause.max ?? pause.min) }
+                : null
+        };
+    },
+
+    /**
+     * Split the target URL into the protocol base URL and the request path
+     * @param {string} url - Target URL
+     * @returns {Object} Object with { baseUrl, requestPath }
+     */
+    splitUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return { baseUrl: parsed.origin, requestPath: `${parsed.pathname}${parsed.search}` || '/' };
+        } catch (error) {
+            return { baseUrl: url || 'http://localhost', requestPath: '/' };
+        }
+    },
+
+    /**
+     * Render Java DSL
+     * @param {Object} model - Template model
+     * @returns {string} Java source
+     */
+    renderJava(model) {
+        const lines = [];
+
+        if (model.packageName) lines.push(`package ${model.packageName};`, '');
+
+        lines.push(
+            'import static io.gatling.javaapi.core.CoreDsl.*;',
+            'import static io.gatling.javaapi.http.HttpDsl.*;',
+            '',
+            'import io.gatling.javaapi.core.*;',
+            'import io.gatling.javaapi.http.*;',
+            '',
+            '/**',
+            ` * ${model.description}`,
+            ' * Generated by Performance Test Runner',
+            ' */',
+            `public class ${model.className} extends Simulation {`,
+            '',
+            `    private static final String BASE_URL = ${this.literal(model.baseUrl, 'java')};`
+        );
+
+        model.constants.forEach(constant => {
+            lines.push(`    private static final ${this.typeOf(constant.value, 'java')} ${constant.name} = ${this.literal(constant.value, 'java')};`);
+        });
+
+        lines.push(
+            '',
+            '    private final HttpProtocolBuilder httpProtocol = http.baseUrl(BASE_URL);',
+            '',
+            `    private final ScenarioBuilder scn = scenario(${this.literal(model.className, 'java')})`,
+            `        .exec(http(${this.literal(model.requestPath, 'java')}).get(${this.literal(model.requestPath, 'java')}))${model.pause ? '' : ';'}`
+        );
+
+        if (model.pause) lines.push(`        .pause(${model.pause.min}, ${model.pause.max});`);
+
+        lines.push(
+            '',
+            '    {',
+            '        setUp(',
+            '            scn.injectClosed(',
+            ...this.renderSteps(model.steps, '                ', seconds => `${seconds}`),
+            '            )',
+            '        ).protocols(httpProtocol);',
+            '    }',
+            '}'
+        );
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Render Scala DSL
+     * @param {Object} model - Template model
+     * @returns {string} Scala source
+     */
+    renderScala(model) {
+        const lines = [];
+
+        if (model.packageName) lines.push(`package ${model.packageName}`, '');
+
+        lines.push(
+            'import scala.concurrent.duration._',
+            '',
+            'import io.gatling.core.Predef._',
+            'import io.gatling.http.Predef._',
+            '',
+            '/**',
+            ` * ${model.description}`,
+            ' * Generated by Performance Test Runner',
+            ' */',
+            `class ${model.className} extends Simulation {`,
+            '',
+            `  val BaseUrl: String = ${this.literal(model.baseUrl, 'scala')}`
+        );
+
+        model.constants.forEach(constant => {
+            lines.push(`  val ${constant.name}: ${this.typeOf(constant.value, 'scala')} = ${this.literal(constant.value, 'scala')}`);
+        });
+
+        lines.push(
+            '',
+            '  val httpProtocol = http.baseUrl(BaseUrl)',
+            '',
+            `  val scn = scenario(${this.literal(model.className, 'scala')})`,
+            `    .exec(http(${this.literal(model.requestPath, 'scala')}).get(${this.literal(model.requestPath, 'scala')}))`
+        );
+
+        if (model.pause) lines.push(`    .pause(${model.pause.min}.seconds, ${model.pause.max}.seconds)`);
+
+        lines.push(
+            '',
+            '  setUp(',
+            '    scn.inject(',
+            ...this.renderSteps(model.steps, '      ', seconds => `${seconds}.seconds`),
+            '    )',
+            '  ).protocols(httpProtocol)',
+            '}'
+        );
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Render Kotlin DSL
+     * @param {Object} model - Template model
+     * @returns {string} Kotlin source
+     */
+    renderKotlin(model) {
+        const lines = [];
+
+        if (model.packageName) lines.push(`package ${model.packageName}`, '');
+
+        lines.push(
+            'import io.gatling.javaapi.core.*',
+            'import io.gatling.javaapi.core.CoreDsl.*',
+            'import io.gatling.javaapi.http.*',
+            'import io.gatling.javaapi.http.HttpDsl.*',
+            '',
+            '/**',
+            ` * ${model.description}`,
+            ' * Generated by Performance Test Runner',
+            ' */',
+            `class ${model.className} : Simulation() {`,
+            '',
+            `    private val BASE_URL: String = ${this.literal(model.baseUrl, 'kotlin')}`
+        );
+
+        model.constants.forEach(constant => {
+            lines.push(`    private val ${constant.name}: ${this.typeOf(constant.value, 'kotlin')} = ${this.literal(constant.value, 'kotlin')}`);
+        });
+
+        lines.push(
+            '',
+            '    private val httpProtocol: HttpProtocolBuilder = http.baseUrl(BASE_URL)',
+            '',
+            `    private val scn: ScenarioBuilder = scenario(${this.literal(model.className, 'kotlin')})`,
+            `        .exec(http(${this.literal(model.requestPath, 'kotlin')}).get(${this.literal(model.requestPath, 'kotlin')}))`
+        );
+
+        if (model.pause) lines.push(`        .pause(${model.pause.min}, ${model.pause.max})`);
+
+        lines.push(
+            '',
+            '    init {',
+            '        setUp(',
+            '            scn.injectClosed(',
+            ...this.renderSteps(model.steps, '                ', seconds => `${seconds}`),
+            '            )',
+            '        ).protocols(httpProtocol)',
+            '    }',
+            '}'
+        );
+
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Render closed-model injection steps
+     * @param {Array} steps - Injection steps
+     * @param {string} indent - Line indentation
+     * @param {Function} duration - Duration literal for seconds
+     * @returns {Array<string>} Lines (comma-separated)
+     */
+    renderSteps(steps, indent, duration) {
+        return steps.map((step, index) => {
+            const separator = index < steps.length - 1 ? ',' : '';
+            const call = step.kind === 'ramp'
+                ? `rampConcurrentUsers(${step.from}).to(${step.to}).during(${duration(step.seconds)})`
+                : `constantConcurrentUsers(${step.users}).during(${duration(step.seconds)})`;
+
+            return `${indent}${call}${separator}`;
+        });
+    },
+
+    /**
+     * Split a fully qualified simulation class into package and class name
+     * @param {string} simulation - Simulation class (e.g. project.scenario.ScenarioName)
+     * @returns {Object} Object with { packageName, className }
+     */
+    splitSimulation(simulation) {
+        const segments = (simulation || '')
+            .split('.')
+            .map(segment => this.toIdentifier(segment))
+            .filter(Boolean);
+
+        const className = segments.pop() || 'GeneratedSimulation';
+
+        return {
+            packageName: segments.join('.'),
+            className: className.charAt(0).toUpperCase() + className.slice(1)
+        };
+    },
+
+    /**
+     * Make a valid identifier (letters, digits, underscore; no leading digit)
+     * @param {string} value - Raw name
+     * @returns {string} Identifier
+     */
+    toIdentifier(value) {
+        const identifier = String(value).replace(/[^A-Za-z0-9_]/g, '_');
+        return /^\d/.test(identifier) ? `_${identifier}` : identifier;
+    },
+
+    /**
+     * Constant name for Java and Kotlin (e.g. useCache → USE_CACHE)
+     * @param {string} key - Field name
+     * @returns {string} UPPER_SNAKE_CASE identifier
+     */
+    toConstantCase(key) {
+        return this.toIdentifier(
+            key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+        ).toUpperCase() || 'VALUE';
+    },
+
+    /**
+     * Constant name for Scala (e.g. use_cache → UseCache)
+     * @param {string} key - Field name
+     * @returns {string} PascalCase identifier
+     */
+    toPascalCase(key) {
+        const words = key
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .split(/[^A-Za-z0-9]+/)
+            .filter(Boolean);
+
+        const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join('');
+        return this.toIdentifier(name) || 'Value';
+    },
+
+    /**
+     * Declared type of a constant
+     * @param {*} value - Value
+     * @param {string} language - DSL language
+     * @returns {string} Type name
+     */
+    typeOf(value, language) {
+        const java = language === 'java';
+
+        if (typeof value === 'boolean') return java ? 'boolean' : 'Boolean';
+        if (typeof value === 'number') {
+            if (!Number.isInteger(value)) return java ? 'double' : 'Double';
+            if (Math.abs(value) > 2147483647) return java ? 'long' : 'Long';
+            return java ? 'int' : 'Int';
+        }
+        return 'String';
+    },
+
+    /**
+     * Source literal of a constant
+     * @param {*} value - Value
+     * @param {string} language - DSL language
+     * @returns {string} Literal
+     */
+    literal(value, language) {
+        if (typeof value === 'boolean') return String(value);
+
+        if (typeof value === 'number') {
+            if (Number.isInteger(value)) {
+                return Math.abs(value) > 2147483647 ? `${value}L` : String(value);
+            }
+            return Number.isFinite(value) ? String(value) : '0.0';
+        }
+
+        let escaped = String(value)
+            .replace(/\\/g, '\\\\')
+            .replace(/"/g, '\\"')
+            .replace(/\n/g, '\\n')
+            .replace(/\r/g, '\\r')
+            .replace(/\t/g, '\\t');
+
+        // Kotlin string templates
+        if (language === 'kotlin') {
+            escaped = escaped.replace(/\$/g, '\\$');
+        }
+
+        return `"${escaped}"`;
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SimulationCodegen = SimulationCodegen;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationCodegen;
+}
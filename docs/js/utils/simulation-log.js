@@ -0,0 +1,174 @@
+/**
+ * Simulation Log Parser
+ * Builds a time series (active users, throughput, errors, latency) from Gatling's text simulation.log
+ *
+ * @module SimulationLog
+ */
+
+const SimulationLog = {
+    /**
+     * Maximum number of timeline buckets (bucket size grows with run duration)
+     */
+    MAX_BUCKETS: 120,
+
+    /**
+     * Find simulation.log among archive entry names
+     * @param {Array<string>} names - File names in the artifact
+     * @returns {string|null} Matching file name or null
+     */
+    findLogFile(names) {
+        return names.find(name => name === 'simulation.log' || name.endsWith('/simulation.log')) || null;
+    },
+
+    /**
+     * Check that content is the tab-separated text format (Gatling 3.10+ writes a binary log)
+     * @param {string} text - File content
+     * @returns {boolean} True if parseable
+     */
+    isTextLog(text) {
+        const firstLine = text.slice(0, 200).split('\n')[0];
+        return /^(RUN|USER|REQUEST|GROUP|ERROR)\t/.test(firstLine);
+    },
+
+    /**
+     * Parse simulation.log into a timeline
+     * @param {string} text - simulation.log content
+     * @returns {Object|null} Timeline with { bucketSeconds, buckets: [{ t, activeUsers, requests, ko, mean, p95, throughput }] } or null
+     */
+    parse(text) {
+        if (!text || !this.isTextLog(text)) {
+            return null;
+        }
+
+        const userEvents = [];
+        const requests = [];
+
+        text.split('\n').forEach(line => {
+            const fields = line.split('\t');
+
+            if (fields[0] === 'USER') {
+                const event = this.parseUserLine(fields);
+                if (event) userEvents.push(event);
+            } else if (fields[0] === 'REQUEST') {
+                const request = this.parseRequestLine(fields);
+                if (request) requests.push(request);
+            }
+        });
+
+        if (requests.length === 0) {
+            return null;
+        }
+
+        return this.buildTimeline(userEvents, requests);
+    },
+
+    /**
+     * Parse USER line (START/END with timestamp)
+     * @param {Array<string>} fields - Tab-separated fields
+     * @returns {Object|null} Event with { ts, delta }
+     */
+    parseUserLine(fields) {
+        const markerIndex = fields.findIndex(field => field === 'START' || field === 'END');
+        if (markerIndex === -1) return null;
+
+        const ts = Number(fields[markerIndex + 1]);
+        if (!ts) return null;
+
+        return { ts, delta: fields[markerIndex] === 'START' ? 1 : -1 };
+    },
+
+    /**
+     * Parse REQUEST line (locates "<start> <end> OK|KO" regardless of Gatling version)
+     * @param {Array<string>} fields - Tab-separated fields
+     * @returns {Object|null} Request with { end, duration, ok }
+     */
+    parseRequestLine(fields) {
+        for (let i = 1; i < fields.length - 2; i++) {
+            const status = fields[i + 2];
+
+            if ((status === 'OK' || status === 'KO') && /^\d+$/.test(fields[i]) && /^\d+$/.test(fields[i + 1])) {
+                const start = Number(fields[i]);
+                const end = Number(fields[i + 1]);
+
+                return { end, duration: end - start, ok: status === 'OK' };
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Aggregate events into fixed-size buckets
+     * @param {Array<Object>} userEvents - User start/end events
+     * @param {Array<Object>} requests - Parsed requests
+     * @returns {Object} Timeline
+     */
+    buildTimeline(userEvents, requests) {
+        // Loop instead of Math.min(...spread): logs can hold millions of events
+        let start = Infinity;
+        let end = -Infinity;
+        userEvents.forEach(event => {
+            start = Math.min(start, event.ts);
+            end = Math.max(end, event.ts);
+        });
+        requests.forEach(request => {
+            start = Math.min(start, request.end - request.duration);
+            end = Math.max(end, request.end);
+        });
+
+        const totalSeconds = Math.max(1, Math.ceil((end - start) / 1000));
+        const bucketSeconds = Math.max(1, Math.ceil(totalSeconds / this.MAX_BUCKETS));
+        const bucketCount = Math.ceil(totalSeconds / bucketSeconds) + 1;
+        const bucketMs = bucketSeconds * 1000;
+
+        const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+            t: index * bucketSeconds,
+            userDelta: 0,
+            durations: [],
+            ko: 0
+        }));
+
+        userEvents.forEach(event => {
+            buckets[Math.floor((event.ts - start) / bucketMs)].userDelta += event.delta;
+        });
+
+        requests.forEach(request => {
+            const bucket = buckets[Math.floor((request.end - start) / bucketMs)];
+            bucket.durations.push(request.duration);
+            if (!request.ok) bucket.ko++;
+        });
+
+        let activeUsers = 0;
+
+        return {
+            bucketSeconds,
+            buckets: buckets.map(bucket => {
+                activeUsers += bucket.userDelta;
+
+                const count = bucket.durations.length;
+                const sorted = bucket.durations.sort((a, b) => a - b);
+                const mean = count > 0 ? sorted.reduce((sum, d) => sum + d, 0) / count : 0;
+
+                return {
+                    t: bucket.t,
+                    activeUsers: Math.max(0, activeUsers),
+                    requests: count,
+                    ko: bucket.ko,
+                    mean: Math.round(mean),
+                    p95: count > 0 ? sorted[Math.min(count - 1, Math.floor(count * 0.95))] : 0,
+                    throughput: Number((count / bucketSeconds).toFixed(2))
+                };
+            })
+        };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SimulationLog = SimulationLog;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SimulationLog;
+}
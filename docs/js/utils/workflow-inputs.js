@@ -0,0 +1,490 @@
+/**
+ * Workflow Inputs
+ * Reads workflow_dispatch inputs from a GitHub Actions workflow file and checks dispatch payloads against them
+ *
+ * Only the YAML subset used by workflow files is supported: block mappings and
+ * sequences, flow sequences and mappings, quoted/plain scalars,
+ * block scalars and comments. Input definitions outside that subset are reported
+ * as unsupported instead of being guessed.
+ *
+ * @module WorkflowInputs
+ */
+
+const WorkflowInputs = {
+    /**
+     * Input types supported by workflow_dispatch
+     */
+    TYPES: ['string', 'boolean', 'number', 'choice', 'environment'],
+
+    /**
+     * Parse workflow YAML
+     * @param {string} text - Workflow file content
+     * @returns {Object} Parsed document
+     */
+    parseYaml(text) {
+        const lines = this.tokenize(text);
+        if (lines.length === 0) return {};
+
+        const [value] = this.parseNode(lines, 0, lines[0].indent);
+        return value || {};
+    },
+
+    /**
+     * Split YAML into significant lines (block scalars are collected into their key line)
+     * @param {string} text - YAML text
+     * @returns {Array<Object>} Lines with { indent, content, block }
+     */
+    tokenize(text) {
+        const rawLines = (text || '').split(/\r?\n/);
+        const lines = [];
+
+        for (let i = 0; i < rawLines.length; i++) {
+            const raw = rawLines[i];
+            const trimmed = raw.trim();
+
+            if (!trimmed || trimmed.startsWith('#') || trimmed === '---') continue;
+
+            const indent = raw.length - raw.trimStart().length;
+            let content = this.stripComment(trimmed);
+
+            // Flow collection ("key: {" or "- [") continued on the following lines
+            const startsFlow = /^(?:-\s+)?(?:[^\s:][^:]*:\s+)?[[{]/.test(content);
+            while (startsFlow && this.flowDepth(content) > 0 && i + 1 < rawLines.length) {
+                content += ' ' + this.stripComment(rawLines[++i].trim());
+            }
+
+            const line = { indent, content };
+
+            // Block scalar: "key: |" or "key: >-"
+            const blockMatch = content.match(/^(.*?:)\s+([|>])[+-]?$/);
+            if (blockMatch) {
+                const blockLines = [];
+
+                while (i + 1 < rawLines.length) {
+                    const next = rawLines[i + 1];
+                    const nextIndent = next.length - next.trimStart().length;
+
+                    if (next.trim() && nextIndent <= indent) break;
+
+                    blockLines.push(next.trim());
+                    i++;
+                }
+
+                line.content = blockMatch[1];
+                line.block = blockMatch[2] === '|'
+                    ? blockLines.join('\n').trim()
+                    : blockLines.join(' ').replace(/\s+/g, ' ').trim();
+            }
+
+            lines.push(line);
+        }
+
+        return lines;
+    },
+
+    /**
+     * Remove trailing comment outside of quotes
+     * @param {string} content - Trimmed line
+     * @returns {string} Line without comment
+     */
+    stripComment(content) {
+        let quote = null;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(content[i - 1]))) {
+                return content.slice(0, i).trimEnd();
+            }
+        }
+
+        return content;
+    },
+
+    /**
+     * Count flow brackets left open on a line
+     * @param {string} content - Line content
+     * @returns {number} Open [ and { outside quotes
+     */
+    flowDepth(content) {
+        let depth = 0;
+        let quote = null;
+
+        for (const char of content) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            }
+        }
+
+        return depth;
+    },
+
+    /**
+     * Check if a line is a sequence item
+     */
+    isSequenceItem(content) {
+        return content === '-' || content.startsWith('- ');
+    },
+
+    /**
+     * Parse a mapping or sequence starting at a line
+     * @returns {Array} [value, nextIndex]
+     */
+    parseNode(lines, index, indent) {
+        if (this.isSequenceItem(lines[index].content)) {
+            return this.parseSequence(lines, index, indent);
+        }
+        return this.parseMapping(lines, index, indent);
+    },
+
+    /**
+     * Parse a block mapping
+     * @returns {Array} [object, nextIndex]
+     */
+    parseMapping(lines, index, indent) {
+        const result = {};
+        let i = index;
+
+        while (i < lines.length && lines[i].indent === indent && !this.isSequenceItem(lines[i].content)) {
+            const line = lines[i];
+            const pair = this.splitKey(line.content);
+
+            if (!pair) {
+                i++;
+                continue;
+            }
+
+            const next = lines[i + 1];
+
+            if (line.block !== undefined) {
+                result[pair.key] = line.block;
+                i++;
+            } else if (pair.rest !== '') {
+                result[pair.key] = this.parseScalar(pair.rest);
+                i++;
+            } else if (next && (next.indent > indent || (next.indent === indent && this.isSequenceItem(next.content)))) {
+                const [value, nextIndex] = this.parseNode(lines, i + 1, next.indent);
+                result[pair.key] = value;
+                i = nextIndex;
+            } else {
+                result[pair.key] = null;
+                i++;
+            }
+        }
+
+        return [result, i];
+    },
+
+    /**
+     * Parse a block sequence
+     * @returns {Array} [array, nextIndex]
+     */
+    parseSequence(lines, index, indent) {
+        const result = [];
+        let i = index;
+
+        while (i < lines.length && lines[i].indent === indent && this.isSequenceItem(lines[i].content)) {
+            const itemContent = lines[i].content.slice(1).trim();
+
+            if (itemContent === '') {
+                const next = lines[i + 1];
+                if (next && next.indent > indent) {
+                    const [value, nextIndex] = this.parseNode(lines, i + 1, next.indent);
+                    result.push(value);
+                    i = nextIndex;
+                } else {
+                    result.push(null);
+                    i++;
+                }
+            } else if (this.splitKey(itemContent)) {
+                // "- key: value" starts a mapping indented at the item content
+                const itemIndent = indent + (lines[i].content.length - itemContent.length);
+                lines[i] = { ...lines[i], indent: itemIndent, content: itemContent };
+
+                const [value, nextIndex] = this.parseMapping(lines, i, itemIndent);
+                result.push(value);
+                i = nextIndex;
+            } else {
+                result.push(this.parseScalar(itemContent));
+                i++;
+            }
+        }
+
+        return [result, i];
+    },
+
+    /**
+     * Split "key: rest" (key may be quoted)
+     * @param {string} content - Line content
+     * @returns {Object|null} { key, rest } or null if the line is not a key
+     */
+    splitKey(content) {
+        const match = content.match(/^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^"'#\s][^:]*?)\s*:(?:\s+(.*))?$/);
+        if (!match) return null;
+
+        return {
+            key: String(this.parseScalar(match[1])),
+            rest: (match[2] || '').trim()
+        };
+    },
+
+    /**
+     * Parse a scalar, flow sequence or flow mapping
+     * @param {string} value - Raw value
+     * @returns {*} Parsed value
+     */
+    parseScalar(value) {
+        const str = value.trim();
+
+        if (str.startsWith('"') && str.endsWith('"') && str.length >= 2) {
+            try {
+                return JSON.parse(str);
+            } catch (error) {
+                return str.slice(1, -1);
+            }
+        }
+
+        if (str.startsWith("'") && str.endsWith("'") && str.length >= 2) {
+            return str.slice(1, -1).replace(/''/g, "'");
+        }
+
+        if (str.startsWith('[') && str.endsWith(']')) {
+            return this.splitFlow(str.slice(1, -1)).map(item => this.parseScalar(item));
+        }
+
+        if (str.startsWith('{') && str.endsWith('}')) {
+            return this.parseFlowMapping(str.slice(1, -1));
+        }
+
+        if (str === 'true') return true;
+        if (str === 'false') return false;
+        if (str === 'null' || str === '~' || str === '') return null;
+        if (/^-?\d+(\.\d+)?$/.test(str)) return Number(str);
+
+        return str;
+    },
+
+    /**
+     * Parse the entries of a flow mapping ("key: value, key: value")
+     * @param {string} str - Content between braces
+     * @returns {Object} Parsed mapping
+     */
+    parseFlowMapping(str) {
+        const result = {};
+
+        this.splitFlow(str).forEach(item => {
+            const pair = this.splitKey(item);
+
+            if (pair) {
+                result[pair.key] = pair.rest === '' ? null : this.parseScalar(pair.rest);
+            } else {
+                // "{ key }" is a key without value
+                result[String(this.parseScalar(item))] = null;
+            }
+        });
+
+        return result;
+    },
+
+    /**
+     * Split flow collection items on commas outside quotes and nested collections
+     * @param {string} str - Content between brackets or braces
+     * @returns {Array<string>} Items
+     */
+    splitFlow(str) {
+        const items = [];
+        let current = '';
+        let quote = null;
+        let depth = 0;
+
+        for (const char of str) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                items.push(current);
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        if (current.trim()) items.push(current);
+        return items.map(item => item.trim());
+    },
+
+    /**
+     * Extract workflow_dispatch inputs from a parsed workflow
+     * @param {Object} workflow - Parsed workflow document
+     * @returns {Array<Object>|null} Inputs with { name, type, required, default, description, options },
+     *   or null if the workflow cannot be dispatched manually
+     */
+    extractInputs(workflow) {
+        // YAML 1.1 parsers read the "on" key as boolean true
+        const triggers = workflow?.on ?? workflow?.['true'];
+
+        if (typeof triggers === 'string') {
+            return triggers === 'workflow_dispatch' ? [] : null;
+        }
+
+        if (Array.isArray(triggers)) {
+            return triggers.includes('workflow_dispatch') ? [] : null;
+        }
+
+        if (!triggers || typeof triggers !== 'object' || !('workflow_dispatch' in triggers)) {
+            return null;
+        }
+
+        const inputs = triggers.workflow_dispatch?.inputs || {};
+
+        return Object.entries(inputs).map(([name, definition]) => {
+            // e.g. a flow mapping spread over several lines
+            if (definition !== null && (typeof definition !== 'object' || Array.isArray(definition))) {
+                return {
+                    name,
+                    type: 'unsupported',
+                    required: false,
+                    default: null,
+                    description: '',
+                    options: [],
+                    unsupported: true
+                };
+            }
+
+            const def = definition || {};
+
+            return {
+                name,
+                type: def.type || 'string',
+                required: def.required === true,
+                default: def.default ?? null,
+                description: def.description || '',
+                options: Array.isArray(def.options) ? def.options.map(String) : []
+            };
+        });
+    },
+
+    /**
+     * Parse workflow YAML and extract its dispatch inputs
+     * @param {string} text - Workflow file content
+     * @returns {Array<Object>|null} Inputs (see extractInputs)
+     */
+    fromYaml(text) {
+        return this.extractInputs(this.parseYaml(text));
+    },
+
+    /**
+     * Line up declared inputs with the inputs of a payload
+     * @param {Array<Object>} inputs - Declared inputs
+     * @param {Object} payloadInputs - Inputs that will be sent
+     * @returns {Array<Object>} Rows with { name, type, required, declared, sent, value, usesDefault, error }
+     */
+    compare(inputs, payloadInputs = {}) {
+        const rows = inputs.map(input => {
+            const sent = Object.prototype.hasOwnProperty.call(payloadInputs, input.name);
+            const value = sent ? payloadInputs[input.name] : null;
+
+            return {
+                name: input.name,
+                type: input.type,
+                required: input.required,
+                declared: true,
+                sent,
+                value,
+                usesDefault: !sent && input.default !== null,
+                error: this.checkValue(input, sent, value)
+            };
+        });
+
+        Object.keys(payloadInputs)
+            .filter(name => !inputs.some(input => input.name === name))
+            .forEach(name => {
+                rows.push({
+                    name,
+                    type: null,
+                    required: false,
+                    declared: false,
+                    sent: true,
+                    value: payloadInputs[name],
+                    usesDefault: false,
+                    error: 'Not declared by the workflow'
+                });
+            });
+
+        return rows;
+    },
+
+    /**
+     * Check a value against its input definition
+     * @returns {string|null} Error message or null
+     */
+    checkValue(input, sent, value) {
+        if (input.unsupported) {
+            return 'Input definition could not be read; check the workflow file';
+        }
+
+        const empty = !sent || value === null || value === undefined || value === '';
+
+        if (empty) {
+            return input.required && input.default === null ? 'Required input is missing' : null;
+        }
+
+        const str = String(value);
+
+        switch (input.type) {
+            case 'boolean':
+                return str === 'true' || str === 'false' ? null : 'Must be true or false';
+            case 'number':
+                return str.trim() !== '' && !isNaN(Number(str)) ? null : 'Must be a number';
+            case 'choice':
+                return input.options.includes(str) ? null : `Must be one of: ${input.options.join(', ')}`;
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Validate payload inputs against declared inputs
+     * @param {Array<Object>} inputs - Declared inputs
+     * @param {Object} payloadInputs - Inputs that will be sent
+     * @returns {Object} Result with { valid, errors }
+     */
+    validate(inputs, payloadInputs = {}) {
+        // Unreadable definitions are left to GitHub's own validation
+        const unsupported = inputs.filter(input => input.unsupported).map(input => input.name);
+
+        const errors = this.compare(inputs, payloadInputs)
+            .filter(row => row.error && !unsupported.includes(row.name))
+            .map(row => `${row.name}: ${row.error}`);
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.WorkflowInputs = WorkflowInputs;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkflowInputs;
+}
@@ -0,0 +1,191 @@
+/**
+ * YAML Formatter
+ * Renders canonical configuration as YAML (block style)
+ *
+ * Strings are left plain only when every YAML 1.1/1.2 parser reads them back as the
+ * same string; anything that could become a boolean, number, null, timestamp or
+ * break the syntax is double-quoted (JSON escaping is valid YAML).
+ *
+ * @module YamlFormatter
+ */
+
+const YamlFormatter = {
+    /**
+     * Plain scalars YAML 1.1 parsers read as booleans or null
+     */
+    RESERVED_WORDS: ['true', 'false', 'yes', 'no', 'on', 'off', 'y', 'n', 'null', '~'],
+
+    /**
+     * Format canonical config as YAML
+     * @param {Object} canonical - Canonical configuration object
+     * @returns {string} YAML-formatted string
+     */
+    format(canonical) {
+        const lines = [];
+
+        lines.push('# Gatling YAML Configuration');
+        lines.push(`# Generated: ${new Date().toISOString()}`);
+
+        // Format userDefinedVariable section
+        if (canonical.userDefinedVariable && Object.keys(canonical.userDefinedVariable).length > 0) {
+            lines.push('');
+            lines.push('userDefinedVariable:');
+            this.formatObject(canonical.userDefinedVariable, 1, lines);
+        }
+
+        // Format test section
+        if (canonical.test) {
+            lines.push('');
+            lines.push('test:');
+            this.formatObject(canonical.test, 1, lines);
+        }
+
+        return lines.join('\n');
+    },
+
+    /**
+     * Recursively format object as YAML mapping
+     * @param {Object} obj - Object to format
+     * @param {number} indent - Current indentation level
+     * @param {Array} lines - Output lines array
+     */
+    formatObject(obj, indent, lines) {
+        const indentStr = '  '.repeat(indent);
+
+        Object.entries(obj).forEach(([key, value]) => {
+            if (value === null || value === undefined) {
+                return;
+            }
+
+            const formattedKey = this.formatString(key);
+
+            if (this.isBlock(value)) {
+                lines.push(`${indentStr}${formattedKey}:`);
+                this.formatNested(value, indent + 1, lines);
+            } else {
+                lines.push(`${indentStr}${formattedKey}: ${this.formatValue(value)}`);
+            }
+        });
+    },
+
+    /**
+     * Format array as YAML block sequence
+     * @param {Array} items - Items to format
+     * @param {number} indent - Current indentation level
+     * @param {Array} lines - Output lines array
+     */
+    formatArray(items, indent, lines) {
+        const indentStr = '  '.repeat(indent);
+
+        items.forEach(item => {
+            if (this.isBlock(item)) {
+                lines.push(`${indentStr}-`);
+                this.formatNested(item, indent + 1, lines);
+            } else {
+                lines.push(`${indentStr}- ${this.formatValue(item)}`);
+            }
+        });
+    },
+
+    /**
+     * Format a non-empty object or array one level deeper
+     * @param {Object|Array} value - Value to format
+     * @param {number} indent - Indentation level of its entries
+     * @param {Array} lines - Output lines array
+     */
+    formatNested(value, indent, lines) {
+        if (Array.isArray(value)) {
+            this.formatArray(value, indent, lines);
+        } else {
+            this.formatObject(value, indent, lines);
+        }
+    },
+
+    /**
+     * Check whether a value needs its own block (non-empty object or array)
+     * @param {*} value - Value
+     * @returns {boolean} True for block collections
+     */
+    isBlock(value) {
+        if (Array.isArray(value)) return value.length > 0;
+        return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+    },
+
+    /**
+     * Format value for YAML
+     * @param {*} value - Value to format
+     * @returns {string} Formatted value
+     */
+    formatValue(value) {
+        // Null/undefined
+        if (value === null || value === undefined) return 'null';
+
+        // Boolean (unquoted)
+        if (typeof value === 'boolean') {
+            return value.toString();
+        }
+
+        // Number (unquoted; YAML spells the special values differently)
+        if (typeof value === 'number') {
+            if (Number.isNaN(value)) return '.nan';
+            if (!Number.isFinite(value)) return value > 0 ? '.inf' : '-.inf';
+            return value.toString();
+        }
+
+        if (typeof value === 'string') {
+            return this.formatString(value);
+        }
+
+        // Empty collections (non-empty ones are written as blocks)
+        if (Array.isArray(value)) return '[]';
+        if (typeof value === 'object') return '{}';
+
+        return this.formatString(String(value));
+    },
+
+    /**
+     * Format a string as plain or double-quoted scalar
+     * @param {string} value - String to format
+     * @returns {string} YAML scalar
+     */
+    formatString(value) {
+        // Duration with unit (unquoted, same as HOCON)
+        if (/^\d+[smh]$/.test(value)) {
+            return value;
+        }
+
+        return this.needsQuotes(value) ? JSON.stringify(value) : value;
+    },
+
+    /**
+     * Check whether a string must be quoted to stay a string
+     * @param {string} value - String
+     * @returns {boolean} True if a plain scalar would be misread
+     */
+    needsQuotes(value) {
+        if (value === '' || value !== value.trim()) return true;
+
+        // Booleans and null (including YAML 1.1 yes/no/on/off)
+        if (this.RESERVED_WORDS.includes(value.toLowerCase())) return true;
+
+        // Numbers, .inf/.nan, YAML 1.1 octal/hex/sexagesimal (1:30) and dates
+        if (/^[-+]?\.?\d/.test(value) || /^[-+]?\.(inf|nan)$/i.test(value)) return true;
+
+        // Indicators that start a non-plain node
+        if (/^[-?:,\[\]{}#&*!|>'"%@`]/.test(value)) return true;
+
+        // Mapping separator, comment start, control characters and line breaks
+        if (/: |:$| #|[\u0000-\u001f\u007f]/.test(value)) return true;
+
+        return false;
+    }
+};
+
+// Export
+if (typeof window !== 'undefined') {
+    window.YamlFormatter = YamlFormatter;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = YamlFormatter;
+}
@@ -0,0 +1,150 @@
+/**
+ * ZIP Reader
+ * Minimal client-side ZIP extraction (stored + deflate) using DecompressionStream
+ *
+ * @module ZipReader
+ */
+
+const ZipReader = {
+    /**
+     * ZIP record signatures
+     */
+    SIGNATURES: {
+        LOCAL_FILE: 0x04034b50,
+        CENTRAL_DIRECTORY: 0x02014b50,
+        END_OF_CENTRAL_DIRECTORY: 0x06054b50
+    },
+
+    /**
+     * List entries of a ZIP archive
+     * @param {ArrayBuffer} buffer - ZIP archive bytes
+     * @returns {Array<Object>} Entries with { name, method, compressedSize, size, offset }
+     */
+    listEntries(buffer) {
+        const view = new DataView(buffer);
+        const eocdOffset = this.findEndOfCentralDirectory(view);
+
+        if (eocdOffset === -1) {
+            throw new Error('Invalid ZIP archive: end of central directory not found');
+        }
+
+        const entryCount = view.getUint16(eocdOffset + 10, true);
+        let offset = view.getUint32(eocdOffset + 16, true);
+
+        if (offset === 0xFFFFFFFF || entryCount === 0xFFFF) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder();
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== this.SIGNATURES.CENTRAL_DIRECTORY) {
+                throw new Error('Invalid ZIP archive: corrupt central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const size = view.getUint32(offset + 24, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const localOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+            // Skip directories
+            if (!name.endsWith('/')) {
+                entries.push({ name, method, compressedSize, size, offset: localOffset });
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    },
+
+    /**
+     * Locate end of central directory record (scans backwards past the comment)
+     * @param {DataView} view - Archive view
+     * @returns {number} Offset or -1 if not found
+     */
+    findEndOfCentralDirectory(view) {
+        const minOffset = Math.max(0, view.byteLength - 22 - 0xFFFF);
+
+        for (let i = view.byteLength - 22; i >= minOffset; i--) {
+            if (view.getUint32(i, true) === this.SIGNATURES.END_OF_CENTRAL_DIRECTORY) {
+                return i;
+            }
+        }
+
+        return -1;
+    },
+
+    /**
+     * Extract a single entry
+     * @param {ArrayBuffer} buffer - ZIP archive bytes
+     * @param {Object} entry - Entry from listEntries
+     * @returns {Promise<Uint8Array>} Uncompressed bytes
+     */
+    async extract(buffer, entry) {
+        const view = new DataView(buffer);
+
+        if (view.getUint32(entry.offset, true) !== this.SIGNATURES.LOCAL_FILE) {
+            throw new Error(`Invalid ZIP archive: corrupt local header for "${entry.name}"`);
+        }
+
+        const nameLength = view.getUint16(entry.offset + 26, true);
+        const extraLength = view.getUint16(entry.offset + 28, true);
+        const dataStart = entry.offset + 30 + nameLength + extraLength;
+        const data = new Uint8Array(buffer, dataStart, entry.compressedSize);
+
+        // Stored (no compression)
+        if (entry.method === 0) {
+            return data.slice();
+        }
+
+        // Deflate
+        if (entry.method === 8) {
+            return this.inflate(data);
+        }
+
+        throw new Error(`Unsupported ZIP compression method ${entry.method} for "${entry.name}"`);
+    },
+
+    /**
+     * Extract entry as UTF-8 text
+     * @param {ArrayBuffer} buffer - ZIP archive bytes
+     * @param {Object} entry - Entry from listEntries
+     * @returns {Promise<string>} Entry text
+     */
+    async extractText(buffer, entry) {
+        const bytes = await this.extract(buffer, entry);
+        return new TextDecoder().decode(bytes);
+    },
+
+    /**
+     * Inflate raw deflate data
+     * @param {Uint8Array} data - Compressed bytes
+     * @returns {Promise<Uint8Array>} Uncompressed bytes
+     */
+    async inflate(data) {
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot decompress ZIP archives (DecompressionStream unavailable)');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        const result = await new Response(stream).arrayBuffer();
+
+        return new Uint8Array(result);
+    }
+};
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ZipReader = ZipReader;
+}
+
+// Export for Node.js (testing)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipReader;
+}
@@ -0,0 +1,149 @@
+/**
+ * EnvEncoder round-trip tests
+ * Run with: node --test docs/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const CanonicalMapper = require('../js/utils/canonical-mapper.js');
+const EnvEncoder = require('../js/utils/env-encoder.js');
+const testConfig = require('../config.json');
+
+// Key spellings as the import dialog passes them
+const KEYS = EnvEncoder.keysFromConfig(testConfig);
+
+/**
+ * Canonical smoke test from config.json with the given scenario variables
+ * @param {Object} userDefinedVariable - Scenario variables
+ * @returns {Object} Canonical configuration object
+ */
+function canonicalWith(userDefinedVariable) {
+    const { label, description, ...loadData } = testConfig.loadConfig.smoke;
+    const canonical = CanonicalMapper.toCanonical(
+        {
+            loadType: 'smoke',
+            environment: 'production',
+            targetUrl: testConfig.environment.production.urls[0],
+            scenario: 'project.scenario.ScenarioOther'
+        },
+        loadData,
+        {},
+        testConfig
+    );
+
+    return { ...canonical, userDefinedVariable };
+}
+
+/**
+ * Encode and decode a canonical config
+ * @param {Object} canonical - Canonical configuration object
+ * @returns {Object} Decoded value
+ */
+function roundTrip(canonical) {
+    const result = EnvEncoder.decode(EnvEncoder.encode(canonical), KEYS);
+    assert.ok(result.success, result.message);
+    return result.value;
+}
+
+test('round-trips canonical configs built from config.json', () => {
+    Object.keys(testConfig.loadConfig).forEach(loadType => {
+        Object.entries(testConfig.scenarioConfig).forEach(([scenario, scenarioConfig]) => {
+            const { label, description, ...loadData } = testConfig.loadConfig[loadType];
+            const canonical = CanonicalMapper.toCanonical(
+                {
+                    loadType,
+                    environment: 'production',
+                    targetUrl: testConfig.environment.production.urls[0],
+                    scenario
+                },
+                loadData,
+                { ...scenarioConfig.fields },
+                testConfig
+            );
+
+            // A scenario without fields has an empty userDefinedVariable, which has no ENV lines
+            const expected = { ...canonical };
+            if (Object.keys(expected.userDefinedVariable).length === 0) delete expected.userDefinedVariable;
+
+            assert.deepStrictEqual(roundTrip(canonical), expected, `${loadType} / ${scenario}`);
+        });
+    });
+});
+
+test('round-trips empty and one-item arrays', () => {
+    const canonical = canonicalWith({ empty: [], single: ['q'], blank: [''], pair: ['a', 'b'] });
+
+    assert.deepStrictEqual(roundTrip(canonical), canonical);
+});
+
+test('round-trips numeric- and boolean-looking strings', () => {
+    const canonical = canonicalWith({
+        digits: '123',
+        decimal: '1.5',
+        negative: '-7',
+        yes: 'true',
+        no: 'false',
+        number: 123,
+        flag: true,
+        mixed: ['1', 2, 'false', true]
+    });
+
+    assert.deepStrictEqual(roundTrip(canonical), canonical);
+});
+
+test('round-trips values with commas', () => {
+    const canonical = canonicalWith({ csv: 'a,b', items: ['a,b', 'c'], trailing: 'x,' });
+
+    assert.deepStrictEqual(roundTrip(canonical), canonical);
+});
+
+test('round-trips values that need quotes', () => {
+    const canonical = canonicalWith({
+        empty: '',
+        spaces: 'hello world',
+        quotes: 'say "hi"',
+        single: "it's",
+        backslash: 'C:\\temp\\run',
+        dollar: '$HOME',
+        backtick: '`date`',
+        hash: 'a #b'
+    });
+
+    assert.deepStrictEqual(roundTrip(canonical), canonical);
+});
+
+test('keeps the values a shell reads', () => {
+    const env = EnvEncoder.encode(canonicalWith({ digits: '123', single: ['q'], plain: 'abc' }));
+    const lines = env.split('\n');
+
+    assert.ok(lines.includes('USERDEFINEDVARIABLE__DIGITS="123"'));
+    assert.ok(lines.includes('USERDEFINEDVARIABLE__PLAIN=abc'));
+    assert.ok(lines.includes(`${EnvEncoder.LIST_MARKER}USERDEFINEDVARIABLE__SINGLE`));
+    assert.ok(lines.includes('USERDEFINEDVARIABLE__SINGLE=q'));
+});
+
+test('sources in a shell without expansion', () => {
+    const values = {
+        dollar: '$HOME',
+        backtick: '`date`',
+        subshell: '$(id)',
+        quotes: 'say "hi"',
+        backslash: 'C:\\temp\\run',
+        spaces: 'hello world',
+        digits: '123'
+    };
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'env-encoder-')), 'config.env');
+    fs.writeFileSync(file, EnvEncoder.encode(canonicalWith(values)));
+
+    const names = Object.keys(values).map(key => EnvEncoder.toEnvKey('USERDEFINEDVARIABLE', key));
+    const script = `. "$1"; printf '%s\\0' ${names.map(name => `"$${name}"`).join(' ')}`;
+    const output = execFileSync('sh', ['-c', script, 'sh', file], { encoding: 'utf8' });
+
+    fs.rmSync(path.dirname(file), { recursive: true });
+    assert.deepStrictEqual(output.split('\0').slice(0, -1), Object.values(values));
+});
@@ -0,0 +1,42 @@
+/**
+ * RunPolicy tests against the config.json production policy
+ * Run with: node --test docs/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+global.CanonicalMapper = require('../js/utils/canonical-mapper.js');
+const RunPolicy = require('../js/utils/run-policy.js');
+const testConfig = require('../config.json');
+
+/**
+ * Canonical smoke test on production
+ * @returns {Object} Canonical configuration within the production limits
+ */
+function productionSmoke() {
+    return {
+        test: {
+            simulation: 'project.scenario.ScenarioName',
+            type: 'smoke',
+            environment: { type: 'production', url: 'https://example-prod.com' },
+            load: {
+                profiles: { scanPackage: 'custom.profile', smoke: { users: 1, duration: '1m' } }
+            }
+        }
+    };
+}
+
+test('allows Monday morning after the weekend window', () => {
+    const result = RunPolicy.check(testConfig, productionSmoke(), { at: new Date('2026-10-19T03:00:00Z') });
+
+    assert.deepStrictEqual(result.violations, []);
+});
+
+test('allows weekday nights and rejects weekday office hours', () => {
+    const night = RunPolicy.check(testConfig, productionSmoke(), { at: new Date('2026-10-20T23:00:00Z') });
+    const day = RunPolicy.check(testConfig, productionSmoke(), { at: new Date('2026-10-20T12:00:00Z') });
+
+    assert.strictEqual(night.allowed, true);
+    assert.strictEqual(day.allowed, false);
+});